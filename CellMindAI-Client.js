@@ -9,6 +9,97 @@
 var CellMindLib;
 var libraryAvailable = false;
 
+// Prompt chain runs are persisted in this hidden sheet, so long chains can continue in later executions
+const CHAIN_STATE_SHEET = 'CellMindAI Chain State';
+const CHAIN_STATE_KEY = 'last-run';
+
+// Stop starting new chain steps after 3 minutes, leaving room for one more request
+// (including retries) within the 6-minute Apps Script execution limit
+const CHAIN_TIME_BUDGET_MS = 3 * 60 * 1000;
+const CHAIN_RESUME_HANDLER = 'resumePromptChainInBackground';
+
+// Scheduled prompt chains: trigger ID to schedule map, and the sheet every scheduled run is appended to
+const CHAIN_SCHEDULES_PROPERTY = 'CELLMINDAI_CHAIN_SCHEDULES';
+const CHAIN_SCHEDULE_HANDLER = 'runScheduledPromptChain';
+
+// Scheduled runs that hit the time budget are kept in the chain state sheet (by schedule trigger ID)
+// and continued by a one-off trigger
+const SCHEDULED_RUNS_KEY = 'scheduled-runs';
+const SCHEDULED_RESUME_HANDLER = 'resumeScheduledChainsInBackground';
+const CHAIN_HISTORY_SHEET = 'CellMindAI Chain History';
+
+// Column headers of a chain sheet (matched exactly, ignoring case; same layout as the library)
+const CHAIN_COLUMN_HEADERS = {
+  prompt: ['prompt', 'query', 'question', 'instruction'],
+  range: ['data range', 'range', 'data'],
+  includeLastResult: ['include previous result', 'include previous', 'previous result'],
+  system: ['system prompt', 'system', 'persona'],
+  id: ['step id', 'id']
+};
+
+// Data above this estimated input size is split into row chunks whose partial answers are merged afterwards
+const MAX_INPUT_TOKENS = 150000;
+const CHARS_PER_TOKEN = 3;
+const CHUNK_NOTE_TOKENS = 100;
+
+// Chunked requests stop with an error instead of being cut off by the 6-minute execution limit;
+// no new chunk or merge request is started after this budget
+const CHUNK_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+// Fallback mode only sends to the Anthropic API; other providers and base URLs require the library
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// Request preview (dry run), shared with the library
+const REQUEST_PREVIEW_SHEET = 'CellMindAI Request Preview';
+const REQUEST_PREVIEW_HEADERS = ['Request', 'Step', 'Feature', 'Provider', 'Model', 'Max Tokens', 'Temperature', 'Top P',
+  'Stop Sequences', 'System Prompt', 'Messages', 'Prompt', 'Estimated Input Tokens', 'Cached'];
+const PREVIEW_RESPONSE = '[Preview: the answer to this request would appear here]';
+
+const TABLE_OUTPUT_INSTRUCTION = 'Return the result only as a table: a JSON array of rows, where the first row ' +
+  'contains the column headers and every row has the same number of columns. ' +
+  'Do not add any explanation before or after the JSON.';
+
+// Models offered in the sidebar (any other model name can be typed in)
+const SIDEBAR_MODELS = [
+  'claude-3-5-sonnet-20240620',
+  'claude-3-5-haiku-20241022',
+  'claude-3-opus-20240229',
+  'claude-3-haiku-20240307'
+];
+
+// Prompt library, shared with the library: shared prompts in a hidden sheet, personal prompts in the user properties
+const PROMPT_LIBRARY_SHEET = 'CellMindAI Prompt Library';
+const PROMPT_LIBRARY_KEY = 'prompts';
+const PROMPT_LIBRARY_PROPERTY = 'CELLMINDAI_PROMPT_LIBRARY';
+
+// Usage ledger and spending cap, shared with the library
+const USAGE_SHEET = 'CellMindAI Usage';
+const USAGE_TOTALS_PROPERTY = 'CELLMINDAI_USAGE_TOTALS';
+const SPENDING_CAP_PROPERTY = 'CELLMINDAI_SPENDING_CAP';
+
+// Prices in USD per million tokens by model name prefix, overridden by the document price table
+const PRICE_TABLE_PROPERTY = 'CELLMINDAI_PRICE_TABLE';
+const PRICE_TABLE_DEFAULTS = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Audit log switch, shared with the library (the log itself is only written by the library)
+const AUDIT_LOG_PROPERTY = 'CELLMINDAI_AUDIT_LOG';
+
+// Data policy, shared with the library (denied columns and sheets and a row limit, set by the owner)
+const DATA_POLICY_PROPERTY = 'CELLMINDAI_DATA_POLICY';
+
+// Columns and rows withheld by the data policy during the current run
+var withheldData = [];
+
+// Requests assembled instead of sent during a preview
+var previewRequests = null;
+
 /**
  * Initialize when the spreadsheet opens
  */
@@ -23,9 +114,29 @@ function onOpen() {
     
     // Add menu items
     menu.addItem('Configure API Key', 'configureApiKey')
+      .addItem('Shared API Key and Quotas', 'configureSharedApiKey')
+      .addItem('Settings', 'configureSettings')
+      .addItem('Set System Prompt', 'configureSystemPrompt')
       .addSeparator()
+      .addItem('Open Sidebar', 'showSidebar')
       .addItem('Process with CellMindAI', 'processWithCellMind')
+      .addItem('Run Saved Prompt', 'runSavedPromptFromMenu')
+      .addItem('Follow Up on this Result', 'followUpOnResult')
+      .addItem('Ask the Workbook', 'askWorkbook')
+      .addItem('Manage Prompt Library', 'managePromptLibrary')
+      .addItem('Process Rows with CellMindAI', 'processRowsWithCellMind')
+      .addItem('Classify Rows', 'classifyRowsWithCellMind')
       .addItem('Execute Prompt Chain', 'executePromptChain')
+      .addItem('Resume Last Chain', 'resumeLastPromptChain')
+      .addItem('Schedule Prompt Chain', 'schedulePromptChain')
+      .addItem('Manage Scheduled Chains', 'manageScheduledChains')
+      .addSeparator()
+      .addItem('Usage and Costs', 'showUsageAndCosts')
+      .addItem('Audit Log', 'configureAuditLog')
+      .addItem('Data Policy', 'configureDataPolicy')
+      .addItem('Preview Request', 'previewRequest')
+      .addItem('Preview PII Redaction', 'previewPiiRedaction')
+      .addItem('Clear CellMindAI Cache', 'clearCellMindCache')
       .addItem('Run Diagnostics', 'runDiagnostics');
     
     // Add menu to UI
@@ -111,8 +222,24 @@ function runDiagnostics() {
   // Check API key
   report += "\n2. API Key check:\n";
   try {
-    const hasApiKey = getApiKey() !== null;
-    report += "   API Key status: " + (hasApiKey ? "API key is configured" : "No API key configured") + "\n";
+    const source = getApiKeySource();
+    const sources = {
+      user: "personal API key",
+      document: "shared API key of this spreadsheet",
+      script: "shared API key of the library"
+    };
+    report += "   API Key status: " + (source ? "API key is configured" : "No API key configured") + "\n";
+    
+    if (source) {
+      report += "   Active key source: " + sources[source] + "\n";
+    }
+    
+    if (source === 'document' || source === 'script') {
+      const usage = CellMindLib.getQuotaUsage();
+      const limit = value => value === null ? "no limit" : value;
+      report += "   Your usage today: " + usage.requests + " requests (limit: " + limit(usage.limits.dailyRequests) + "), " +
+        usage.tokens + " tokens (limit: " + limit(usage.limits.dailyTokens) + ")\n";
+    }
   } catch (e) {
     report += "   ✗ Error checking API key: " + e.message + "\n";
   }
@@ -121,6 +248,13 @@ function runDiagnostics() {
   report += "\n3. Current operation mode:\n";
   report += "   Using " + (libraryAvailable ? "library mode" : "fallback mode") + "\n";
   
+  try {
+    const settings = readSettings();
+    report += "   Provider: " + (settings.provider || "anthropic") + (settings.base_url ? " (" + settings.base_url + ")" : "") + "\n";
+  } catch (e) {
+    report += "   ✗ Error checking provider: " + e.message + "\n";
+  }
+  
   // Display report
   ui.alert("Diagnostics Results", report, ui.ButtonSet.OK);
 }
@@ -132,9 +266,12 @@ function configureApiKey() {
   const ui = SpreadsheetApp.getUi();
   
   try {
+    const source = getApiKeySource();
     const response = ui.prompt(
       'Configure CellMindAI API Key',
-      'Enter your Anthropic API key:',
+      source === 'document' || source === 'script' ?
+        'This spreadsheet uses a shared API key. Enter a personal Anthropic API key to use your own key instead:' :
+        'Enter your Anthropic API key:',
       ui.ButtonSet.OK_CANCEL
     );
     
@@ -159,31 +296,178 @@ function configureApiKey() {
 }
 
 /**
- * Get the API key
+ * Configure the model and generation settings
+ */
+function configureSettings() {
+  const ui = SpreadsheetApp.getUi();
+  
+  // Settings are validated by the library, so they are only edited there
+  if (!libraryAvailable || typeof CellMindLib.showSettingsDialog !== 'function') {
+    ui.alert('Library Required', 'Changing settings requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  CellMindLib.showSettingsDialog();
+}
+
+/**
+ * Configure the system prompt of this spreadsheet
+ */
+function configureSystemPrompt() {
+  const ui = SpreadsheetApp.getUi();
+  
+  try {
+    const current = getSystemPrompt();
+    
+    const response = ui.prompt(
+      'CellMindAI System Prompt',
+      'The system prompt is sent with every request from this spreadsheet ' +
+      '(e.g., "You are a financial analyst; answer in German; never invent numbers").\n\n' +
+      'Current system prompt: ' + (current || 'none') + '\n\n' +
+      'Enter a new system prompt, or "-" to remove it:',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+    
+    const text = response.getResponseText().trim();
+    if (!text) {
+      ui.alert('Error', 'System prompt cannot be empty', ui.ButtonSet.OK);
+      return;
+    }
+    
+    const systemPrompt = text === '-' ? '' : text;
+    
+    if (libraryAvailable && typeof CellMindLib.setSystemPrompt === 'function') {
+      CellMindLib.setSystemPrompt(systemPrompt);
+    } else if (systemPrompt) {
+      PropertiesService.getDocumentProperties().setProperty('CELLMINDAI_SYSTEM_PROMPT', systemPrompt);
+    } else {
+      PropertiesService.getDocumentProperties().deleteProperty('CELLMINDAI_SYSTEM_PROMPT');
+    }
+    
+    ui.alert('Success', systemPrompt ? 'System prompt saved successfully' : 'System prompt removed', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Error saving system prompt: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Get the system prompt of this spreadsheet
+ * @return {string|null} The system prompt or null
+ */
+function getSystemPrompt() {
+  if (libraryAvailable && typeof CellMindLib.getSystemPrompt === 'function') {
+    return CellMindLib.getSystemPrompt();
+  }
+  return PropertiesService.getDocumentProperties().getProperty('CELLMINDAI_SYSTEM_PROMPT');
+}
+
+/**
+ * Read the generation settings (library or property storage)
+ * @param {string} scope - 'user', 'document' or omitted for the effective settings
+ * @return {Object} Settings (model, max_tokens, temperature, top_p, stop_sequences)
+ */
+function readSettings(scope) {
+  if (libraryAvailable && typeof CellMindLib.getSettings === 'function') {
+    return CellMindLib.getSettings(scope);
+  }
+  
+  const read = properties => {
+    const stored = properties && properties.getProperty('CELLMINDAI_SETTINGS');
+    return stored ? JSON.parse(stored) : {};
+  };
+  
+  if (scope === 'user') return read(PropertiesService.getUserProperties());
+  if (scope === 'document') return read(PropertiesService.getDocumentProperties());
+  
+  // Defaults < user settings < document settings (same order as the library)
+  // The provider and base URL only count as personal settings, so an editor cannot redirect the key
+  const documentSettings = read(PropertiesService.getDocumentProperties());
+  delete documentSettings.provider;
+  delete documentSettings.base_url;
+  
+  return Object.assign(
+    {
+      model: 'claude-3-5-sonnet-20240620',
+      max_tokens: 4000,
+      temperature: 0.7,
+      top_p: null,
+      stop_sequences: [],
+      data_format: 'markdown',
+      display_values: true,
+      redact_pii: false,
+      pii_types: ['email', 'iban', 'credit_card', 'phone'],
+      restore_pii: true,
+      provider: 'anthropic',
+      base_url: null
+    },
+    read(PropertiesService.getUserProperties()),
+    documentSettings
+  );
+}
+
+/**
+ * Get the personal API key for requests in fallback mode
+ * Shared API keys are stored in the library and only used by it
+ * @return {string|null} The personal key or null
  */
 function getApiKey() {
+  return PropertiesService.getUserProperties().getProperty('CELLMINDAI_API_KEY');
+}
+
+/**
+ * Check whether a personal or shared API key is configured
+ * @return {boolean} True if requests can be sent (in library mode, the mock provider needs no key)
+ */
+function hasApiKey() {
   try {
     if (libraryAvailable) {
-      return CellMindLib.getApiKey();
-    } else {
-      return PropertiesService.getUserProperties().getProperty('CELLMINDAI_API_KEY');
+      return CellMindLib.hasApiKey();
     }
   } catch (e) {
     // Fallback if library method fails
-    return PropertiesService.getUserProperties().getProperty('CELLMINDAI_API_KEY');
   }
+  
+  return getApiKey() !== null;
+}
+
+/**
+ * Tell which API key requests are sent with
+ * @return {string|null} 'user', 'document', 'script' or null
+ */
+function getApiKeySource() {
+  if (libraryAvailable && typeof CellMindLib.getApiKeySource === 'function') {
+    return CellMindLib.getApiKeySource();
+  }
+  
+  return getApiKey() ? 'user' : null;
+}
+
+/**
+ * Show the shared API key status and let the owner set the key and the daily quotas per user (menu action)
+ */
+function configureSharedApiKey() {
+  // The shared key and the quotas are kept in the library, where editors cannot read or change them
+  if (libraryAvailable && typeof CellMindLib.showSharedApiKeyDialog === 'function') {
+    CellMindLib.showSharedApiKeyDialog();
+    return;
+  }
+  
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'Shared API keys require the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
 }
 
 /**
  * Process data with CellMindAI
+ * @param {boolean} preview - Only preview the requests instead of sending them
  */
-function processWithCellMind() {
+function processWithCellMind(preview) {
   const ui = SpreadsheetApp.getUi();
   
   try {
     // Check for API key
-    const apiKey = getApiKey();
-    if (!apiKey) {
+    if (preview !== true && !hasApiKey()) {
       ui.alert('Error', 'Please configure your API key first', ui.ButtonSet.OK);
       return;
     }
@@ -191,7 +475,7 @@ function processWithCellMind() {
     // Get prompt
     const promptResponse = ui.prompt(
       'Process with CellMindAI',
-      'Enter your prompt:',
+      'Enter your prompt. Use {{Sheet1!B2}} or {{NamedRange}} to insert cells or ranges:',
       ui.ButtonSet.OK_CANCEL
     );
     
@@ -223,31 +507,50 @@ function processWithCellMind() {
     
     const includeHeaders = (includeHeadersResponse === ui.Button.YES);
     
+    // Get output format preference
+    const asTableResponse = ui.alert(
+      'Table Output',
+      'Return the result as a table (one value per cell)?',
+      ui.ButtonSet.YES_NO
+    );
+    
+    const asTable = (asTableResponse === ui.Button.YES);
+    
     // Process data
     if (libraryAvailable) {
       // Use library method
       try {
         const options = {
           includeHeaders: includeHeaders,
-          range: rangeStr || undefined
+          range: rangeStr || undefined,
+          outputFormat: asTable ? 'table' : undefined
         };
         
+        if (preview === true) {
+          const previewResult = CellMindLib.processSheet(prompt, Object.assign(options, { preview: true }));
+          showRequestPreview(previewResult.previews, previewResult.withheld);
+          return;
+        }
+        
         const result = CellMindLib.processSheet(prompt, options);
         
         // Write result to a new sheet
-        CellMindLib.writeResult(result.response, {
+        const writeStatus = CellMindLib.writeResult(result.response, {
           createNewSheet: true,
-          sheetName: 'CellMindAI Result ' + new Date().toLocaleString()
+          sheetName: 'CellMindAI Result ' + new Date().toLocaleString(),
+          asTable: asTable,
+          conversation: result.conversation
         });
         
-        ui.alert('Success', 'Processing complete (library mode)', ui.ButtonSet.OK);
+        ui.alert('Success', 'Processing complete (library mode)\n\n' + writeStatus.message + formatWithheldNotice(result.withheld),
+          ui.ButtonSet.OK);
       } catch (e) {
         ui.alert('Library Error', 'Error using library: ' + e.message + '\nSwitching to fallback mode...', ui.ButtonSet.OK);
-        processDirectly(prompt, rangeStr, includeHeaders);
+        processDirectly(prompt, rangeStr, includeHeaders, asTable, preview === true);
       }
     } else {
       // Use direct method
-      processDirectly(prompt, rangeStr, includeHeaders);
+      processDirectly(prompt, rangeStr, includeHeaders, asTable, preview === true);
     }
   } catch (error) {
     ui.alert('Error', 'Processing error: ' + error.message, ui.ButtonSet.OK);
@@ -256,497 +559,2864 @@ function processWithCellMind() {
 
 /**
  * Process directly without library
+ * @param {string} prompt - The prompt for Claude
+ * @param {string} rangeStr - Data range (empty for all data)
+ * @param {boolean} includeHeaders - Whether to include the header row
+ * @param {boolean} asTable - Whether to request and write the result as a table
+ * @param {boolean} preview - Only preview the requests instead of sending them
  */
-function processDirectly(prompt, rangeStr, includeHeaders) {
+function processDirectly(prompt, rangeStr, includeHeaders, asTable, preview) {
   const ui = SpreadsheetApp.getUi();
   
   try {
-    // Get data
-    const sheet = SpreadsheetApp.getActiveSheet();
-    let data;
-    
-    if (rangeStr) {
-      data = sheet.getRange(rangeStr).getValues();
-    } else {
-      data = sheet.getDataRange().getValues();
-    }
-    
-    // Remove headers if not desired
-    const processedData = includeHeaders ? data : data.slice(1);
+    const result = processRangeDirectly(prompt, rangeStr, {
+      includeHeaders: includeHeaders,
+      outputFormat: asTable ? 'table' : null,
+      preview: preview
+    });
     
-    // Format data as table
-    let dataTable = '';
-    for (let i = 0; i < processedData.length; i++) {
-      dataTable += processedData[i].join('\t') + '\n';
+    if (preview) {
+      showRequestPreview(previewRequests, withheldData);
+      return;
     }
     
-    // Create full prompt
-    const fullPrompt = `${prompt}\n\nHere is the data from the table:\n\n${dataTable}`;
-    
-    // Send to Claude API
-    const result = callClaudeAPI(fullPrompt);
-    
-    // Create result sheet
-    const resultSheet = SpreadsheetApp.getActiveSpreadsheet()
-      .insertSheet('CellMindAI Result ' + new Date().toLocaleString());
-    
-    resultSheet.getRange('A1').setValue(result);
-    resultSheet.setColumnWidth(1, 800);
+    // Write as a cell grid if requested, fall back to plain text if parsing fails
+    const writeStatus = writeResultDirectly(result, {
+      createNewSheet: true,
+      sheetName: 'CellMindAI Result ' + new Date().toLocaleString(),
+      asTable: asTable
+    });
     
-    ui.alert('Success', 'Processing complete (fallback mode)', ui.ButtonSet.OK);
+    ui.alert('Success', 'Processing complete (fallback mode)\n\n' + writeStatus.message + formatWithheldNotice(withheldData),
+      ui.ButtonSet.OK);
   } catch (e) {
     ui.alert('Error', 'Error processing data: ' + e.message, ui.ButtonSet.OK);
   }
 }
 
 /**
- * Enhanced prompt chain execution function
+ * Send a prompt with the data of a range without library
+ * @param {string} prompt - The prompt for Claude
+ * @param {string} rangeStr - Data range, optionally with sheet name (empty for all data of the active sheet)
+ * @param {Object} options - Options of callClaudeAPIWithData (includeHeaders, outputFormat, model, etc.)
+ * @return {string} Claude's response
  */
-function executePromptChain() {
-  const ui = SpreadsheetApp.getUi();
-  
-  // Check for API key
-  if (!getApiKey()) {
-    ui.alert(
-      'API Key Missing', 
-      'Please configure your API key first via the "CellMindAI" > "Configure API Key" menu.',
-      ui.ButtonSet.OK
-    );
-    return;
+function processRangeDirectly(prompt, rangeStr, options = {}) {
+  const reference = splitRangeReference(rangeStr);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = reference.sheetName ? ss.getSheetByName(reference.sheetName) : ss.getActiveSheet();
+  if (!sheet) {
+    throw new Error(`Sheet "${reference.sheetName}" not found`);
   }
   
-  // Clear options
-  const result = ui.alert(
-    'Execute Prompt Chain',
-    'What would you like to do?\n\n' +
-    '- YES: Create a new template for prompt chains\n' +
-    '- NO: Execute an existing prompt chain from the current sheet\n' +
-    '- CANCEL: Return to spreadsheet',
-    ui.ButtonSet.YES_NO_CANCEL
-  );
+  const range = reference.range ? sheet.getRange(reference.range) : sheet.getDataRange();
+  withheldData = [];
+  const data = applyDataPolicy(range, getRangeValues(range));
   
-  if (result === ui.Button.YES) {
-    createPromptChainTemplate();
-  } else if (result === ui.Button.NO) {
-    executePromptChainFromCurrentSheet();
+  // Remove headers if not desired
+  const processedData = options.includeHeaders === false ? data.slice(1) : data;
+  
+  if (options.preview) {
+    previewRequests = [];
   }
+  
+  // Send to Claude API (large ranges are split into chunks automatically)
+  return callClaudeAPIWithData(resolvePlaceholdersDirectly(prompt), processedData, Object.assign({ feature: 'process' }, options));
 }
 
 /**
- * Creates a template for prompt chains
+ * Write a result to the spreadsheet without library
+ * @param {string} result - The result to be written
+ * @param {Object} options - Options for writing (sheetName, cell, createNewSheet, asTable, auditRow)
+ * @return {Object} Result of the write operation with a message
  */
-function createPromptChainTemplate() {
-  const ui = SpreadsheetApp.getUi();
+function writeResultDirectly(result, options = {}) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet;
   
-  // Check if template already exists
-  let sheet = ss.getSheetByName('Prompt Chain Template');
-  if (sheet) {
-    const renameResult = ui.alert(
-      'Existing Template Found',
-      'A "Prompt Chain Template" already exists. What would you like to do?\n\n' +
-      '- YES: Overwrite the existing template\n' +
-      '- NO: Rename the existing template and create a new one\n' +
-      '- CANCEL: Abort operation',
-      ui.ButtonSet.YES_NO_CANCEL
-    );
-    
-    if (renameResult === ui.Button.CANCEL) {
-      return;
-    } else if (renameResult === ui.Button.NO) {
-      // Rename
-      sheet.setName('Prompt Chain Template (old)');
-      sheet = null;
-    }
-    // For YES: Overwrite, so use existing sheet
-  }
-  
-  // Create new template if needed
-  if (!sheet) {
-    sheet = ss.insertSheet('Prompt Chain Template');
+  if (options.createNewSheet) {
+    sheet = ss.insertSheet(options.sheetName || 'CellMindAI Result');
+  } else if (options.sheetName) {
+    sheet = ss.getSheetByName(options.sheetName) || ss.insertSheet(options.sheetName);
   } else {
-    // Clear the sheet if we're overwriting
-    sheet.clear();
+    sheet = ss.getActiveSheet();
   }
   
-  // Set headers
-  sheet.getRange('A1:D1').setValues([['Prompt', 'Data Range', 'Include Previous Result', 'Notes']]);
-  sheet.getRange('A1:D1').setFontWeight('bold');
+  const anchor = sheet.getRange(options.cell || 'A1');
+  const table = options.asTable ? parseTableResponse(result) : null;
   
-  // Example data
-  sheet.getRange('A2:D5').setValues([
-    ['Analyze this data and identify the top 3 trends', 'Sheet1!A1:F20', 'NO', 'Initial analysis of raw data'],
-    ['Based on the above analysis, explain possible causes for these trends', '', 'YES', 'Cause analysis based on step 1'],
-    ['Create recommendations based on the identified trends and causes', '', 'YES', 'Derive recommendations from steps 1+2'],
-    ['Summarize all findings and recommendations in a concise executive summary', '', 'YES', 'Final conclusion for management']
-  ]);
+  if (table) {
+    const tableRange = anchor.offset(0, 0, table.length, table[0].length);
+    tableRange.setValues(table.map(row => row.map(escapeFormula)));
+    anchor.offset(0, 0, 1, table[0].length).setFontWeight('bold');
+    if (options.createNewSheet) {
+      sheet.autoResizeColumns(1, table[0].length);
+    }
+    recordAuditOutput(tableRange, options.auditRow);
+    
+    return { success: true, table: true, message: `Table with ${table.length} rows written to ${sheet.getName()}!${tableRange.getA1Notation()}` };
+  }
   
-  // Formatting
-  sheet.setColumnWidth(1, 400); // Prompt
-  sheet.setColumnWidth(2, 200); // Data range
-  sheet.setColumnWidth(3, 200); // Include previous
-  sheet.setColumnWidth(4, 250); // Notes
+  anchor.setValue(escapeFormula(result));
+  if (options.createNewSheet) {
+    sheet.setColumnWidth(1, 800);
+  }
+  recordAuditOutput(anchor, options.auditRow);
   
-  // Add help and description
-  sheet.getRange('A7:D7').merge();
-  sheet.getRange('A7').setValue('HELP: How to use this template');
-  sheet.getRange('A7').setFontWeight('bold');
+  return {
+    success: true,
+    table: false,
+    message: options.asTable ?
+      `Result could not be parsed as a table and was written as text to ${sheet.getName()}!${anchor.getA1Notation()}` :
+      `Result written to ${sheet.getName()}!${anchor.getA1Notation()}`
+  };
+}
+
+/**
+ * Open the CellMindAI sidebar (menu action)
+ */
+function showSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('CellMindAI-Sidebar').setTitle('CellMindAI');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Get the initial state of the sidebar (called from the sidebar)
+ * @return {Object} API key status, current selection, model, data format and saved prompts
+ */
+function getSidebarState() {
+  // Sidebar calls run in their own execution, so onOpen has not initialized the library
+  initLibrary();
   
-  sheet.getRange('A8:D16').merge();
-  sheet.getRange('A8').setValue(
-    'DATA RANGE REFERENCES:\n' +
-    '- Single sheet: Sheet1!A1:F20\n' +
-    '- Named range: NamedRange\n' +
-    '- Current sheet: A1:D10\n' +
-    '- Leave empty for no additional data\n\n' +
-    'INCLUDE PREVIOUS RESULT:\n' +
-    '- YES: Result from previous step will be included in this prompt\n' +
-    '- NO: Prompt will be executed without previous result\n\n' +
-    'After filling in, execute the chain via: CellMindAI > Execute Prompt Chain > NO (Execute existing)'
-  );
+  const settings = readSettings();
+  const models = SIDEBAR_MODELS.indexOf(settings.model) === -1 ? [settings.model].concat(SIDEBAR_MODELS) : SIDEBAR_MODELS;
   
-  // Cell formatting - "Include Previous Result" column
-  const validationRule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['YES', 'NO'], true)
-    .build();
-  sheet.getRange('C2:C100').setDataValidation(validationRule);
+  return {
+    hasApiKey: hasApiKey(),
+    libraryAvailable: libraryAvailable,
+    selection: getSelectionReference(),
+    model: settings.model,
+    models: models,
+    dataFormat: settings.data_format,
+    savedPrompts: readSavedPrompts()
+  };
+}
+
+/**
+ * Get the current selection as a sheet reference, e.g. 'Sales 2024'!A1:D20 (called from the sidebar)
+ * @return {string} The range reference
+ */
+function getSelectionReference() {
+  const range = SpreadsheetApp.getActiveRange();
+  if (!range) {
+    return '';
+  }
   
-  // Examples for data range references
-  sheet.getRange('A18:D18').merge();
-  sheet.getRange('A18').setValue('EXAMPLES OF DATA RANGE REFERENCES:');
-  sheet.getRange('A18').setFontWeight('bold');
+  const sheetName = range.getSheet().getName();
+  const quotedName = /^[A-Za-z0-9_]+$/.test(sheetName) ? sheetName : `'${sheetName.replace(/'/g, "''")}'`;
+  return `${quotedName}!${range.getA1Notation()}`;
+}
+
+/**
+ * Run a prompt from the sidebar and return the answer for the preview (called from the sidebar)
+ * @param {Object} request - prompt, range, includeHeaders, asTable, model, dataFormat,
+ *   and optionally temperature, max_tokens and feature
+ * @return {Object} The response text, the parsed table (if requested), the row of the audit log entry
+ *   and the conversation for follow-up questions
+ */
+function runSidebarPrompt(request) {
+  initLibrary();
   
-  sheet.getRange('A19:D22').setValues([
-    ['Type', 'Example', 'Description', 'Usage'],
-    ['Simple Range', 'A1:D10', 'Range in current sheet', 'For data in current sheet'],
-    ['Sheet Reference', 'Sheet1!A1:F20', 'Range in another sheet', 'For data in other sheets'],
-    ['Named Range', 'MyRange', 'Named range in spreadsheet', 'For predefined data ranges']
-  ]);
+  if (!request.prompt || request.prompt.trim() === '') {
+    throw new Error('Prompt cannot be empty');
+  }
   
-  // Success notification
-  ui.alert(
-    'Template Created',
-    'The prompt chain template has been successfully created. Fill it with your prompts and then execute the chain with "Execute Prompt Chain" > NO.',
-    ui.ButtonSet.OK
-  );
+  const options = {
+    includeHeaders: request.includeHeaders,
+    outputFormat: request.asTable ? 'table' : null,
+    model: request.model || null,
+    data_format: request.dataFormat || null,
+    temperature: request.temperature,
+    max_tokens: request.max_tokens,
+    feature: request.feature || 'sidebar'
+  };
   
-  // Switch to new sheet
-  sheet.activate();
+  let response;
+  let auditRow;
+  let conversation;
+  let withheld;
+  if (libraryAvailable && typeof CellMindLib.processSheet === 'function') {
+    const reference = splitRangeReference(request.range);
+    const result = CellMindLib.processSheet(request.prompt, Object.assign(options, {
+      sheetName: reference.sheetName,
+      range: reference.range
+    }));
+    response = result.response;
+    auditRow = result.auditRow;
+    conversation = result.conversation;
+    withheld = result.withheld;
+  } else {
+    response = processRangeDirectly(request.prompt, request.range, options);
+    withheld = withheldData;
+  }
   
-  return sheet;
+  return {
+    response: response,
+    table: request.asTable ? parseTableResponse(response) : null,
+    auditRow: auditRow || null,
+    conversation: conversation,
+    withheld: withheld || []
+  };
 }
 
 /**
- * Executes a prompt chain from the current sheet
- * Enhanced version with better data referencing
+ * Insert a sidebar answer at the cursor or into a new sheet (called from the sidebar)
+ * @param {string} response - The answer text
+ * @param {boolean} asTable - Whether to write the answer as a table
+ * @param {string} target - 'cursor' or 'sheet'
+ * @param {boolean} overwrite - Whether existing values at the cursor may be overwritten
+ * @param {number} auditRow - Row of the audit log entry of the answer, if any
+ * @param {Object} conversation - Conversation of the answer, stored with the target sheet for follow-up questions
+ * @return {Object} Write result with message, or needsConfirmation if cells would be overwritten
  */
-function executePromptChainFromCurrentSheet() {
-  const ui = SpreadsheetApp.getUi();
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getActiveSheet();
-  const data = sheet.getDataRange().getValues();
+function insertSidebarResult(response, asTable, target, overwrite, auditRow, conversation) {
+  initLibrary();
   
-  if (data.length < 2) {
-    ui.alert(
-      'Insufficient Data',
-      'The sheet must contain at least a header row and one data row.',
-      ui.ButtonSet.OK
-    );
-    return;
+  const options = { asTable: asTable, auditRow: auditRow || undefined, conversation: conversation || undefined };
+  
+  if (target === 'cursor') {
+    const sheet = SpreadsheetApp.getActiveSheet();
+    const cell = sheet.getCurrentCell() || sheet.getRange('A1');
+    const table = asTable ? parseTableResponse(response) : null;
+    const targetRange = table ? cell.offset(0, 0, table.length, table[0].length) : cell;
+    
+    // Do not silently overwrite existing data
+    if (!overwrite && targetRange.getValues().some(row => row.some(value => value !== ''))) {
+      return { needsConfirmation: true, message: `${targetRange.getA1Notation()} already contains data. Overwrite it?` };
+    }
+    
+    options.cell = cell.getA1Notation();
+  } else {
+    options.createNewSheet = true;
+    options.sheetName = 'CellMindAI Result ' + new Date().toLocaleString();
   }
   
-  // Identify columns flexibly (regardless of position and exact wording)
-  const headers = data[0].map(h => String(h).toLowerCase().trim());
+  const result = libraryAvailable && typeof CellMindLib.writeResult === 'function' ?
+    CellMindLib.writeResult(response, options) :
+    writeResultDirectly(response, options);
   
-  // Find prompt column (required)
-  const promptKeywords = ['prompt', 'query', 'question', 'instruction'];
-  const promptCol = findColumnIndex(headers, promptKeywords);
+  if (options.createNewSheet) {
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(options.sheetName).activate();
+  }
   
-  if (promptCol === -1) {
-    ui.alert(
-      'Prompt Column Missing',
-      'Could not find a column with "Prompt" (or similar term). ' +
-      'Please ensure your sheet has such a column.',
-      ui.ButtonSet.OK
-    );
+  return result;
+}
+
+/**
+ * Ask a follow-up question on the result in the active sheet (menu action)
+ */
+function followUpOnResult() {
+  if (libraryAvailable && typeof CellMindLib.showFollowUpDialog === 'function') {
+    CellMindLib.showFollowUpDialog();
     return;
   }
   
-  // Find data range column (optional)
-  const rangeKeywords = ['range', 'data', 'area', 'selection'];
-  const rangeCol = findColumnIndex(headers, rangeKeywords);
-  
-  // Find previous result column (optional)
-  const includeKeywords = ['previous', 'include', 'prior', 'last'];
-  const includeCol = findColumnIndex(headers, includeKeywords);
-  
-  // Build prompt chain
-  const promptChain = [];
-  let hasValidPrompts = false;
-  
-  for (let i = 1; i < data.length; i++) {
-    const promptText = data[i][promptCol];
-    
-    // Skip empty rows
-    if (!promptText || promptText.trim() === '') continue;
-    
-    hasValidPrompts = true;
-    
-    // Process data range if specified
-    let rangeData = [];
-    if (rangeCol !== -1 && data[i][rangeCol]) {
-      const rangeReference = data[i][rangeCol].toString().trim();
-      
-      if (rangeReference) {
-        try {
-          // Process different reference types
-          if (rangeReference.includes('!')) {
-            // Sheet reference (e.g. "Sheet1!A1:B10")
-            const [sheetName, rangeAddress] = rangeReference.split('!');
-            const targetSheet = ss.getSheetByName(sheetName);
-            
-            if (!targetSheet) {
-              throw new Error(`Sheet "${sheetName}" not found`);
-            }
-            
-            rangeData = targetSheet.getRange(rangeAddress).getValues();
-          } else {
-            try {
-              // Try as named range
-              const namedRange = ss.getRangeByName(rangeReference);
-              
-              if (namedRange) {
-                rangeData = namedRange.getValues();
-              } else {
-                // Try as normal range in current sheet
-                rangeData = sheet.getRange(rangeReference).getValues();
-              }
-            } catch (e) {
-              // Try as normal range in current sheet
-              rangeData = sheet.getRange(rangeReference).getValues();
-            }
-          }
-        } catch (e) {
-          // Show warning for invalid range
-          const continueResult = ui.alert(
-            'Data Range Issue',
-            `There was a problem with the data range "${rangeReference}" in row ${i+1}: ${e.message}\n\n` +
-            'Would you like to continue with an empty data set for this step?',
-            ui.ButtonSet.YES_NO
-          );
-          
-          if (continueResult === ui.Button.NO) {
-            return;
-          }
-          
-          // For YES: Use empty data set (already initialized as [])
-        }
-      }
-    }
-    
-    // Check if previous result should be included
-    let includeLastResult = false;
-    if (includeCol !== -1) {
-      const includeValue = String(data[i][includeCol]).toLowerCase().trim();
-      includeLastResult = 
-        includeValue === 'yes' || 
-        includeValue === 'true' || 
-        includeValue === '1';
-    }
-    
-    // Add prompt object to chain
-    promptChain.push({
-      prompt: promptText,
-      data: rangeData,
-      includeLastResult: includeLastResult,
-      options: {}
-    });
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'Follow-up questions require the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+}
+
+/**
+ * Answer a question about the whole workbook in agent mode (menu action)
+ * Claude reads sheets and ranges with tools; proposed changes are applied only after confirmation
+ */
+function askWorkbook() {
+  // The tool loop runs in the library, there is no fallback
+  if (libraryAvailable && typeof CellMindLib.showAgentDialog === 'function') {
+    CellMindLib.showAgentDialog();
+    return;
   }
   
-  if (!hasValidPrompts) {
-    ui.alert(
-      'No Valid Prompts',
-      'No valid prompts were found in the sheet. Please add at least one prompt.',
-      ui.ButtonSet.OK
-    );
-    return;
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'Asking the workbook requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+}
+
+/**
+ * Ask a follow-up question on the result in the active sheet (called from the sidebar)
+ * @param {string} question - The follow-up question
+ * @return {Object} The response text and a message where the answer was written
+ */
+function followUpFromSidebar(question) {
+  initLibrary();
+  
+  if (!libraryAvailable || typeof CellMindLib.followUp !== 'function') {
+    throw new Error('Follow-up questions require the CellMindAI library. Use "Run Diagnostics" to check the connection.');
   }
   
-  // Get confirmation
-  const confirmResult = ui.alert(
-    'Execute Prompt Chain',
-    `Ready to execute ${promptChain.length} prompts in sequence.\n\n` +
-    'Results will be saved in a new sheet.\n\n' +
-    'Continue?',
-    ui.ButtonSet.YES_NO
-  );
+  const sheet = SpreadsheetApp.getActiveSheet();
+  const result = CellMindLib.followUp(sheet.getName(), question);
   
-  if (confirmResult !== ui.Button.YES) return;
+  return {
+    response: result.response,
+    table: null,
+    message: `Answer added to ${sheet.getName()}!${result.range.getA1Notation()}`
+  };
+}
+
+/**
+ * Run a prompt from the prompt library (menu action)
+ */
+function runSavedPromptFromMenu() {
+  const ui = SpreadsheetApp.getUi();
   
-  // Show progress indicator
-  const statusDialog = ui.alert(
-    'Execution Started',
-    'The prompt chain is now being executed. This may take some time depending on the number and complexity of prompts.\n\n' +
-    'Click OK to continue. You will be notified when execution is complete.',
-    ui.ButtonSet.OK
-  );
+  if (!hasApiKey()) {
+    ui.alert('Error', 'Please configure your API key first', ui.ButtonSet.OK);
+    return;
+  }
   
-  // Execute prompt chain (either with library or directly)
   try {
-    let results;
-    
-    // Execute chain (library or directly)
-    if (libraryAvailable && typeof CellMindLib.executePromptChain === 'function') {
-      // Use library method
-      results = CellMindLib.executePromptChain(promptChain);
-    } else {
-      // Use direct method
-      results = executeChainDirectly(promptChain);
+    const prompts = readSavedPrompts();
+    if (prompts.length === 0) {
+      ui.alert('Prompt Library', 'There are no saved prompts yet. Use "CellMindAI" > "Manage Prompt Library" to save one.', ui.ButtonSet.OK);
+      return;
     }
     
-    // Write results to new sheet
-    const resultSheet = ss.insertSheet(`Prompt Chain Results ${new Date().toLocaleString()}`);
+    const response = ui.prompt(
+      'Run Saved Prompt',
+      formatSavedPromptList(prompts) + '\n\nEnter the number of the prompt to run:',
+      ui.ButtonSet.OK_CANCEL
+    );
     
-    // Heading
-    resultSheet.getRange('A1').setValue('Prompt Chain Results');
-    resultSheet.getRange('A1').setFontWeight('bold');
-    resultSheet.getRange('A1:E1').merge();
+    if (response.getSelectedButton() !== ui.Button.OK) return;
     
-    // Write results
-    for (let i = 0; i < results.length; i++) {
-      // Step heading
-      resultSheet.getRange(`A${i*5+3}`).setValue(`Step ${i+1}:`);
-      resultSheet.getRange(`A${i*5+3}`).setFontWeight('bold');
-      resultSheet.getRange(`B${i*5+3}`).setValue(promptChain[i].prompt);
-      resultSheet.getRange(`B${i*5+3}:E${i*5+3}`).merge();
-      
-      // Result
-      resultSheet.getRange(`A${i*5+4}`).setValue(results[i].response || results[i]);
-      resultSheet.getRange(`A${i*5+4}:E${i*5+4}`).merge();
-      resultSheet.getRange(`A${i*5+4}`).setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
-      
-      // Spacing between results
-      if (i < results.length - 1) {
-        resultSheet.getRange(`A${i*5+6}`).setValue('');
-      }
+    const entry = prompts[parseInt(response.getResponseText(), 10) - 1];
+    if (!entry) {
+      ui.alert('Error', 'Please enter one of the listed numbers.', ui.ButtonSet.OK);
+      return;
     }
     
-    // Formatting
-    resultSheet.setColumnWidth(1, 200);
-    resultSheet.setColumnWidths(2, 4, 150);
-    
-    // Success notification
-    ui.alert(
-      'Execution Complete',
-      'The prompt chain was successfully executed. Results have been saved to a new sheet.',
-      ui.ButtonSet.OK
-    );
+    const result = runSavedPromptEntry(entry);
+    const options = {
+      createNewSheet: true,
+      sheetName: `${entry.name} ${new Date().toLocaleString()}`,
+      asTable: entry.outputFormat === 'table',
+      conversation: result.conversation
+    };
+    const writeStatus = libraryAvailable && typeof CellMindLib.writeResult === 'function' ?
+      CellMindLib.writeResult(result.response, options) :
+      writeResultDirectly(result.response, options);
     
-    // Switch to results sheet
-    resultSheet.activate();
-  } catch (error) {
-    ui.alert(
-      'Execution Error',
-      'An error occurred while executing the prompt chain:\n\n' + error.message,
-      ui.ButtonSet.OK
-    );
+    ui.alert('Success', writeStatus.message + formatWithheldNotice(result.withheld), ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Error running saved prompt: ' + e.message, ui.ButtonSet.OK);
   }
 }
 
 /**
- * Execute a prompt chain directly (without library)
- * @param {Array} promptChain - Array of prompt objects
- * @return {Array} Array of results
+ * Save, delete, export or import prompts of the prompt library (menu action)
  */
-function executeChainDirectly(promptChain) {
-  const results = [];
-  let previousResult = null;
+function managePromptLibrary() {
+  const ui = SpreadsheetApp.getUi();
   
-  for (let i = 0; i < promptChain.length; i++) {
-    // Format data as table
-    let dataTable = '';
-    if (promptChain[i].data && promptChain[i].data.length > 0) {
-      for (let j = 0; j < promptChain[i].data.length; j++) {
-        dataTable += promptChain[i].data[j].join('\t') + '\n';
-      }
-    }
+  try {
+    const prompts = readSavedPrompts();
+    const response = ui.prompt(
+      'Manage Prompt Library',
+      (prompts.length > 0 ? formatSavedPromptList(prompts) : 'There are no saved prompts yet.') + '\n\n' +
+      'Enter "new" to save a prompt, "delete" and a number to delete a prompt, ' +
+      '"export" to copy the shared prompts as JSON or "import" to add prompts from JSON:',
+      ui.ButtonSet.OK_CANCEL
+    );
     
-    // Create full prompt
-    let fullPrompt = promptChain[i].prompt;
+    if (response.getSelectedButton() !== ui.Button.OK) return;
     
-    if (previousResult && promptChain[i].includeLastResult) {
-      fullPrompt += '\n\nResult from previous step:\n' + previousResult;
+    const command = response.getResponseText().trim().toLowerCase();
+    
+    if (command === 'new') {
+      createSavedPromptFromMenu();
+    } else if (command.indexOf('delete') === 0) {
+      const entry = prompts[parseInt(command.replace('delete', ''), 10) - 1];
+      if (!entry) {
+        ui.alert('Error', 'Please enter "delete" followed by one of the listed numbers.', ui.ButtonSet.OK);
+        return;
+      }
+      
+      removeSavedPrompt(entry.name, entry.scope);
+      ui.alert('Success', `Prompt "${entry.name}" deleted.`, ui.ButtonSet.OK);
+    } else if (command === 'export') {
+      const json = exportSavedPrompts('document');
+      const escaped = json.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      const html = HtmlService.createHtmlOutput(
+        `<textarea style="width: 100%; height: 260px;" readonly onclick="this.select()">${escaped}</textarea>` +
+        '<p style="font-family: Arial, sans-serif; font-size: 13px;">Copy this JSON and import it in another spreadsheet ' +
+        'via "CellMindAI" &gt; "Manage Prompt Library" &gt; "import".</p>'
+      ).setWidth(520).setHeight(360);
+      ui.showModalDialog(html, 'Export Prompt Library');
+    } else if (command === 'import') {
+      const importResponse = ui.prompt(
+        'Import Prompt Library',
+        'Paste the exported JSON. Prompts are added to the shared library, prompts with the same name are replaced:',
+        ui.ButtonSet.OK_CANCEL
+      );
+      
+      if (importResponse.getSelectedButton() !== ui.Button.OK) return;
+      
+      const count = importSavedPrompts(importResponse.getResponseText(), 'document');
+      ui.alert('Success', `${count} prompts imported.`, ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', 'Unknown command. Please enter "new", "delete" and a number, "export" or "import".', ui.ButtonSet.OK);
     }
+  } catch (e) {
+    ui.alert('Error', 'Error managing the prompt library: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Ask for the details of a new saved prompt and store it
+ */
+function createSavedPromptFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const fields = [
+    { name: 'name', label: 'Name of the prompt:', required: true },
+    { name: 'description', label: 'Short description (optional):' },
+    { name: 'prompt', label: 'Prompt text. Use {{Sheet1!B2}} or {{NamedRange}} to insert cells or ranges:', required: true },
+    { name: 'range', label: `Default data range (e.g., ${getSelectionReference() || 'Sheet1!A1:D20'}), empty for all data of the active sheet:` },
+    { name: 'model', label: 'Model (optional, empty to use the current settings):' }
+  ];
+  
+  const entry = {};
+  
+  for (let i = 0; i < fields.length; i++) {
+    const response = ui.prompt('Save Prompt', fields[i].label, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
     
-    if (dataTable) {
-      fullPrompt += '\n\nHere is the data from the table:\n\n' + dataTable;
+    const value = response.getResponseText().trim();
+    if (fields[i].required && !value) {
+      ui.alert('Error', 'This field cannot be empty.', ui.ButtonSet.OK);
+      return;
     }
     
-    // Call Claude API
-    const result = callClaudeAPI(fullPrompt);
-    previousResult = result;
-    results.push(result);
+    entry[fields[i].name] = value;
   }
   
-  return results;
+  entry.includeHeaders = ui.alert('Save Prompt', 'Does the first row of the data contain headers?', ui.ButtonSet.YES_NO) === ui.Button.YES;
+  entry.outputFormat = ui.alert('Save Prompt', 'Return the result as a table (one value per cell)?', ui.ButtonSet.YES_NO) === ui.Button.YES ?
+    'table' : 'text';
+  
+  const scopeResponse = ui.alert(
+    'Save Prompt',
+    'Who should be able to use this prompt?\n\n' +
+    '- YES: Everyone using this spreadsheet\n' +
+    '- NO: Only me (personal prompt, also available in my other spreadsheets)',
+    ui.ButtonSet.YES_NO
+  );
+  
+  storeSavedPrompt(entry, scopeResponse === ui.Button.YES ? 'document' : 'user');
+  ui.alert('Success', `Prompt "${entry.name}" saved.`, ui.ButtonSet.OK);
 }
 
 /**
- * Call the Claude API directly
- * @param {string} prompt - The prompt for Claude
- * @return {string} Claude's response
+ * Format saved prompts as a numbered list
+ * @param {Array} prompts - Saved prompts
+ * @return {string} The list
  */
-function callClaudeAPI(prompt) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    throw new Error('API key not configured');
+function formatSavedPromptList(prompts) {
+  return prompts.map((entry, i) => {
+    const scopeLabel = entry.scope === 'user' ? ' (personal)' : '';
+    return `${i + 1}. ${entry.name}${scopeLabel}${entry.description ? ' - ' + entry.description : ''}`;
+  }).join('\n');
+}
+
+/**
+ * Run a saved prompt on its default range (or the given range)
+ * @param {Object} entry - The saved prompt
+ * @param {string} range - Optional range reference overriding the saved range
+ * @return {Object} The response text and the parsed table (if the prompt returns a table)
+ */
+function runSavedPromptEntry(entry, range) {
+  return runSidebarPrompt({
+    prompt: entry.prompt,
+    range: range !== undefined ? range : entry.range,
+    includeHeaders: entry.includeHeaders !== false,
+    asTable: entry.outputFormat === 'table',
+    model: entry.model,
+    dataFormat: entry.data_format,
+    temperature: entry.temperature,
+    max_tokens: entry.max_tokens,
+    feature: 'library'
+  });
+}
+
+/**
+ * Save a prompt from the sidebar and return the updated prompt library (called from the sidebar)
+ * @param {Object} entry - The prompt to save
+ * @param {string} scope - 'document' or 'user'
+ * @return {Array} All saved prompts
+ */
+function saveSidebarPrompt(entry, scope) {
+  initLibrary();
+  storeSavedPrompt(entry, scope);
+  return readSavedPrompts();
+}
+
+/**
+ * Delete a prompt from the sidebar and return the updated prompt library (called from the sidebar)
+ * @param {string} name - Name of the prompt
+ * @param {string} scope - 'document' or 'user'
+ * @return {Array} All saved prompts
+ */
+function deleteSidebarPrompt(name, scope) {
+  initLibrary();
+  removeSavedPrompt(name, scope);
+  return readSavedPrompts();
+}
+
+/**
+ * Read the saved prompts
+ * @param {string} scope - 'document', 'user' or omitted for both (entries are marked with their scope)
+ * @return {Array} Saved prompts sorted by name
+ */
+function readSavedPrompts(scope) {
+  if (libraryAvailable && typeof CellMindLib.getSavedPrompts === 'function') {
+    return CellMindLib.getSavedPrompts(scope);
   }
   
-  const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-  const CLAUDE_MODEL = 'claude-3-5-sonnet-20240620';
+  if (scope === 'document' || scope === 'user') {
+    return readPromptLibraryDirectly(scope);
+  }
   
-  const requestOptions = {
-    model: CLAUDE_MODEL,
-    max_tokens: 4000,
-    temperature: 0.7,
-    messages: [{ role: 'user', content: prompt }]
-  };
+  return readPromptLibraryDirectly('document').map(entry => Object.assign({ scope: 'document' }, entry))
+    .concat(readPromptLibraryDirectly('user').map(entry => Object.assign({ scope: 'user' }, entry)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a prompt to the prompt library, replacing a prompt with the same name
+ * @param {Object} entry - The prompt to save
+ * @param {string} scope - 'document' or 'user'
+ */
+function storeSavedPrompt(entry, scope) {
+  // Saved prompts are validated by the library, so they can only be changed there
+  if (!libraryAvailable || typeof CellMindLib.savePrompt !== 'function') {
+    throw new Error('Saving prompts requires the CellMindAI library. Use "Run Diagnostics" to check the connection.');
+  }
   
-  const options = {
-    method: 'post',
-    headers: {
-      'x-api-key': apiKey,
-      'content-type': 'application/json',
-      'anthropic-version': '2023-06-01'
-    },
-    payload: JSON.stringify(requestOptions),
-    muteHttpExceptions: true
-  };
+  CellMindLib.savePrompt(entry, scope);
+}
+
+/**
+ * Delete a prompt from the prompt library
+ * @param {string} name - Name of the prompt
+ * @param {string} scope - 'document' or 'user'
+ */
+function removeSavedPrompt(name, scope) {
+  if (!libraryAvailable || typeof CellMindLib.deleteSavedPrompt !== 'function') {
+    throw new Error('Deleting prompts requires the CellMindAI library. Use "Run Diagnostics" to check the connection.');
+  }
   
-  const response = UrlFetchApp.fetch(ANTHROPIC_API_URL, options);
-  const responseCode = response.getResponseCode();
-  const responseText = response.getContentText();
+  CellMindLib.deleteSavedPrompt(name, scope);
+}
+
+/**
+ * Export the prompt library as JSON
+ * @param {string} scope - 'document' or 'user'
+ * @return {string} JSON with the saved prompts
+ */
+function exportSavedPrompts(scope) {
+  if (libraryAvailable && typeof CellMindLib.exportPromptLibrary === 'function') {
+    return CellMindLib.exportPromptLibrary(scope);
+  }
   
-  if (responseCode !== 200) {
-    throw new Error(`API error (${responseCode}): ${responseText}`);
+  return JSON.stringify({ cellMindPromptLibrary: 1, prompts: readPromptLibraryDirectly(scope) });
+}
+
+/**
+ * Import prompts from exported JSON, replacing prompts with the same name
+ * @param {string} json - The exported JSON (or a plain array of prompts)
+ * @param {string} scope - 'document' or 'user'
+ * @return {number} Number of imported prompts
+ */
+function importSavedPrompts(json, scope) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The prompt library is not valid JSON');
   }
   
-  const jsonResponse = JSON.parse(responseText);
-  return jsonResponse.content[0].text;
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.prompts;
+  if (!Array.isArray(entries)) {
+    throw new Error('The JSON does not contain a list of prompts');
+  }
+  
+  if (!libraryAvailable || typeof CellMindLib.importPromptLibrary !== 'function') {
+    throw new Error('Importing prompts requires the CellMindAI library. Use "Run Diagnostics" to check the connection.');
+  }
+  
+  CellMindLib.importPromptLibrary(JSON.stringify(entries), scope);
+  return entries.length;
 }
 
 /**
- * Helper function to find a column based on keywords
- * @param {Array} headers - Array of header strings
- * @param {Array} keywords - Array of keywords to match
- * @return {number} Index of found column or -1
+ * Read the prompt library of one scope without library (saved prompts can still be run in fallback mode)
+ * Shared prompts are kept in a hidden sheet, personal prompts in the user properties (same storage as the library)
+ * @param {string} scope - 'document' or 'user'
+ * @return {Array} Saved prompts sorted by name
  */
-function findColumnIndex(headers, keywords) {
-  for (let i = 0; i < headers.length; i++) {
-    for (let j = 0; j < keywords.length; j++) {
-      if (headers[i].includes(keywords[j])) {
-        return i;
-      }
+function readPromptLibraryDirectly(scope) {
+  const stored = scope === 'user' ?
+    PropertiesService.getUserProperties().getProperty(PROMPT_LIBRARY_PROPERTY) :
+    readStoreValue(PROMPT_LIBRARY_SHEET, PROMPT_LIBRARY_KEY);
+  
+  return (stored ? JSON.parse(stored) : []).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Split a range reference into sheet name and A1 notation
+ * @param {string} reference - e.g. 'Sales 2024'!A1:D20, Sheet1!A1:B5, A1:B5 or empty
+ * @return {Object} sheetName (undefined for the active sheet) and range (undefined for all data)
+ */
+function splitRangeReference(reference) {
+  const text = String(reference || '').trim();
+  const separator = text.lastIndexOf('!');
+  
+  if (separator === -1) {
+    return { sheetName: undefined, range: text || undefined };
+  }
+  
+  const sheetName = text.substring(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+  return { sheetName: sheetName, range: text.substring(separator + 1) || undefined };
+}
+
+/**
+ * Process the current sheet row by row, writing one answer per row
+ */
+function processRowsWithCellMind() {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (!libraryAvailable || typeof CellMindLib.processRows !== 'function') {
+    ui.alert('Library Required', 'Row-by-row processing requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  try {
+    // Check for API key
+    if (!hasApiKey()) {
+      ui.alert('Error', 'Please configure your API key first', ui.ButtonSet.OK);
+      return;
+    }
+    
+    // Get prompt template
+    const promptResponse = ui.prompt(
+      'Process Rows with CellMindAI',
+      'Enter the prompt for each row. Use {{Header}} to insert a value from the row (e.g., "Qualify the lead {{Company}}"):',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (promptResponse.getSelectedButton() !== ui.Button.OK) return;
+    
+    const promptTemplate = promptResponse.getResponseText().trim();
+    if (!promptTemplate) {
+      ui.alert('Error', 'Prompt cannot be empty', ui.ButtonSet.OK);
+      return;
+    }
+    
+    // Get source range
+    const rangeResponse = ui.prompt(
+      'Source Range',
+      'Enter the source range including the header row (e.g., A1:E50) or leave empty for all data:',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (rangeResponse.getSelectedButton() !== ui.Button.OK) return;
+    
+    const rangeStr = rangeResponse.getResponseText().trim();
+    
+    // Get target column
+    const columnResponse = ui.prompt(
+      'Target Column',
+      'Enter the column for the answers (e.g., F). Rows that already have an answer are skipped:',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (columnResponse.getSelectedButton() !== ui.Button.OK) return;
+    
+    const targetColumn = columnResponse.getResponseText().trim();
+    if (!targetColumn) {
+      ui.alert('Error', 'Target column cannot be empty', ui.ButtonSet.OK);
+      return;
+    }
+    
+    // Process rows
+    const summary = CellMindLib.processRows(promptTemplate, {
+      range: rangeStr || undefined,
+      targetColumn: targetColumn
+    });
+    
+    let message = `Processed: ${summary.processed}\nSkipped: ${summary.skipped}\nFailed: ${summary.failed}`;
+    if (summary.errors.length > 0) {
+      message += '\n\nFailures:\n' + summary.errors
+        .slice(0, 10)
+        .map(error => `Row ${error.row}: ${error.message}`)
+        .join('\n');
+    }
+    
+    ui.alert('Row Processing Complete', message + formatWithheldNotice(summary.withheld), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Row processing error: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Classify a text column of the current sheet into a fixed label set, writing label and confidence per row
+ */
+function classifyRowsWithCellMind() {
+  if (libraryAvailable && typeof CellMindLib.showClassificationDialog === 'function') {
+    CellMindLib.showClassificationDialog();
+    return;
+  }
+  
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'Classification requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+}
+
+/**
+ * Sends a prompt and optional cell data to CellMindAI and returns the answer.
+ * Results are cached, so recalculation does not repeat identical requests.
+ *
+ * @param {string} prompt The instruction for CellMindAI, e.g. "Summarize".
+ * @param {A2:D2} range Optional cells to send along with the prompt.
+ * @return The response from CellMindAI.
+ * @customfunction
+ */
+function CELLMIND(prompt, range) {
+  if (!prompt || String(prompt).trim() === '') {
+    throw new Error('Prompt cannot be empty');
+  }
+  
+  // Custom functions run in their own execution, so onOpen has not initialized the library
+  if (initLibrary() && typeof CellMindLib.cellMind === 'function') {
+    return CellMindLib.cellMind(prompt, range);
+  }
+  
+  return cellMindDirectly(prompt, range);
+}
+
+/**
+ * CELLMIND custom function without library
+ * callClaudeAPI refuses to send while redaction, a data policy or the audit log is on
+ * @param {string} prompt - The prompt for Claude
+ * @param {Array|*} range - Cell value or 2D array passed to the custom function
+ * @return {string} Claude's response
+ */
+function cellMindDirectly(prompt, range) {
+  // Normalize single cells and empty arguments to a 2D array
+  let data = [];
+  if (Array.isArray(range)) {
+    data = range;
+  } else if (range !== undefined && range !== null && range !== '') {
+    data = [[range]];
+  }
+  
+  // Custom functions only receive values, so there is no range to check the policy against
+  data = applyDataPolicy(null, data, { rowLimit: false });
+  
+  return callClaudeAPIWithData(String(prompt), data, { feature: 'formula' });
+}
+
+/**
+ * Enhanced prompt chain execution function
+ */
+function executePromptChain() {
+  const ui = SpreadsheetApp.getUi();
+  
+  // Check for API key
+  if (!hasApiKey()) {
+    ui.alert(
+      'API Key Missing', 
+      'Please configure your API key first via the "CellMindAI" > "Configure API Key" menu.',
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+  
+  // Clear options
+  const result = ui.alert(
+    'Execute Prompt Chain',
+    'What would you like to do?\n\n' +
+    '- YES: Create a new template for prompt chains\n' +
+    '- NO: Execute an existing prompt chain from the current sheet\n' +
+    '- CANCEL: Return to spreadsheet',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  if (result === ui.Button.YES) {
+    createPromptChainTemplate();
+  } else if (result === ui.Button.NO) {
+    executePromptChainFromCurrentSheet();
+  }
+}
+
+/**
+ * Creates a template for prompt chains
+ */
+function createPromptChainTemplate() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // Check if template already exists
+  let sheet = ss.getSheetByName('Prompt Chain Template');
+  if (sheet) {
+    const renameResult = ui.alert(
+      'Existing Template Found',
+      'A "Prompt Chain Template" already exists. What would you like to do?\n\n' +
+      '- YES: Overwrite the existing template\n' +
+      '- NO: Rename the existing template and create a new one\n' +
+      '- CANCEL: Abort operation',
+      ui.ButtonSet.YES_NO_CANCEL
+    );
+    
+    if (renameResult === ui.Button.CANCEL) {
+      return;
+    } else if (renameResult === ui.Button.NO) {
+      // Rename
+      sheet.setName('Prompt Chain Template (old)');
+      sheet = null;
+    }
+    // For YES: Overwrite, so use existing sheet
+  }
+  
+  // Create new template if needed
+  if (!sheet) {
+    sheet = ss.insertSheet('Prompt Chain Template');
+  } else {
+    // Clear the sheet if we're overwriting
+    sheet.clear();
+  }
+  
+  // Set headers
+  sheet.getRange('A1:F1').setValues([['Prompt', 'Data Range', 'Include Previous Result', 'Notes', 'System Prompt', 'Step ID']]);
+  sheet.getRange('A1:F1').setFontWeight('bold');
+  
+  // Example data
+  sheet.getRange('A2:F5').setValues([
+    ['Analyze this data and identify the top 3 trends', 'Sheet1!A1:F20', 'NO', 'Initial analysis of raw data', '', 'trends'],
+    ['Based on the above analysis, explain possible causes for these trends', '', 'YES', 'Cause analysis based on step 1', '', 'causes'],
+    ['Create recommendations for these trends:\n{{step:trends}}\n\nTake these causes into account:\n{{step:causes}}', '', 'NO', 'Uses steps 1+2 via step references', '', 'recommendations'],
+    ['Summarize all findings and recommendations in a concise executive summary', '', 'YES', 'Final conclusion for management', 'You write for senior management: short, clear, no jargon.', 'summary']
+  ]);
+  
+  // Formatting
+  sheet.setColumnWidth(1, 400); // Prompt
+  sheet.setColumnWidth(2, 200); // Data range
+  sheet.setColumnWidth(3, 200); // Include previous
+  sheet.setColumnWidth(4, 250); // Notes
+  sheet.setColumnWidth(5, 300); // System prompt
+  sheet.setColumnWidth(6, 150); // Step ID
+  
+  // Add help and description
+  sheet.getRange('A7:D7').merge();
+  sheet.getRange('A7').setValue('HELP: How to use this template');
+  sheet.getRange('A7').setFontWeight('bold');
+  
+  sheet.getRange('A8:D16').merge();
+  sheet.getRange('A8').setValue(
+    'CELL AND RANGE PLACEHOLDERS (in prompts):\n' +
+    '- {{Config!B2}} inserts the value of a cell, {{Targets}} or {{Sheet1!A1:D10}} inserts a range as a table\n\n' +
+    'DATA RANGE REFERENCES:\n' +
+    '- Single sheet: Sheet1!A1:F20\n' +
+    '- Named range: NamedRange\n' +
+    '- Current sheet: A1:D10\n' +
+    '- Leave empty for no additional data\n\n' +
+    'INCLUDE PREVIOUS RESULT:\n' +
+    '- YES: Result from previous step will be included in this prompt\n' +
+    '- NO: Prompt will be executed without previous result\n\n' +
+    'SYSTEM PROMPT (optional):\n' +
+    '- Overrides the spreadsheet system prompt (CellMindAI > Set System Prompt) for this step\n\n' +
+    'STEP ID (optional):\n' +
+    '- Name a step (letters, digits, "-", "_") and use its output in any later prompt with {{step:id}}\n' +
+    '- {{step:2}} refers to the output of step 2\n\n' +
+    'After filling in, execute the chain via: CellMindAI > Execute Prompt Chain > NO (Execute existing)'
+  );
+  
+  // Cell formatting - "Include Previous Result" column
+  const validationRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['YES', 'NO'], true)
+    .build();
+  sheet.getRange('C2:C100').setDataValidation(validationRule);
+  
+  // Examples for data range references
+  sheet.getRange('A18:D18').merge();
+  sheet.getRange('A18').setValue('EXAMPLES OF DATA RANGE REFERENCES:');
+  sheet.getRange('A18').setFontWeight('bold');
+  
+  sheet.getRange('A19:D22').setValues([
+    ['Type', 'Example', 'Description', 'Usage'],
+    ['Simple Range', 'A1:D10', 'Range in current sheet', 'For data in current sheet'],
+    ['Sheet Reference', 'Sheet1!A1:F20', 'Range in another sheet', 'For data in other sheets'],
+    ['Named Range', 'MyRange', 'Named range in spreadsheet', 'For predefined data ranges']
+  ]);
+  
+  // Success notification
+  ui.alert(
+    'Template Created',
+    'The prompt chain template has been successfully created. Fill it with your prompts and then execute the chain with "Execute Prompt Chain" > NO.',
+    ui.ButtonSet.OK
+  );
+  
+  // Switch to new sheet
+  sheet.activate();
+  
+  return sheet;
+}
+
+/**
+ * Executes a prompt chain from the current sheet
+ * Enhanced version with better data referencing
+ * @param {boolean} preview - Only preview the requests instead of sending them
+ */
+function executePromptChainFromCurrentSheet(preview) {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  
+  let promptChain;
+  try {
+    promptChain = buildPromptChainFromSheet(sheet, (rangeReference, rowNumber, e) => {
+      // Show warning for invalid range
+      const continueResult = ui.alert(
+        'Data Range Issue',
+        `There was a problem with the data range "${rangeReference}" in row ${rowNumber}: ${e.message}\n\n` +
+        'Would you like to continue with an empty data set for this step?',
+        ui.ButtonSet.YES_NO
+      );
+      
+      return continueResult === ui.Button.YES;
+    });
+  } catch (e) {
+    ui.alert(e.title || 'Invalid Prompt Chain', e.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  // Aborted because of a data range issue
+  if (!promptChain) return;
+  
+  // Validate step references before any API call is made
+  try {
+    if (libraryAvailable && typeof CellMindLib.validatePromptChain === 'function') {
+      CellMindLib.validatePromptChain(promptChain);
+    } else {
+      validatePromptChainDirectly(promptChain);
+    }
+  } catch (e) {
+    ui.alert('Invalid Prompt Chain', e.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  // Resolve cell and range placeholders now, so resumed executions use the same prompts
+  // and the confirmation can list everything the data policy withheld
+  let resolvedChain;
+  try {
+    resolvedChain = promptChain.map(step => Object.assign({}, step, {
+      prompt: libraryAvailable && typeof CellMindLib.resolvePlaceholders === 'function' ?
+        CellMindLib.resolvePlaceholders(step.prompt) :
+        resolvePlaceholdersDirectly(step.prompt)
+    }));
+  } catch (e) {
+    ui.alert('Invalid Prompt Chain', e.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  if (preview === true) {
+    try {
+      showRequestPreview(previewPromptChain(resolvedChain), withheldData);
+    } catch (e) {
+      ui.alert('Error', 'Error previewing the prompt chain: ' + e.message, ui.ButtonSet.OK);
+    }
+    return;
+  }
+  
+  // Get confirmation
+  const confirmResult = ui.alert(
+    'Execute Prompt Chain',
+    `Ready to execute ${promptChain.length} prompts in sequence.\n\n` +
+    'Results will be saved in a new sheet.' + formatWithheldNotice(withheldData) + '\n\n' +
+    'Continue?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (confirmResult !== ui.Button.YES) return;
+  
+  // Show progress indicator
+  const statusDialog = ui.alert(
+    'Execution Started',
+    'The prompt chain is now being executed. This may take some time depending on the number and complexity of prompts.\n\n' +
+    'Long chains are paused before the execution time limit and continue automatically in the background.\n\n' +
+    'Click OK to continue. You will be notified when execution is complete.',
+    ui.ButtonSet.OK
+  );
+  
+  // Execute prompt chain (either with library or directly)
+  try {
+    const run = startPromptChainRun(resolvedChain);
+    showChainRunStatus(run);
+  } catch (error) {
+    ui.alert(
+      'Execution Error',
+      'An error occurred while executing the prompt chain:\n\n' + error.message + '\n\n' +
+      'Completed steps have been saved. Use "CellMindAI" > "Resume Last Chain" to continue.',
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Assemble the requests of a prompt chain without sending them, using the library if available
+ * @param {Array} promptChain - Array of prompt objects with resolved placeholders
+ * @return {Array} Request previews of all steps
+ */
+function previewPromptChain(promptChain) {
+  const options = { preview: true, resolvePlaceholders: false };
+  
+  if (libraryAvailable && typeof CellMindLib.writeRequestPreview === 'function') {
+    const steps = CellMindLib.executePromptChain(promptChain, options);
+    return steps.reduce((previews, step) => previews.concat(step.previews), []);
+  }
+  
+  executeChainDirectly(promptChain, options);
+  return previewRequests;
+}
+
+/**
+ * Build a prompt chain from a chain sheet
+ * Columns are identified by their headers (prompt, data range, include previous result, system prompt, step ID)
+ * @param {Sheet} sheet - The chain sheet
+ * @param {Function} onRangeError - Called with (rangeReference, rowNumber, error) for invalid data ranges;
+ *   return true to continue with an empty data set for the step, false to abort
+ * @return {Array|null} Array of prompt objects, or null if aborted
+ */
+function buildPromptChainFromSheet(sheet, onRangeError) {
+  const ss = sheet.getParent();
+  const data = sheet.getDataRange().getValues();
+  
+  if (data.length < 2) {
+    throw chainSheetError(
+      'Insufficient Data',
+      'The sheet must contain at least a header row and one data row.'
+    );
+  }
+  
+  // Identify columns by their headers, regardless of position
+  const headers = data[0].map(h => String(h).toLowerCase().replace(/\s+/g, ' ').trim());
+  
+  // Find prompt column (required)
+  const promptCol = findColumnIndex(headers, CHAIN_COLUMN_HEADERS.prompt);
+  
+  if (promptCol === -1) {
+    throw chainSheetError(
+      'Prompt Column Missing',
+      'Could not find a column with the header "Prompt". ' +
+      'Please ensure your sheet has such a column.'
+    );
+  }
+  
+  // Find data range column (optional)
+  const rangeCol = findColumnIndex(headers, CHAIN_COLUMN_HEADERS.range);
+  
+  // Find previous result column (optional)
+  const includeCol = findColumnIndex(headers, CHAIN_COLUMN_HEADERS.includeLastResult);
+  
+  // Find system prompt column (optional)
+  const systemCol = findColumnIndex(headers, CHAIN_COLUMN_HEADERS.system);
+  
+  // Find step ID column (optional)
+  const idCol = findColumnIndex(headers, CHAIN_COLUMN_HEADERS.id);
+  
+  // Build prompt chain
+  const promptChain = [];
+  let hasValidPrompts = false;
+  withheldData = [];
+  
+  for (let i = 1; i < data.length; i++) {
+    const promptText = data[i][promptCol];
+    
+    // Skip empty rows
+    if (!promptText || promptText.trim() === '') continue;
+    
+    hasValidPrompts = true;
+    
+    // Process data range if specified
+    let rangeData = [];
+    let dataRange = null;
+    if (rangeCol !== -1 && data[i][rangeCol]) {
+      const rangeReference = data[i][rangeCol].toString().trim();
+      
+      if (rangeReference) {
+        try {
+          // Process different reference types
+          if (rangeReference.includes('!')) {
+            // Sheet reference (e.g. "Sheet1!A1:B10")
+            const [sheetName, rangeAddress] = rangeReference.split('!');
+            const targetSheet = ss.getSheetByName(sheetName);
+            
+            if (!targetSheet) {
+              throw new Error(`Sheet "${sheetName}" not found`);
+            }
+            
+            dataRange = targetSheet.getRange(rangeAddress);
+          } else {
+            try {
+              // Try as named range
+              const namedRange = ss.getRangeByName(rangeReference);
+              
+              if (namedRange) {
+                dataRange = namedRange;
+              } else {
+                // Try as normal range in current sheet
+                dataRange = sheet.getRange(rangeReference);
+              }
+            } catch (e) {
+              // Try as normal range in current sheet
+              dataRange = sheet.getRange(rangeReference);
+            }
+          }
+          
+          rangeData = applyDataPolicy(dataRange, getRangeValues(dataRange));
+        } catch (e) {
+          dataRange = null;
+          
+          // Let the caller decide whether to continue with an empty data set
+          if (!onRangeError(rangeReference, i + 1, e)) {
+            return null;
+          }
+        }
+      }
+    }
+    
+    // Check if previous result should be included
+    let includeLastResult = false;
+    if (includeCol !== -1) {
+      const includeValue = String(data[i][includeCol]).toLowerCase().trim();
+      includeLastResult = 
+        includeValue === 'yes' || 
+        includeValue === 'true' || 
+        includeValue === '1';
+    }
+    
+    // Per-step system prompt overrides the spreadsheet system prompt
+    const stepOptions = {};
+    if (systemCol !== -1 && String(data[i][systemCol]).trim() !== '') {
+      stepOptions.system = String(data[i][systemCol]).trim();
+    }
+    
+    // Add prompt object to chain
+    promptChain.push({
+      id: idCol !== -1 ? String(data[i][idCol]).trim() : '',
+      prompt: promptText,
+      data: rangeData,
+      range: dataRange ? `${dataRange.getSheet().getName()}!${dataRange.getA1Notation()}` : '',
+      includeLastResult: includeLastResult,
+      options: stepOptions
+    });
+  }
+  
+  if (!hasValidPrompts) {
+    throw chainSheetError(
+      'No Valid Prompts',
+      'No valid prompts were found in the sheet. Please add at least one prompt.'
+    );
+  }
+  
+  return promptChain;
+}
+
+/**
+ * Helper function to create a chain sheet error with a dialog title
+ * @param {string} title - Dialog title
+ * @param {string} message - Error message
+ * @return {Error} The error
+ */
+function chainSheetError(title, message) {
+  const error = new Error(message);
+  error.title = title;
+  return error;
+}
+
+/**
+ * Start a new persisted prompt chain run
+ * @param {Array} promptChain - Array of prompt objects (placeholders already resolved)
+ * @return {Object} The chain run state
+ */
+function startPromptChainRun(promptChain) {
+  const run = {
+    id: Utilities.getUuid(),
+    chain: promptChain,
+    results: [],
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    error: null,
+    resultSheet: null
+  };
+  
+  saveChainRun(run);
+  return continuePromptChainRun(run);
+}
+
+/**
+ * Continue a persisted prompt chain run until it completes or the time budget is used up
+ * Progress is saved after every step; a paused run schedules its own continuation
+ * @param {Object} run - The chain run state
+ * @return {Object} The updated chain run state
+ */
+function continuePromptChainRun(run) {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(5000)) {
+    throw new Error('The prompt chain is currently being executed by another process');
+  }
+  
+  try {
+    deleteChainResumeTriggers();
+    
+    run.status = 'running';
+    run.error = null;
+    
+    const chainOptions = {
+      startIndex: run.results.length,
+      previousResults: run.results.slice(),
+      deadline: Date.now() + CHAIN_TIME_BUDGET_MS,
+      resolvePlaceholders: false,
+      onStepComplete: (index, result) => {
+        run.results.push(typeof result === 'string' ? result : result.response);
+        saveChainRun(run);
+      }
+    };
+    
+    try {
+      if (libraryAvailable && typeof CellMindLib.executePromptChain === 'function') {
+        CellMindLib.executePromptChain(run.chain, chainOptions);
+      } else {
+        executeChainDirectly(run.chain, chainOptions);
+      }
+    } catch (e) {
+      run.status = 'failed';
+      run.error = e.message;
+      saveChainRun(run);
+      throw e;
+    }
+    
+    if (run.results.length < run.chain.length) {
+      // Continue in a new execution shortly
+      run.status = 'paused';
+      saveChainRun(run);
+      ScriptApp.newTrigger(CHAIN_RESUME_HANDLER).timeBased().after(60 * 1000).create();
+    } else {
+      const resultSheet = writeChainResults(run.chain, run.results);
+      run.status = 'completed';
+      run.resultSheet = resultSheet.getName();
+      saveChainRun(run);
+    }
+    
+    return run;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Resume the last paused or failed prompt chain (menu action)
+ */
+function resumeLastPromptChain() {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (!hasApiKey()) {
+    ui.alert('Error', 'Please configure your API key first', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const run = loadChainRun();
+  if (!run) {
+    ui.alert('No Prompt Chain', 'There is no prompt chain to resume.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  if (run.status === 'completed') {
+    ui.alert('Prompt Chain Complete', `The last prompt chain has already completed. Results: "${run.resultSheet}".`, ui.ButtonSet.OK);
+    return;
+  }
+  
+  const confirmResult = ui.alert(
+    'Resume Last Chain',
+    `The prompt chain started ${new Date(run.startedAt).toLocaleString()} is ${run.status}.\n` +
+    `${run.results.length} of ${run.chain.length} steps are completed.` +
+    (run.error ? `\n\nLast error: ${run.error}` : '') +
+    '\n\nResume with the next step?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (confirmResult !== ui.Button.YES) return;
+  
+  try {
+    showChainRunStatus(continuePromptChainRun(run));
+  } catch (error) {
+    ui.alert('Execution Error', 'An error occurred while resuming the prompt chain:\n\n' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Time-driven trigger handler that continues a paused prompt chain
+ */
+function resumePromptChainInBackground() {
+  // Triggers run in a new execution, so onOpen has not initialized the library
+  initLibrary();
+  
+  const run = loadChainRun();
+  if (!run || run.status === 'completed') {
+    deleteChainResumeTriggers();
+    return;
+  }
+  
+  try {
+    continuePromptChainRun(run);
+  } catch (e) {
+    console.error('Error resuming prompt chain: ' + e.message);
+  }
+}
+
+/**
+ * Show the outcome of a chain run to the user
+ * @param {Object} run - The chain run state
+ */
+function showChainRunStatus(run) {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (run.status === 'completed') {
+    ui.alert(
+      'Execution Complete',
+      'The prompt chain was successfully executed. Results have been saved to a new sheet.',
+      ui.ButtonSet.OK
+    );
+    
+    // Switch to results sheet
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(run.resultSheet).activate();
+  } else {
+    ui.alert(
+      'Execution Paused',
+      `${run.results.length} of ${run.chain.length} steps are completed. To stay within the execution time limit, ` +
+      'the remaining steps continue automatically in the background. The results sheet is created when the chain is complete.',
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Write the results of a prompt chain to a new sheet
+ * @param {Array} promptChain - Array of prompt objects
+ * @param {Array} results - Array of responses
+ * @return {Sheet} The results sheet
+ */
+function writeChainResults(promptChain, results) {
+  const resultSheet = SpreadsheetApp.getActiveSpreadsheet()
+    .insertSheet(`Prompt Chain Results ${new Date().toLocaleString()}`);
+  
+  // Heading
+  resultSheet.getRange('A1').setValue('Prompt Chain Results');
+  resultSheet.getRange('A1').setFontWeight('bold');
+  resultSheet.getRange('A1:E1').merge();
+  
+  // Write results
+  for (let i = 0; i < results.length; i++) {
+    // Step heading
+    resultSheet.getRange(`A${i*5+3}`).setValue(promptChain[i].id ? `Step ${i+1} (${promptChain[i].id}):` : `Step ${i+1}:`);
+    resultSheet.getRange(`A${i*5+3}`).setFontWeight('bold');
+    resultSheet.getRange(`B${i*5+3}`).setValue(promptChain[i].prompt);
+    resultSheet.getRange(`B${i*5+3}:E${i*5+3}`).merge();
+    
+    // Result
+    resultSheet.getRange(`A${i*5+4}`).setValue(escapeFormula(results[i].response || results[i]));
+    resultSheet.getRange(`A${i*5+4}:E${i*5+4}`).merge();
+    resultSheet.getRange(`A${i*5+4}`).setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+    
+    // Spacing between results
+    if (i < results.length - 1) {
+      resultSheet.getRange(`A${i*5+6}`).setValue('');
+    }
+  }
+  
+  // Formatting
+  resultSheet.setColumnWidth(1, 200);
+  resultSheet.setColumnWidths(2, 4, 150);
+  recordAuditOutput(resultSheet.getDataRange());
+  
+  return resultSheet;
+}
+
+/**
+ * Persist the state of a prompt chain run
+ * @param {Object} run - The chain run state
+ */
+function saveChainRun(run) {
+  writeStoreValue(CHAIN_STATE_SHEET, CHAIN_STATE_KEY, JSON.stringify(run), null);
+}
+
+/**
+ * Load the state of the last prompt chain run
+ * @return {Object|null} The chain run state or null
+ */
+function loadChainRun() {
+  const value = readStoreValue(CHAIN_STATE_SHEET, CHAIN_STATE_KEY);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Remove pending continuation triggers of prompt chain runs
+ * @param {string} handler - Handler function of the triggers (defaults to the manual chain runs)
+ */
+function deleteChainResumeTriggers(handler = CHAIN_RESUME_HANDLER) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === handler)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Schedule the prompt chain in the current sheet to run hourly, daily or weekly (menu action)
+ */
+function schedulePromptChain() {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (!hasApiKey()) {
+    ui.alert('Error', 'Please configure your API key first', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  
+  // Make sure the current sheet contains a valid prompt chain
+  try {
+    const promptChain = buildPromptChainFromSheet(sheet, () => true);
+    
+    if (libraryAvailable && typeof CellMindLib.validatePromptChain === 'function') {
+      CellMindLib.validatePromptChain(promptChain);
+    } else {
+      validatePromptChainDirectly(promptChain);
+    }
+  } catch (e) {
+    ui.alert(e.title || 'Invalid Prompt Chain', e.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  const frequencyResponse = ui.prompt(
+    'Schedule Prompt Chain',
+    `How often should the prompt chain in "${sheet.getName()}" run? (hourly, daily or weekly)`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (frequencyResponse.getSelectedButton() !== ui.Button.OK) return;
+  
+  const frequency = frequencyResponse.getResponseText().toLowerCase().trim();
+  if (['hourly', 'daily', 'weekly'].indexOf(frequency) === -1) {
+    ui.alert('Error', 'Please enter hourly, daily or weekly.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const schedule = {
+    sheetName: sheet.getName(),
+    frequency: frequency,
+    createdBy: Session.getActiveUser().getEmail(),
+    createdAt: new Date().toISOString()
+  };
+  
+  if (frequency === 'weekly') {
+    const dayResponse = ui.prompt(
+      'Schedule Prompt Chain',
+      'On which day of the week? (e.g. Monday, default: Monday)',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (dayResponse.getSelectedButton() !== ui.Button.OK) return;
+    
+    const day = (dayResponse.getResponseText().trim() || 'Monday').toUpperCase();
+    if (!ScriptApp.WeekDay[day]) {
+      ui.alert('Error', `"${dayResponse.getResponseText()}" is not a day of the week.`, ui.ButtonSet.OK);
+      return;
+    }
+    
+    schedule.weekDay = day;
+  }
+  
+  if (frequency !== 'hourly') {
+    const hourResponse = ui.prompt(
+      'Schedule Prompt Chain',
+      'At which hour of the day (0-23, spreadsheet time zone)? Default: 7',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (hourResponse.getSelectedButton() !== ui.Button.OK) return;
+    
+    const hourText = hourResponse.getResponseText().trim();
+    const hour = hourText === '' ? 7 : Number(hourText);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      ui.alert('Error', 'The hour must be a whole number between 0 and 23.', ui.ButtonSet.OK);
+      return;
+    }
+    
+    schedule.hour = hour;
+  }
+  
+  try {
+    createChainSchedule(schedule);
+    
+    ui.alert(
+      'Prompt Chain Scheduled',
+      `The prompt chain in "${schedule.sheetName}" now runs ${describeChainSchedule(schedule)}.\n\n` +
+      `Each run is appended to the "${CHAIN_HISTORY_SHEET}" sheet.`,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    ui.alert('Error', 'Error scheduling prompt chain: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * List scheduled prompt chains and remove one (menu action)
+ */
+function manageScheduledChains() {
+  const ui = SpreadsheetApp.getUi();
+  const schedules = getChainSchedules();
+  const triggerIds = Object.keys(schedules);
+  
+  if (triggerIds.length === 0) {
+    ui.alert('Scheduled Chains', 'No prompt chains are scheduled in this spreadsheet.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const list = triggerIds.map((triggerId, i) => {
+    const schedule = schedules[triggerId];
+    return `${i + 1}. "${schedule.sheetName}" ${describeChainSchedule(schedule)} (created by ${schedule.createdBy || 'unknown'})`;
+  }).join('\n');
+  
+  const response = ui.prompt(
+    'Scheduled Chains',
+    list + '\n\nEnter the number of a schedule to remove it, or click Cancel to keep all schedules:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  const index = parseInt(response.getResponseText(), 10) - 1;
+  if (isNaN(index) || index < 0 || index >= triggerIds.length) {
+    ui.alert('Error', 'Please enter one of the listed numbers.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const removed = schedules[triggerIds[index]];
+  deleteChainSchedule(triggerIds[index]);
+  ui.alert('Schedule Removed', `The schedule for "${removed.sheetName}" has been removed.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Create the trigger for a prompt chain schedule and store the schedule
+ * @param {Object} schedule - Schedule with sheetName, frequency, weekDay and hour
+ * @return {string} The unique ID of the created trigger
+ */
+function createChainSchedule(schedule) {
+  let builder = ScriptApp.newTrigger(CHAIN_SCHEDULE_HANDLER).timeBased();
+  
+  if (schedule.frequency === 'hourly') {
+    builder = builder.everyHours(1);
+  } else if (schedule.frequency === 'daily') {
+    builder = builder.everyDays(1).atHour(schedule.hour);
+  } else {
+    builder = builder.onWeekDay(ScriptApp.WeekDay[schedule.weekDay]).atHour(schedule.hour);
+  }
+  
+  const trigger = builder.create();
+  const schedules = getChainSchedules();
+  schedules[trigger.getUniqueId()] = schedule;
+  saveChainSchedules(schedules);
+  
+  return trigger.getUniqueId();
+}
+
+/**
+ * Delete a prompt chain schedule and its trigger
+ * @param {string} triggerId - Unique ID of the schedule trigger
+ */
+function deleteChainSchedule(triggerId) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getUniqueId() === triggerId)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  
+  const schedules = getChainSchedules();
+  delete schedules[triggerId];
+  saveChainSchedules(schedules);
+  
+  // Drop a run of this schedule that is waiting to continue
+  const runs = loadScheduledRuns();
+  if (runs[triggerId]) {
+    delete runs[triggerId];
+    saveScheduledRuns(runs);
+  }
+}
+
+/**
+ * Get all prompt chain schedules of this spreadsheet
+ * @return {Object} Map of trigger ID to schedule
+ */
+function getChainSchedules() {
+  const value = PropertiesService.getDocumentProperties().getProperty(CHAIN_SCHEDULES_PROPERTY);
+  return value ? JSON.parse(value) : {};
+}
+
+/**
+ * Store the prompt chain schedules of this spreadsheet
+ * @param {Object} schedules - Map of trigger ID to schedule
+ */
+function saveChainSchedules(schedules) {
+  PropertiesService.getDocumentProperties().setProperty(CHAIN_SCHEDULES_PROPERTY, JSON.stringify(schedules));
+}
+
+/**
+ * Describe when a schedule runs
+ * @param {Object} schedule - The schedule
+ * @return {string} Human-readable description
+ */
+function describeChainSchedule(schedule) {
+  if (schedule.frequency === 'hourly') return 'every hour';
+  
+  const time = `at ${schedule.hour}:00`;
+  if (schedule.frequency === 'daily') return `every day ${time}`;
+  
+  const day = schedule.weekDay.charAt(0) + schedule.weekDay.slice(1).toLowerCase();
+  return `every ${day} ${time}`;
+}
+
+/**
+ * Time-driven trigger handler that runs a scheduled prompt chain
+ * A run that reaches the time budget is saved and continues in a new execution; if it is still
+ * unfinished when the schedule fires again, that run is continued instead of starting a new one
+ * @param {Object} e - The trigger event
+ */
+function runScheduledPromptChain(e) {
+  // Triggers run in a new execution, so onOpen has not initialized the library
+  initLibrary();
+  
+  const schedule = e && getChainSchedules()[e.triggerUid];
+  if (!schedule) {
+    console.error('No prompt chain schedule found for trigger ' + (e && e.triggerUid));
+    return;
+  }
+  
+  const pending = loadScheduledRuns()[e.triggerUid];
+  if (pending) {
+    try {
+      continueScheduledRun(e.triggerUid, pending, []);
+    } catch (error) {
+      console.error('Error continuing scheduled prompt chain: ' + error.message);
+    }
+    return;
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timestamp = new Date();
+  const history = [];
+  
+  try {
+    const sheet = ss.getSheetByName(schedule.sheetName);
+    if (!sheet) {
+      throw new Error(`Sheet "${schedule.sheetName}" not found`);
+    }
+    
+    // Relative ranges and placeholders refer to the chain sheet
+    ss.setActiveSheet(sheet);
+    
+    // Nobody can answer a dialog here, so invalid ranges are logged and continue with empty data
+    const promptChain = buildPromptChainFromSheet(sheet, (rangeReference, rowNumber, error) => {
+      history.push([timestamp, schedule.sheetName, rowNumber, '', rangeReference, error.message, 'Warning: empty data used']);
+      return true;
+    });
+    
+    const resolvedChain = promptChain.map(step => Object.assign({}, step, {
+      prompt: libraryAvailable && typeof CellMindLib.resolvePlaceholders === 'function' ?
+        CellMindLib.resolvePlaceholders(step.prompt) :
+        resolvePlaceholdersDirectly(step.prompt)
+    }));
+    
+    withheldData.forEach(item => {
+      history.push([timestamp, schedule.sheetName, '', '', '', 'Withheld by the data policy: ' + item, 'Warning']);
+    });
+    
+    const run = {
+      sheetName: schedule.sheetName,
+      startedAt: timestamp.toISOString(),
+      chain: resolvedChain,
+      results: []
+    };
+    
+    continueScheduledRun(e.triggerUid, run, history);
+  } catch (error) {
+    history.push([timestamp, schedule.sheetName, '', '', '', error.message, 'Error']);
+    appendChainHistory(history);
+  }
+}
+
+/**
+ * Time-driven trigger handler that continues scheduled chain runs paused at the time budget
+ * One run is continued per execution; the trigger is created again while runs are waiting
+ */
+function resumeScheduledChainsInBackground() {
+  // Triggers run in a new execution, so onOpen has not initialized the library
+  initLibrary();
+  deleteChainResumeTriggers(SCHEDULED_RESUME_HANDLER);
+  
+  const runs = loadScheduledRuns();
+  const schedules = getChainSchedules();
+  const triggerId = Object.keys(runs)[0];
+  if (!triggerId) return;
+  
+  // The schedule was removed since the run paused
+  if (!schedules[triggerId]) {
+    delete runs[triggerId];
+    saveScheduledRuns(runs);
+    if (Object.keys(runs).length > 0) {
+      ScriptApp.newTrigger(SCHEDULED_RESUME_HANDLER).timeBased().after(60 * 1000).create();
+    }
+    return;
+  }
+  
+  try {
+    continueScheduledRun(triggerId, runs[triggerId], []);
+  } catch (e) {
+    console.error('Error resuming scheduled prompt chain: ' + e.message);
+  }
+}
+
+/**
+ * Run the remaining steps of a scheduled chain within the time budget and append them to the history
+ * Progress is saved after every step; an unfinished run schedules its own continuation
+ * @param {string} triggerId - Unique ID of the schedule trigger
+ * @param {Object} run - Scheduled run with sheetName, startedAt, chain and results
+ * @param {Array} history - History rows collected so far (warnings), appended with the step rows
+ */
+function continueScheduledRun(triggerId, run, history) {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(5000)) {
+    throw new Error('The scheduled prompt chain is currently being executed by another process');
+  }
+  
+  try {
+    const timestamp = new Date(run.startedAt);
+    const startIndex = run.results.length;
+    const saveProgress = () => {
+      const runs = loadScheduledRuns();
+      runs[triggerId] = run;
+      saveScheduledRuns(runs);
+    };
+    
+    const chainOptions = {
+      startIndex: startIndex,
+      previousResults: run.results.slice(),
+      deadline: Date.now() + CHAIN_TIME_BUDGET_MS,
+      resolvePlaceholders: false,
+      feature: 'scheduled-chain',
+      onStepComplete: (index, result) => {
+        run.results.push(typeof result === 'string' ? result : result.response);
+        saveProgress();
+      }
+    };
+    
+    let chainError = null;
+    try {
+      if (libraryAvailable && typeof CellMindLib.executePromptChain === 'function') {
+        CellMindLib.executePromptChain(run.chain, chainOptions);
+      } else {
+        executeChainDirectly(run.chain, chainOptions);
+      }
+    } catch (error) {
+      chainError = error;
+    }
+    
+    const paused = !chainError && run.results.length < run.chain.length;
+    
+    for (let i = startIndex; i < run.chain.length; i++) {
+      const step = run.chain[i];
+      
+      if (i < run.results.length) {
+        history.push([timestamp, run.sheetName, i + 1, step.id || '', step.prompt, run.results[i], 'Success']);
+      } else if (paused) {
+        history.push([timestamp, run.sheetName, '', '', '',
+          `${run.results.length} of ${run.chain.length} steps completed`, 'Paused (time limit), continues automatically']);
+        break;
+      } else if (i === run.results.length) {
+        history.push([timestamp, run.sheetName, i + 1, step.id || '', step.prompt, chainError.message, 'Error']);
+      } else {
+        history.push([timestamp, run.sheetName, i + 1, step.id || '', step.prompt, '', 'Not run (previous error)']);
+      }
+    }
+    
+    const runs = loadScheduledRuns();
+    if (paused) {
+      runs[triggerId] = run;
+    } else {
+      delete runs[triggerId];
+    }
+    saveScheduledRuns(runs);
+    
+    // One continuation trigger serves all waiting runs
+    deleteChainResumeTriggers(SCHEDULED_RESUME_HANDLER);
+    if (Object.keys(runs).length > 0) {
+      ScriptApp.newTrigger(SCHEDULED_RESUME_HANDLER).timeBased().after(60 * 1000).create();
+    }
+  } finally {
+    lock.releaseLock();
+    appendChainHistory(history);
+  }
+}
+
+/**
+ * Load the scheduled chain runs waiting to continue
+ * @return {Object} Map of schedule trigger ID to scheduled run
+ */
+function loadScheduledRuns() {
+  const value = readStoreValue(CHAIN_STATE_SHEET, SCHEDULED_RUNS_KEY);
+  return value ? JSON.parse(value) : {};
+}
+
+/**
+ * Persist the scheduled chain runs waiting to continue
+ * @param {Object} runs - Map of schedule trigger ID to scheduled run
+ */
+function saveScheduledRuns(runs) {
+  writeStoreValue(CHAIN_STATE_SHEET, SCHEDULED_RUNS_KEY, JSON.stringify(runs), null);
+}
+
+/**
+ * Append rows to the prompt chain history sheet, creating it if necessary
+ * @param {Array} rows - Rows of [timestamp, chain sheet, step, step ID, prompt, result, status]
+ */
+function appendChainHistory(rows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CHAIN_HISTORY_SHEET);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(CHAIN_HISTORY_SHEET);
+    sheet.appendRow(['Timestamp', 'Chain Sheet', 'Step', 'Step ID', 'Prompt', 'Result', 'Status']);
+    sheet.getRange('A1:G1').setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  
+  // Prompts, answers and errors are text; appendRow would parse "- item" or "=..." like typed input
+  rows.forEach(row => sheet.appendRow(row.map(escapeFormula)));
+}
+
+/**
+ * Execute a prompt chain directly (without library)
+ * Supports the same chain control options as the library: startIndex, previousResults,
+ * deadline (timestamp in ms), onStepComplete(index, result) and resolvePlaceholders, plus the usage feature name
+ * @param {Array} promptChain - Array of prompt objects
+ * @param {Object} options - Chain control options; preview: true collects the requests in previewRequests instead of sending them
+ * @return {Array} Array of results (shorter than the chain if the deadline was reached)
+ */
+function executeChainDirectly(promptChain, options = {}) {
+  validatePromptChainDirectly(promptChain);
+  
+  if (options.preview) {
+    previewRequests = [];
+  }
+  
+  return runChainStepsDirectly(promptChain, options);
+}
+
+/**
+ * Execute the steps of a validated prompt chain (without library)
+ * @param {Array} promptChain - Array of prompt objects
+ * @param {Object} options - Options of executeChainDirectly
+ * @return {Array} Responses of all executed steps, including previous results
+ */
+function runChainStepsDirectly(promptChain, options) {
+  // Resolve cell and range placeholders up front, so broken references fail before any API call
+  const prompts = promptChain.map(step => {
+    return options.resolvePlaceholders === false ? step.prompt : resolvePlaceholdersDirectly(step.prompt);
+  });
+  
+  const startIndex = options.startIndex || 0;
+  const results = (options.previousResults || []).slice();
+  let previousResult = results.length > 0 ? results[results.length - 1] : null;
+  
+  for (let i = startIndex; i < promptChain.length; i++) {
+    // Always run at least one step, then stop once the deadline has passed
+    if (options.deadline && i > startIndex && Date.now() > options.deadline) {
+      break;
+    }
+    
+    // Create full prompt, inserting the output of referenced steps
+    let fullPrompt = prompts[i].replace(/\{\{\s*step:\s*([^}]+?)\s*\}\}/gi, (match, reference) => {
+      return results[findStepIndex(promptChain, reference)];
+    });
+    
+    if (previousResult && promptChain[i].includeLastResult) {
+      fullPrompt += '\n\nResult from previous step:\n' + previousResult;
+    }
+    
+    // Call Claude API (large ranges are split into chunks automatically)
+    const stepOptions = Object.assign({ feature: options.feature || 'chain' }, promptChain[i].options);
+    const stepLabel = promptChain[i].id ? `${i + 1} (${promptChain[i].id})` : String(i + 1);
+    if (options.preview) {
+      Object.assign(stepOptions, { preview: true, step: stepLabel });
+    }
+    
+    // Later steps of a preview show where the answer of this step would be inserted
+    const response = callClaudeAPIWithData(fullPrompt, promptChain[i].data || [], stepOptions);
+    const result = options.preview ? `[Result of step ${stepLabel}]` : response;
+    previousResult = result;
+    results.push(result);
+    
+    if (typeof options.onStepComplete === 'function') {
+      options.onStepComplete(i, result);
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Replace cell and range placeholders in a prompt (without library)
+ * {{Config!B2}} is replaced inline by the displayed value,
+ * {{Targets}} or {{Sheet1!A1:D10}} by the range formatted as a table
+ * @param {string} text - The prompt text
+ * @return {string} The prompt with all placeholders resolved
+ */
+function resolvePlaceholdersDirectly(text) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  
+  return String(text).replace(/\{\{\s*(?!step:)([^{}]+?)\s*\}\}/gi, (match, reference) => {
+    let range = null;
+    try {
+      range = ss.getRangeByName(reference) ||
+        (reference.indexOf('!') !== -1 ? ss.getRange(reference) : ss.getActiveSheet().getRange(reference));
+    } catch (e) {
+      range = null;
+    }
+    
+    if (!range) {
+      throw new Error(`Could not resolve placeholder ${match}: no such cell, range or named range`);
+    }
+    
+    // Placeholders are part of the payload, so the data policy applies to them as well
+    const values = applyDataPolicy(range, range.getDisplayValues());
+    if (range.getNumRows() === 1 && range.getNumColumns() === 1) {
+      return values[0][0];
+    }
+    
+    let table = '\n';
+    for (let i = 0; i < values.length; i++) {
+      table += values[i].join('\t') + '\n';
+    }
+    return table;
+  });
+}
+
+/**
+ * Validate step IDs and {{step:id}} references of a prompt chain (without library)
+ * Steps may only reference earlier steps, which also rules out cycles
+ * @param {Array} promptChain - Array of prompt objects
+ */
+function validatePromptChainDirectly(promptChain) {
+  const errors = [];
+  const seenIds = {};
+  
+  promptChain.forEach((step, index) => {
+    const id = String(step.id || '').trim().toLowerCase();
+    if (!id) return;
+    
+    if (!/^[a-z0-9_-]+$/.test(id) || /^\d+$/.test(id)) {
+      errors.push(`Step ${index + 1}: invalid step ID "${step.id}" (use letters, digits, "-" and "_", not only digits)`);
+    } else if (seenIds[id] !== undefined) {
+      errors.push(`Step ${index + 1}: step ID "${step.id}" is already used by step ${seenIds[id] + 1}`);
+    } else {
+      seenIds[id] = index;
+    }
+  });
+  
+  promptChain.forEach((step, index) => {
+    const references = String(step.prompt).match(/\{\{\s*step:\s*[^}]+?\s*\}\}/gi) || [];
+    
+    references.forEach(placeholder => {
+      const reference = placeholder.replace(/^\{\{\s*step:\s*/i, '').replace(/\s*\}\}$/, '');
+      const targetIndex = findStepIndex(promptChain, reference);
+      
+      if (targetIndex === -1) {
+        errors.push(`Step ${index + 1}: ${placeholder} does not match any step`);
+      } else if (targetIndex >= index) {
+        errors.push(`Step ${index + 1}: ${placeholder} references ${targetIndex === index ? 'the step itself' : `step ${targetIndex + 1}, which runs later`}`);
+      }
+    });
+  });
+  
+  if (errors.length > 0) {
+    throw new Error('Invalid prompt chain:\n' + errors.join('\n'));
+  }
+}
+
+/**
+ * Helper function to find a chain step by ID or 1-based step number
+ * @param {Array} promptChain - Array of prompt objects
+ * @param {string} reference - Step ID or step number
+ * @return {number} Index of the step or -1
+ */
+function findStepIndex(promptChain, reference) {
+  const key = String(reference).trim().toLowerCase();
+  
+  if (/^\d+$/.test(key)) {
+    const index = parseInt(key, 10) - 1;
+    return index >= 0 && index < promptChain.length ? index : -1;
+  }
+  
+  for (let i = 0; i < promptChain.length; i++) {
+    if (String(promptChain[i].id || '').trim().toLowerCase() === key) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Call the Claude API with a prompt and sheet data (without library)
+ * Data that exceeds the input limit is sent in row chunks that keep the header row,
+ * and the partial answers are merged with a final prompt (map-reduce)
+ * @param {string} prompt - The prompt for Claude
+ * @param {Array} data - 2D array of data (first row = headers unless options.includeHeaders is false)
+ * @param {Object} options - Options of callClaudeAPI, plus outputFormat, includeHeaders, data_format and maxInputTokens
+ * @return {string} Claude's response
+ */
+function callClaudeAPIWithData(prompt, data, options = {}) {
+  const { outputFormat, includeHeaders, data_format, maxInputTokens = MAX_INPUT_TOKENS, ...apiOptions } = options;
+  const rows = data || [];
+  const dataFormat = data_format || readSettings().data_format;
+  
+  const buildPrompt = (text, tableRows, format) => {
+    let fullPrompt = text;
+    if (tableRows.length > 0) {
+      fullPrompt += '\n\nHere is the data from the table:\n\n' + serializeData(tableRows, dataFormat, includeHeaders !== false);
+    }
+    if (format === 'table') {
+      fullPrompt += '\n\n' + TABLE_OUTPUT_INSTRUCTION;
+    }
+    return fullPrompt;
+  };
+  
+  if (rows.length < 2 || estimateTokens(buildPrompt(prompt, rows)) <= maxInputTokens) {
+    return callClaudeAPI(buildPrompt(prompt, rows, outputFormat), apiOptions);
+  }
+  
+  // Split the rows into chunks, leaving room for the prompt, the header row and the chunk note
+  const header = includeHeaders === false ? null : rows[0];
+  const dataRows = header ? rows.slice(1) : rows;
+  const budget = maxInputTokens - estimateTokens(buildPrompt(prompt, header ? [header] : [])) - CHUNK_NOTE_TOKENS;
+  if (budget <= 0) {
+    throw new Error(`The prompt alone exceeds the input limit of ${maxInputTokens} tokens`);
+  }
+  
+  const chunks = [];
+  let chunk = [];
+  let chunkTokens = 0;
+  
+  dataRows.forEach((row, i) => {
+    const rowTokens = estimateTokens(row.join('\t') + '\n');
+    if (rowTokens > budget) {
+      throw new Error(`Data row ${i + 1} alone exceeds the input limit of ${maxInputTokens} tokens`);
+    }
+    
+    if (chunkTokens + rowTokens > budget && chunk.length > 0) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkTokens = 0;
+    }
+    
+    chunk.push(row);
+    chunkTokens += rowTokens;
+  });
+  
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  
+  // Stop before the next request once the time budget is used up, instead of being cut off mid-run
+  const deadline = Date.now() + CHUNK_TIME_BUDGET_MS;
+  const checkDeadline = progress => {
+    if (!apiOptions.preview && Date.now() > deadline) {
+      throw new Error(`The data is too large to be processed within the execution time limit (stopped ${progress}). ` +
+        'Use a smaller range or a more specific prompt.');
+    }
+  };
+  
+  // Map: run the prompt on every chunk; the requested output format only applies to the merged answer
+  let firstRow = 1;
+  let answers = chunks.map((chunkRows, i) => {
+    checkDeadline(`after ${i} of ${chunks.length} parts`);
+    
+    const note = `Note: The data is too large for a single request and has been split into ${chunks.length} parts. ` +
+      `This is part ${i + 1} of ${chunks.length} (data rows ${firstRow} to ${firstRow + chunkRows.length - 1}). ` +
+      'Answer based on this part only; the partial answers are merged afterwards.';
+    firstRow += chunkRows.length;
+    
+    return callClaudeAPI(buildPrompt(`${prompt}\n\n${note}`, header ? [header].concat(chunkRows) : chunkRows), apiOptions);
+  });
+  
+  // Reduce: merge as many partial answers per request as fit, in several rounds if necessary
+  const instruction = 'The following are partial answers to the task below, each based on one part of a larger data set. ' +
+    'Merge them into one complete answer to the task, as if the whole data set had been analyzed at once: ' +
+    'combine counts and totals, remove duplicates and resolve contradictions. ' +
+    'Do not mention the parts in your answer.\n\n' +
+    `Task:\n${prompt}`;
+  const reduceBudget = maxInputTokens - estimateTokens(instruction);
+  
+  do {
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+    
+    answers.forEach(answer => {
+      const answerTokens = estimateTokens(answer) + CHUNK_NOTE_TOKENS;
+      if (batchTokens + answerTokens > reduceBudget && batch.length > 0) {
+        batches.push(batch);
+        batch = [];
+        batchTokens = 0;
+      }
+      
+      batch.push(answer);
+      batchTokens += answerTokens;
+    });
+    batches.push(batch);
+    
+    if (batches.length > 1 && batches.every(group => group.length === 1)) {
+      throw new Error('The partial answers are too large to be merged. Use a smaller range or a more specific prompt.');
+    }
+    
+    answers = batches.map(group => {
+      checkDeadline('before merging the partial answers');
+      
+      const partialText = group.map((answer, i) => `Partial answer ${i + 1}:\n${answer}`).join('\n\n');
+      return callClaudeAPI(buildPrompt(`${instruction}\n\n${partialText}`, [], outputFormat), apiOptions);
+    });
+  } while (answers.length > 1);
+  
+  return answers[0];
+}
+
+/**
+ * Serialize 2D array data for a prompt (same formats as the library)
+ * @param {Array} data - 2D array of data
+ * @param {string} format - markdown, csv, json or tsv
+ * @param {boolean} hasHeader - Whether the first row contains the headers
+ * @return {string} Serialized data
+ */
+function serializeData(data, format, hasHeader) {
+  const width = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const header = hasHeader ? data[0] : null;
+  const rows = hasHeader ? data.slice(1) : data;
+  const line = row => Array.from({ length: width }, (value, i) => row[i]);
+  
+  switch (format) {
+    case 'csv': {
+      // RFC 4180: quote values containing separators, quotes or line breaks
+      const escape = value => /[",\r\n]/.test(formatCellValue(value)) ?
+        `"${formatCellValue(value).replace(/"/g, '""')}"` :
+        formatCellValue(value);
+      return data.map(row => line(row).map(escape).join(',')).join('\n') + '\n';
+    }
+    case 'json': {
+      // Records keyed by header, or plain rows without headers; numbers and booleans keep their type
+      const jsonValue = value => value instanceof Date ? formatCellValue(value) : (value === undefined ? '' : value);
+      if (!header) {
+        return JSON.stringify(rows.map(row => line(row).map(jsonValue)));
+      }
+      
+      const keys = line(header).map((key, i) => formatCellValue(key).trim() || `Column ${i + 1}`);
+      const records = rows.map(row => {
+        const record = {};
+        line(row).forEach((value, i) => { record[keys[i]] = jsonValue(value); });
+        return record;
+      });
+      return '[\n' + records.map(record => JSON.stringify(record)).join(',\n') + '\n]';
+    }
+    case 'tsv': {
+      // Tabs and line breaks inside cells would break the layout
+      const clean = value => formatCellValue(value).replace(/[\t\r\n]+/g, ' ');
+      return data.map(row => line(row).map(clean).join('\t')).join('\n') + '\n';
+    }
+    default: {
+      // Markdown requires a header row, generic column names are used without one
+      const clean = value => formatCellValue(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+      const headerCells = header ? line(header).map(clean) : line([]).map((value, i) => `Column ${i + 1}`);
+      const tableLine = cells => `| ${cells.join(' | ')} |`;
+      
+      return [tableLine(headerCells), tableLine(headerCells.map(() => '---'))]
+        .concat(rows.map(row => tableLine(line(row).map(clean))))
+        .join('\n') + '\n';
+    }
+  }
+}
+
+/**
+ * Format a single raw cell value as text (dates in ISO notation in the spreadsheet time zone)
+ * @param {*} value - Cell value
+ * @return {string} Text representation
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  if (value instanceof Date) {
+    const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+    const time = Utilities.formatDate(value, timeZone, 'HH:mm:ss');
+    return Utilities.formatDate(value, timeZone, time === '00:00:00' ? 'yyyy-MM-dd' : 'yyyy-MM-dd HH:mm:ss');
+  }
+  
+  return String(value);
+}
+
+/**
+ * Read the values of a range as displayed or raw values, depending on the display_values setting
+ * @param {Range} range - The range
+ * @return {Array} 2D array of values
+ */
+function getRangeValues(range) {
+  if (libraryAvailable && typeof CellMindLib.getRangeValues === 'function') {
+    return CellMindLib.getRangeValues(range);
+  }
+  
+  return readSettings().display_values ? range.getDisplayValues() : range.getValues();
+}
+
+/**
+ * Estimate the number of tokens of a text (conservative, no tokenizer is available)
+ * @param {string} text - The text
+ * @return {number} Estimated number of tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Call the Claude API directly
+ * @param {string} prompt - The prompt for Claude
+ * Responses are not cached in fallback mode
+ * @param {Object} options - Additional options (model, max_tokens, temperature, top_p, stop_sequences, system, feature,
+ *   history with the earlier messages of a conversation)
+ * @return {string} Claude's response
+ */
+function callClaudeAPI(prompt, options = {}) {
+  // Stored settings, overridden by explicit options (temperature 0 is a valid value)
+  const settings = readSettings();
+  const pick = name => options[name] !== undefined && options[name] !== null ? options[name] : settings[name];
+  
+  // Only the library sends to other providers or base URLs, so the key never goes anywhere else
+  if ((settings.provider && settings.provider !== 'anthropic') || settings.base_url) {
+    throw new Error('The provider and base_url settings require the CellMindAI library. ' +
+      'Use "Run Diagnostics" to check the connection.');
+  }
+  
+  const apiKey = getApiKey();
+  if (!apiKey && !options.preview) {
+    throw new Error('No personal API key configured. A shared API key can only be used with the CellMindAI library.');
+  }
+  
+  const requestOptions = {
+    model: pick('model'),
+    max_tokens: pick('max_tokens'),
+    temperature: pick('temperature')
+  };
+  
+  if (pick('top_p') !== null && pick('top_p') !== undefined) {
+    requestOptions.top_p = pick('top_p');
+  }
+  
+  if (Array.isArray(pick('stop_sequences')) && pick('stop_sequences').length > 0) {
+    requestOptions.stop_sequences = pick('stop_sequences');
+  }
+  
+  // Earlier messages of a conversation come before the new question
+  requestOptions.messages = (options.history || []).concat([{ role: 'user', content: prompt }]);
+  
+  // An explicit options.system (even empty) overrides the spreadsheet system prompt
+  const system = options.system !== undefined && options.system !== null ?
+    options.system :
+    PropertiesService.getDocumentProperties().getProperty('CELLMINDAI_SYSTEM_PROMPT');
+  if (system) {
+    requestOptions.system = system;
+  }
+  
+  // Personal data is only masked by the library, so nothing is sent or previewed without it
+  if (settings.redact_pii === true) {
+    throw new Error('Redaction of personal data is on, so requests require the CellMindAI library. ' +
+      'Use "Run Diagnostics" to check the connection.');
+  }
+  
+  // The data policy is only applied by the library, so nothing is sent or previewed without it
+  if (hasDataPolicy()) {
+    throw new Error('This spreadsheet has a data policy, so requests require the CellMindAI library. ' +
+      'Use "Run Diagnostics" to check the connection.');
+  }
+  
+  // A preview records the request exactly as it would be sent and answers with a placeholder
+  if (options.preview) {
+    recordPreviewDirectly(requestOptions, options);
+    return PREVIEW_RESPONSE;
+  }
+  
+  // Only the library writes the audit log, so an audited spreadsheet cannot send in fallback mode
+  if (isAuditLogEnabled()) {
+    throw new Error('The audit log of this spreadsheet is on, so requests require the CellMindAI library. ' +
+      'Use "Run Diagnostics" to check the connection.');
+  }
+  
+  checkSpendingCap();
+  
+  const jsonResponse = sendAnthropicRequest(requestOptions, apiKey);
+  recordUsage(requestOptions.model, jsonResponse, options.feature || 'fallback');
+  
+  return jsonResponse.content[0].text;
+}
+
+/**
+ * Show which personal data in a range would be masked before sending (menu action)
+ */
+function previewPiiRedaction() {
+  if (libraryAvailable && typeof CellMindLib.showRedactionPreviewDialog === 'function') {
+    CellMindLib.showRedactionPreviewDialog();
+    return;
+  }
+  
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'Redaction of personal data requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+}
+
+/**
+ * Show the usage of the current month, write the monthly summary or change the spending cap (menu action)
+ */
+function showUsageAndCosts() {
+  const ui = SpreadsheetApp.getUi();
+  
+  // The spending cap is owner-only, which the library enforces
+  if (!libraryAvailable || typeof CellMindLib.showUsageDialog !== 'function') {
+    ui.alert('Library Required', 'Usage reports and the spending cap require the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  CellMindLib.showUsageDialog();
+}
+
+/**
+ * Get the ledger month of a date in the spreadsheet time zone
+ * @param {Date} date - The date
+ * @return {string} Month as "yyyy-MM"
+ */
+function getUsageMonth(date) {
+  return Utilities.formatDate(date, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM');
+}
+
+/**
+ * Estimate the cost of a request from the price table (longest matching model name prefix wins)
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @return {number|null} Cost in USD or null if the model has no price
+ */
+function calculateCost(model, inputTokens, outputTokens) {
+  const stored = PropertiesService.getDocumentProperties().getProperty(PRICE_TABLE_PROPERTY);
+  const prices = Object.assign({}, PRICE_TABLE_DEFAULTS, stored ? JSON.parse(stored) : {});
+  const match = Object.keys(prices)
+    .filter(prefix => String(model).indexOf(prefix) === 0)
+    .sort((a, b) => b.length - a.length)[0];
+  
+  if (!match) {
+    return null;
+  }
+  
+  return (inputTokens * prices[match].input + outputTokens * prices[match].output) / 1000000;
+}
+
+/**
+ * Block new requests once the monthly spending cap of this spreadsheet is reached
+ */
+function checkSpendingCap() {
+  const properties = PropertiesService.getDocumentProperties();
+  const cap = properties.getProperty(SPENDING_CAP_PROPERTY);
+  if (!cap) return;
+  
+  const month = getUsageMonth(new Date());
+  const totals = JSON.parse(properties.getProperty(USAGE_TOTALS_PROPERTY) || '{}')[month];
+  const spent = totals ? totals.cost : 0;
+  
+  if (spent >= parseFloat(cap)) {
+    throw new Error(`The monthly spending cap of $${parseFloat(cap)} for this spreadsheet has been reached ` +
+      `($${spent.toFixed(2)} used in ${month}). Ask the owner to raise the cap.`);
+  }
+}
+
+/**
+ * Record the token usage of an API response in the usage ledger and the monthly totals
+ * Recording never fails a request (e.g. custom functions cannot write to the spreadsheet)
+ * @param {string} model - Model name
+ * @param {Object} response - API response with usage
+ * @param {string} feature - Feature that sent the request
+ */
+function recordUsage(model, response, feature) {
+  const usage = response.usage || {};
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  const cost = calculateCost(model, inputTokens, outputTokens);
+  const now = new Date();
+  
+  // Monthly totals are kept in a property, so the spending cap check does not read the whole ledger.
+  // They are updated first, so a failing ledger write cannot hide the cost from the cap
+  try {
+    const lock = LockService.getDocumentLock();
+    lock.waitLock(10000);
+    try {
+      const properties = PropertiesService.getDocumentProperties();
+      const month = getUsageMonth(now);
+      const totals = JSON.parse(properties.getProperty(USAGE_TOTALS_PROPERTY) || '{}');
+      const current = totals[month] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+      current.requests++;
+      current.inputTokens += inputTokens;
+      current.outputTokens += outputTokens;
+      current.cost += cost || 0;
+      totals[month] = current;
+      
+      // Only the last 12 months are needed, property values are limited in size
+      Object.keys(totals).sort().slice(0, -12).forEach(key => delete totals[key]);
+      properties.setProperty(USAGE_TOTALS_PROPERTY, JSON.stringify(totals));
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (e) {
+    console.warn('Could not update the usage totals: ' + e.message);
+  }
+  
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(USAGE_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(USAGE_SHEET);
+      sheet.appendRow(['Timestamp', 'User', 'Model', 'Input Tokens', 'Output Tokens', 'Cost (USD)', 'Feature']);
+      sheet.getRange('A1:G1').setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    
+    const user = Session.getActiveUser().getEmail() || 'unknown';
+    sheet.appendRow([now, user, model, inputTokens, outputTokens, cost === null ? '' : cost, feature]);
+  } catch (e) {
+    console.warn('Could not record usage: ' + e.message);
+  }
+}
+
+/**
+ * Show the audit log status and let the owner switch it on or off (menu action)
+ */
+function configureAuditLog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  // Runs can only be logged by the library, so the log is switched there as well
+  if (!libraryAvailable || typeof CellMindLib.showAuditLogDialog !== 'function') {
+    ui.alert('Library Required', 'The audit log requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  CellMindLib.showAuditLogDialog();
+}
+
+/**
+ * Check whether the audit log is switched on for this spreadsheet
+ * @return {boolean} True if runs are logged
+ */
+function isAuditLogEnabled() {
+  return PropertiesService.getDocumentProperties().getProperty(AUDIT_LOG_PROPERTY) === 'true';
+}
+
+/**
+ * Link the location of a written result to the audit log entry of its run (library mode only)
+ * @param {Range} range - Range the result was written to
+ * @param {number} auditRow - Row of the audit entry (defaults to the library's last entry of this execution)
+ */
+function recordAuditOutput(range, auditRow) {
+  if (libraryAvailable && typeof CellMindLib.recordAuditOutput === 'function') {
+    CellMindLib.recordAuditOutput(range, auditRow);
+  }
+}
+
+/**
+ * Show the data policy and let the owner change it
+ */
+function configureDataPolicy() {
+  if (libraryAvailable && typeof CellMindLib.showDataPolicyDialog === 'function') {
+    CellMindLib.showDataPolicyDialog();
+    return;
+  }
+  
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Library Required', 'The data policy requires the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+}
+
+/**
+ * Check whether this spreadsheet has a data policy (an empty policy is not stored)
+ * @return {boolean} True if columns, sheets or rows are restricted
+ */
+function hasDataPolicy() {
+  return !!PropertiesService.getDocumentProperties().getProperty(DATA_POLICY_PROPERTY);
+}
+
+/**
+ * Apply the data policy to values read from a range and remember what was withheld
+ * Without the library the values are passed on unchanged, as callClaudeAPI refuses to send while a policy is set
+ * @param {Range|null} range - Range the values were read from (null if unknown)
+ * @param {Array} values - 2D array of values
+ * @param {Object} options - rowLimit: false skips the row limit
+ * @return {Array} The permitted values
+ */
+function applyDataPolicy(range, values, options = {}) {
+  if (!libraryAvailable || typeof CellMindLib.applyDataPolicy !== 'function') {
+    return values;
+  }
+  
+  const result = CellMindLib.applyDataPolicy(range, values, options);
+  withheldData = withheldData.concat(result.withheld);
+  return result.values;
+}
+
+/**
+ * Describe the data withheld by the data policy for a confirmation message
+ * @param {Array} withheld - Descriptions of withheld columns and rows
+ * @return {string} The notice or an empty string if nothing was withheld
+ */
+function formatWithheldNotice(withheld) {
+  if (!withheld || withheld.length === 0) {
+    return '';
+  }
+  
+  return '\n\nWithheld by the data policy:\n' + withheld.map(item => '- ' + item).join('\n');
+}
+
+/**
+ * Let the user preview the requests of a prompt or of the prompt chain in the current sheet
+ */
+function previewRequest() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const choice = ui.alert(
+    'Preview Request',
+    'Assemble the requests exactly as they would be sent, without calling the API.\n\n' +
+    '- YES: Preview a prompt with data\n' +
+    '- NO: Preview the prompt chain in the current sheet\n' +
+    '- CANCEL: Return to spreadsheet',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  if (choice === ui.Button.YES) {
+    processWithCellMind(true);
+  } else if (choice === ui.Button.NO) {
+    executePromptChainFromCurrentSheet(true);
+  }
+}
+
+/**
+ * Record the preview of a request that is not sent (without library)
+ * @param {Object} requestOptions - The assembled request (model, messages, system, etc.)
+ * @param {Object} options - Request options (feature, step)
+ */
+function recordPreviewDirectly(requestOptions, options) {
+  const messages = requestOptions.messages.map(message => `[${message.role}]\n${message.content}`);
+  
+  if (!previewRequests) {
+    previewRequests = [];
+  }
+  
+  previewRequests.push({
+    step: options.step || '',
+    feature: options.feature || 'fallback',
+    provider: `anthropic (${ANTHROPIC_API_URL})`,
+    model: requestOptions.model,
+    max_tokens: requestOptions.max_tokens,
+    temperature: requestOptions.temperature,
+    top_p: requestOptions.top_p !== undefined ? requestOptions.top_p : null,
+    stop_sequences: requestOptions.stop_sequences || [],
+    system: requestOptions.system || '',
+    messages: requestOptions.messages.length,
+    prompt: messages.length === 1 ? String(requestOptions.messages[0].content) : messages.join('\n\n'),
+    inputTokens: estimateTokens(requestOptions.system) + estimateTokens(messages.join('\n')),
+    cached: false
+  });
+}
+
+/**
+ * Write request previews to the preview sheet, using the library if available
+ * @param {Array} previews - Request previews
+ * @return {Sheet} The preview sheet
+ */
+function writeRequestPreview(previews) {
+  if (libraryAvailable && typeof CellMindLib.writeRequestPreview === 'function') {
+    return CellMindLib.writeRequestPreview(previews);
+  }
+  
+  return writeRequestPreviewDirectly(previews);
+}
+
+/**
+ * Write request previews to the preview sheet, one row per request (without library)
+ * @param {Array} previews - Request previews
+ * @return {Sheet} The preview sheet
+ */
+function writeRequestPreviewDirectly(previews) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(REQUEST_PREVIEW_SHEET) || ss.insertSheet(REQUEST_PREVIEW_SHEET);
+  
+  const rows = [REQUEST_PREVIEW_HEADERS].concat(previews.map((preview, i) => [
+    i + 1, preview.step, preview.feature, preview.provider, preview.model, preview.max_tokens, preview.temperature,
+    preview.top_p === null ? '' : preview.top_p, preview.stop_sequences.join(', '), preview.system, preview.messages,
+    // Cells hold at most 50000 characters
+    preview.prompt.length > 50000 ? preview.prompt.substring(0, 49900) + '\n[... truncated in the preview]' : preview.prompt,
+    preview.inputTokens, preview.cached ? 'yes' : 'no'
+  ]));
+  
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, REQUEST_PREVIEW_HEADERS.length).setNumberFormat('@').setValues(rows);
+  sheet.getRange(1, 1, 1, REQUEST_PREVIEW_HEADERS.length).setFontWeight('bold');
+  sheet.getRange(1, 10, rows.length, 3).setWrap(true).setVerticalAlignment('top');
+  sheet.setColumnWidth(10, 250);
+  sheet.setColumnWidth(12, 500);
+  sheet.setFrozenRows(1);
+  
+  return sheet;
+}
+
+/**
+ * Summarize request previews for a dialog
+ * @param {Array} previews - Request previews
+ * @return {string} Number of requests, models and estimated tokens
+ */
+function formatRequestPreview(previews) {
+  const inputTokens = previews.reduce((total, preview) => total + preview.inputTokens, 0);
+  const outputTokens = previews.reduce((total, preview) => total + (preview.max_tokens || 0), 0);
+  const models = previews.map(preview => preview.model).filter((model, i, all) => all.indexOf(model) === i);
+  const cached = previews.filter(preview => preview.cached).length;
+  
+  return `${previews.length} request(s) would be sent to ${models.join(', ')}.\n\n` +
+    `Estimated input: about ${inputTokens} tokens\n` +
+    `Output: at most ${outputTokens} tokens` +
+    (cached > 0 ? `\n\n${cached} request(s) would be answered from the cache.` : '');
+}
+
+/**
+ * Write request previews to the preview sheet and show a summary
+ * @param {Array} previews - Request previews
+ * @param {Array} withheld - Data withheld by the data policy
+ */
+function showRequestPreview(previews, withheld) {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = writeRequestPreview(previews);
+  sheet.activate();
+  
+  ui.alert('Request Preview', formatRequestPreview(previews) +
+    `\n\nThe requests were written to the sheet "${sheet.getName()}". No request was sent.` + formatWithheldNotice(withheld),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Clear the response cache (menu action)
+ */
+function clearCellMindCache() {
+  const ui = SpreadsheetApp.getUi();
+  
+  // Responses are only cached in library mode
+  if (!libraryAvailable || typeof CellMindLib.clearCache !== 'function') {
+    ui.alert('Library Required', 'The response cache is part of the CellMindAI library. Use "Run Diagnostics" to check the connection.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const result = ui.alert(
+    'Clear CellMindAI Cache',
+    'Cached responses are reused for identical requests. Clearing the cache means the next requests are sent (and billed) again.\n\n' +
+    'Do you want to clear the cache?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (result !== ui.Button.YES) return;
+  
+  try {
+    CellMindLib.clearCache();
+    ui.alert('Success', 'The CellMindAI cache has been cleared.', ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert('Error', 'Error clearing the cache: ' + e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Read a value from a hidden store sheet
+ * Layout (shared with the library): column A key, column B expiry timestamp, columns C+ value chunks
+ * @param {string} sheetName - Name of the store sheet
+ * @param {string} key - Entry key
+ * @return {string|null} Stored value or null if missing or expired
+ */
+function readStoreValue(sheetName, key) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() === 0) {
+    return null;
+  }
+  
+  const cell = sheet.getRange(1, 1, sheet.getLastRow(), 1)
+    .createTextFinder(key)
+    .matchEntireCell(true)
+    .matchCase(true)
+    .findNext();
+  if (!cell) {
+    return null;
+  }
+  
+  const values = sheet.getRange(cell.getRow(), 1, 1, sheet.getLastColumn()).getValues()[0];
+  if (values[1] !== '' && Number(values[1]) < Date.now()) {
+    return null;
+  }
+  
+  return values.slice(2).join('');
+}
+
+/**
+ * Write a value to a hidden store sheet
+ * @param {string} sheetName - Name of the store sheet
+ * @param {string} key - Entry key
+ * @param {string} value - Value to store
+ * @param {number|null} expiresAt - Expiry timestamp in milliseconds or null for no expiry
+ */
+function writeStoreValue(sheetName, key, value, expiresAt) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.hideSheet();
+  }
+  
+  // Split into chunks below the 50,000 character cell limit
+  const rowValues = [key, expiresAt === null || expiresAt === undefined ? '' : expiresAt];
+  for (let i = 0; i < value.length; i += 45000) {
+    rowValues.push(value.substring(i, i + 45000));
+  }
+  
+  const existing = sheet.getLastRow() === 0 ? null : sheet.getRange(1, 1, sheet.getLastRow(), 1)
+    .createTextFinder(key)
+    .matchEntireCell(true)
+    .matchCase(true)
+    .findNext();
+  const row = existing ? existing.getRow() : sheet.getLastRow() + 1;
+  
+  if (existing) {
+    sheet.getRange(row, 1, 1, sheet.getLastColumn()).clearContent();
+  }
+  
+  const range = sheet.getRange(row, 1, 1, rowValues.length);
+  range.setNumberFormat('@');
+  range.setValues([rowValues.map(String)]);
+}
+
+/**
+ * Helper function to parse a table from Claude's reply
+ * Supports JSON (array of rows or array of objects), Markdown tables and tab-separated text
+ * @param {string} text - The response text
+ * @return {Array|null} 2D array with the header row first, or null if no consistent table was found
+ */
+function parseTableResponse(text) {
+  const candidates = [];
+  
+  // JSON array of rows or records
+  const start = text.indexOf('[');
+  const end = text.lastIndexOf(']');
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(text.substring(start, end + 1));
+      const toCell = value => (value === null || value === undefined) ? '' :
+        (typeof value === 'object' ? JSON.stringify(value) : value);
+      
+      if (Array.isArray(parsed) && parsed.length > 0) {
+        if (parsed.every(Array.isArray)) {
+          candidates.push(parsed.map(row => row.map(toCell)));
+        } else if (parsed.every(row => row && typeof row === 'object')) {
+          const headers = Object.keys(parsed[0]);
+          candidates.push([headers].concat(parsed.map(row => headers.map(h => toCell(row[h])))));
+        }
+      }
+    } catch (e) {
+      // Not JSON, try the other formats
+    }
+  }
+  
+  // Markdown table, without the separator line
+  const markdownLines = text.split('\n').map(line => line.trim()).filter(line => line.startsWith('|'));
+  if (markdownLines.length >= 2) {
+    candidates.push(markdownLines
+      .filter(line => !/^\|?[\s:|-]+\|?$/.test(line))
+      .map(line => line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim())));
+  }
+  
+  // Tab-separated lines
+  const tsvLines = text.split('\n').filter(line => line.indexOf('\t') !== -1);
+  if (tsvLines.length >= 2) {
+    candidates.push(tsvLines.map(line => line.replace(/\r$/, '').split('\t').map(cell => cell.trim())));
+  }
+  
+  // Every row must have the same number of columns as the header row
+  for (let i = 0; i < candidates.length; i++) {
+    const rows = candidates[i];
+    if (rows.length > 0 && rows[0].length > 0 && rows.every(row => row.length === rows[0].length)) {
+      return rows;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Send a request to the Anthropic Messages API (without library)
+ * Failed requests are not retried, the library handles rate limits and server errors
+ * @param {Object} requestOptions - Request in the Anthropic Messages format
+ * @param {string} apiKey - The personal API key
+ * @return {Object} Parsed response
+ */
+function sendAnthropicRequest(requestOptions, apiKey) {
+  const response = UrlFetchApp.fetch(ANTHROPIC_API_URL, {
+    method: 'post',
+    headers: { 'x-api-key': apiKey, 'content-type': 'application/json', 'anthropic-version': ANTHROPIC_API_VERSION },
+    payload: JSON.stringify(requestOptions),
+    muteHttpExceptions: true
+  });
+  const responseCode = response.getResponseCode();
+  const responseText = response.getContentText();
+  
+  if (responseCode !== 200) {
+    throw new Error(`API error (${responseCode}): ${responseText}`);
+  }
+  
+  return JSON.parse(responseText);
+}
+
+/**
+ * Helper function to keep an answer from being interpreted as a formula when it is written to a cell
+ * @param {*} value - Cell value
+ * @return {*} The value, text that starts like a formula with a leading apostrophe
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) && isNaN(Number(value)) ? "'" + value : value;
+}
+
+/**
+ * Helper function to find a column by its header
+ * @param {Array} headers - Array of normalized (lowercase) header strings
+ * @param {Array} names - Accepted header names, in order of preference
+ * @return {number} Index of found column or -1
+ */
+function findColumnIndex(headers, names) {
+  for (let i = 0; i < names.length; i++) {
+    const index = headers.indexOf(names[i]);
+    if (index !== -1) {
+      return index;
     }
   }
   return -1;
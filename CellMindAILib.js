@@ -7,14 +7,253 @@
  * Features:
  * - API key management
  * - Prompt processing with reference to sheet data
- * - Chain processing for multi-step requests
+ * - Chain processing for multi-step requests with named step references
+ * - Cell and range placeholders ({{Sheet1!B2}}, {{NamedRange}}) inside prompts
+ * - CELLMIND custom function for use in cell formulas
+ * - Row-by-row processing with one answer per row
+ * - Response caching for identical requests
+ * - Persistent model and generation settings per user and per document
+ * - Document-level system prompt (persona) with per-step overrides in chains
+ * - Token usage and cost ledger with monthly summaries and per-document spending caps
+ * - Automatic chunking (map-reduce) of ranges that exceed the input limit
+ * - Data serialization as Markdown, CSV, JSON records or TSV, with displayed or raw values
+ * - Prompt library per spreadsheet and per user, with JSON export and import
+ * - Optional audit log of every processing run, switched on per document
+ * - Follow-up questions on a result, with the message history stored per result sheet
+ * - Agent mode: Claude explores the workbook with tools and proposes writes for confirmation
+ * - PII redaction with stable placeholders on every outgoing request, with optional restore and a preview
+ * - Data policy per document: denied columns and sheets and a row limit, enforced before data is sent
+ * - Shared API key managed by an admin, with daily request and token quotas per user
+ * - Provider layer: Anthropic Messages, OpenAI-compatible endpoints, configurable base URL and an offline mock
+ * - Request preview (dry run) of prompts and chains with the assembled requests and estimated tokens
+ * - Classification of a text column into a fixed label set, with label and confidence columns
  * - Simple integration into existing sheets
  */
 
-// Anthropic API Constants
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+// API providers: requests are built in the Anthropic Messages format and translated for the selected provider.
+// The base_url setting replaces the default base URL, e.g. for a corporate proxy or a local gateway
+const API_PROVIDERS = {
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', path: '/messages' },
+  openai: { baseUrl: 'https://api.openai.com/v1', path: '/chat/completions' },
+  mock: { offline: true }   // Deterministic answers without network access or tokens
+};
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const MOCK_RESPONSES_SHEET_NAME = 'CellMindAI Mock Responses';
+
+// Settings that decide where requests (and the API key) are sent; only personal settings may change them
+const USER_ONLY_SETTINGS = ['provider', 'base_url'];
+
+// Request preview (dry run): the requests that would be sent, without calling the API
+const REQUEST_PREVIEW_SHEET_NAME = 'CellMindAI Request Preview';
+const REQUEST_PREVIEW_HEADERS = ['Request', 'Step', 'Feature', 'Provider', 'Model', 'Max Tokens', 'Temperature', 'Top P',
+  'Stop Sequences', 'System Prompt', 'Messages', 'Prompt', 'Estimated Input Tokens', 'Cached'];
+const PREVIEW_RESPONSE = '[Preview: the answer to this request would appear here]';
 const CLAUDE_MODEL = 'claude-3-5-sonnet-20240620'; // Current version - update as needed
 
+// Placeholder for the output of an earlier chain step, e.g. {{step:trends}} or {{step:1}}
+const STEP_REFERENCE_PATTERN = /\{\{\s*step:\s*([^}]+?)\s*\}\}/gi;
+
+// Cell, range or named range placeholder, e.g. {{Config!B2}} or {{Targets}} (step references excluded)
+const RANGE_PLACEHOLDER_PATTERN = /\{\{\s*(?!step:)([^{}]+?)\s*\}\}/gi;
+
+// Column headers of a chain sheet (matched exactly, ignoring case); other columns such as "Notes" are ignored
+const CHAIN_COLUMN_HEADERS = {
+  prompt: ['prompt', 'query', 'question', 'instruction'],
+  range: ['data range', 'range', 'data'],
+  includeLastResult: ['include previous result', 'include previous', 'previous result'],
+  system: ['system prompt', 'system', 'persona'],
+  id: ['step id', 'id']
+};
+
+// Document-level system prompt, sent as the API "system" field
+const SYSTEM_PROMPT_PROPERTY = 'CELLMINDAI_SYSTEM_PROMPT';
+
+// Generation settings are stored as JSON under this key in user properties (personal defaults)
+// and document properties (spreadsheet settings, which override the user defaults)
+const SETTINGS_PROPERTY = 'CELLMINDAI_SETTINGS';
+const SETTINGS_DEFAULTS = {
+  model: CLAUDE_MODEL,
+  max_tokens: 4000,
+  temperature: 0.7,
+  top_p: null,              // Not sent unless configured
+  stop_sequences: [],       // Not sent unless configured
+  data_format: 'markdown',  // How sheet data is written into the prompt (see DATA_FORMATS)
+  display_values: true,     // Send values as displayed in the sheet (formatted dates, currency) instead of raw values
+  redact_pii: false,        // Replace personal data with placeholders before anything is sent (see PII_PATTERNS)
+  pii_types: ['email', 'iban', 'credit_card', 'phone'],
+  restore_pii: true,        // Put the original values back into the answer
+  provider: 'anthropic',    // API provider (see API_PROVIDERS)
+  base_url: null            // Base URL of the provider API, null for the provider's default
+};
+
+const DATA_FORMATS = ['markdown', 'csv', 'json', 'tsv'];
+
+// PII redaction: detected values are replaced by stable placeholders such as <EMAIL_3> before a request is sent.
+// Types are applied in this order, so IBANs and card numbers are not mistaken for phone numbers.
+// Matches of "exclude" are kept: phone numbers need a leading + or grouping, so dates such as
+// 01.02.2024 or 05/11/2023 and plain digit strings such as 0012345678 are not redacted
+const PII_PATTERNS = {
+  email: { label: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+  iban: { label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  credit_card: { label: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, luhn: true },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?:\+\d{1,3}[ .-]?|\b0)(?:\(\d{1,5}\)|\d{1,5})(?:[ \/.-]?\d+){1,5}\b/g,
+    minDigits: 7,
+    exclude: /^(?:\d{1,4}([.\/-])\d{1,2}\1\d{2,4}|0\d+)$/
+  }
+};
+
+// Redaction settings that only the owner can change for a spreadsheet
+const PII_OWNER_SETTINGS = ['redact_pii', 'pii_types'];
+const PII_PLACEHOLDER_PATTERN = /<(?:EMAIL|IBAN|CARD|PHONE)_\d+>/g;
+const PII_PREVIEW_SHEET_NAME = 'CellMindAI Redaction Preview';
+
+// Data policy: columns (by header name), sheets and row counts that must never leave the spreadsheet, set by the owner
+const DATA_POLICY_PROPERTY = 'CELLMINDAI_DATA_POLICY';
+const DATA_POLICY_DEFAULTS = { deniedColumns: [], deniedSheets: [], maxRows: null };
+
+// Retry policy for API requests (can be overridden per call via options.retry)
+const RETRY_DEFAULTS = {
+  maxAttempts: 4,        // Total number of attempts including the first one
+  initialDelayMs: 1000,  // Delay before the first retry, doubled on every further retry
+  maxDelayMs: 30000,     // Upper bound for a single delay
+  maxTotalMs: 120000     // Total time budget, keeps us well within the Apps Script execution limit
+};
+
+// Rate limits, server errors and overload - everything else (e.g. 400, 401) fails immediately
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504, 529];
+
+// Response cache: CacheService holds entries for up to 6 hours,
+// longer TTLs are additionally stored in a hidden sheet
+const CACHE_SHEET_NAME = 'CellMindAI Cache';
+const CACHE_SERVICE_MAX_SECONDS = 21600;
+const CACHE_DEFAULT_TTL_SECONDS = 21600;
+
+// Appended to the prompt when a table is requested (options.outputFormat = 'table')
+const TABLE_OUTPUT_INSTRUCTION = 'Return the result only as a table: a JSON array of rows, where the first row ' +
+  'contains the column headers and every row has the same number of columns. ' +
+  'Do not add any explanation before or after the JSON.';
+
+// Hidden sheet values are split into chunks below the 50,000 character cell limit
+const STORE_CHUNK_SIZE = 45000;
+
+// Prompt library: shared prompts in a hidden sheet, personal prompts in the user properties
+const PROMPT_LIBRARY_SHEET_NAME = 'CellMindAI Prompt Library';
+const PROMPT_LIBRARY_KEY = 'prompts';
+const PROMPT_LIBRARY_PROPERTY = 'CELLMINDAI_PROMPT_LIBRARY';
+
+// Input size limit: larger data is split into row chunks whose partial answers are merged afterwards.
+// Tokens are estimated conservatively from the number of characters, well below the 200k context window
+const MAX_INPUT_TOKENS = 150000;
+const CHARS_PER_TOKEN = 3;
+const CHUNK_NOTE_TOKENS = 100;
+
+// Chunked requests stop with an error instead of being cut off by the 6-minute execution limit;
+// no new chunk or merge request is started after this budget
+const CHUNK_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+// Classification stops starting new rows after this budget; labelled rows are skipped when it is run again
+const CLASSIFY_TIME_BUDGET_MS = 4 * 60 * 1000;
+
+// The chain dialog of the library menu starts no new step after this budget. It keeps no saved state, so it cannot
+// resume; the "Execute Prompt Chain" runner of the client script saves progress and continues automatically
+const CHAIN_DIALOG_TIME_BUDGET_MS = 3 * 60 * 1000;
+
+// Usage ledger: one row per API request, monthly totals per document for the spending cap
+const USAGE_SHEET_NAME = 'CellMindAI Usage';
+const USAGE_SUMMARY_SHEET_NAME = 'CellMindAI Usage Summary';
+const USAGE_HEADERS = ['Timestamp', 'User', 'Model', 'Input Tokens', 'Output Tokens', 'Cost (USD)', 'Feature'];
+const USAGE_TOTALS_PROPERTY = 'CELLMINDAI_USAGE_TOTALS';
+const SPENDING_CAP_PROPERTY = 'CELLMINDAI_SPENDING_CAP';
+
+// Prices in USD per million tokens, matched by model name prefix (override per document with setPriceTable)
+const PRICE_TABLE_PROPERTY = 'CELLMINDAI_PRICE_TABLE';
+const PRICE_TABLE_DEFAULTS = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Shared API key: stored by an admin for everyone without a personal key, either per spreadsheet (set by the owner)
+// or for all spreadsheets using the library. Both live in the script properties of the library project, which editors
+// of a spreadsheet cannot read; the key of a spreadsheet is stored under its ID
+const SHARED_API_KEY_PROPERTY = 'CELLMINDAI_SHARED_API_KEY';
+
+// Daily quotas per user for requests with a shared key; quotas and counters are kept in the library's script properties
+const QUOTAS_PROPERTY = 'CELLMINDAI_QUOTAS';
+const QUOTA_USAGE_PROPERTY = 'CELLMINDAI_QUOTA_USAGE';
+const QUOTA_DEFAULTS = { dailyRequests: null, dailyTokens: null };
+
+// Administrators besides the owner (comma-separated emails), set by the library owner in the library's script
+// properties. Files in shared drives have no owner, so only listed administrators can change their owner settings
+const ADMINS_PROPERTY = 'CELLMINDAI_ADMINS';
+
+// Audit log: record of every processing run, switched on per document by the owner
+const AUDIT_LOG_SHEET_NAME = 'CellMindAI Audit Log';
+const AUDIT_LOG_PROPERTY = 'CELLMINDAI_AUDIT_LOG';
+const AUDIT_LOG_HEADERS = ['Timestamp', 'User', 'Feature', 'Prompt', 'Data Ranges', 'Rows', 'Columns', 'Model',
+  'Duration (s)', 'Status', 'Error', 'Output'];
+const AUDIT_LOG_MAX_TEXT = 45000;
+
+// Conversations: message history of an analysis, stored per result sheet for follow-up questions
+const CONVERSATION_SHEET_NAME = 'CellMindAI Conversations';
+
+// Sheets of the client script (chain history and saved chain runs)
+const CHAIN_HISTORY_SHEET_NAME = 'CellMindAI Chain History';
+const CHAIN_STATE_SHEET_NAME = 'CellMindAI Chain State';
+
+// Agent mode: Claude explores the workbook with tools, writes are only proposed and applied after confirmation
+const AGENT_MAX_TURNS = 10;
+const AGENT_MAX_READ_CELLS = 5000;
+const AGENT_SYSTEM_PROMPT = 'You answer questions about a Google Sheets spreadsheet. Use the tools to look up the sheets, ' +
+  'named ranges and data you need instead of guessing, and read only the ranges you need. If the user asks for changes, ' +
+  'use propose_write; the user reviews every proposal before it is applied. ' +
+  'Finish with a concise answer that names the ranges you used.';
+const AGENT_TOOLS = [
+  {
+    name: 'list_sheets',
+    description: 'Lists the visible sheets of the spreadsheet with the number of used rows and columns.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'read_range',
+    description: `Reads a range and returns its values as a table. At most ${AGENT_MAX_READ_CELLS} cells per call.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', description: 'Range with sheet name in A1 notation (e.g. Sales!A1:F50) or a named range' }
+      },
+      required: ['range']
+    }
+  },
+  {
+    name: 'get_named_ranges',
+    description: 'Lists the named ranges of the spreadsheet with the ranges they refer to.',
+    input_schema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'propose_write',
+    description: 'Proposes writing values into a range. Nothing is written until the user confirms. ' +
+      'The range must have the size of the values, or be a single cell where the values start.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        range: { type: 'string', description: 'Target range with sheet name in A1 notation (e.g. Sales!G1:G20)' },
+        values: {
+          type: 'array',
+          description: 'Rows of cell values',
+          items: { type: 'array', items: { type: ['string', 'number', 'boolean'] } }
+        },
+        reason: { type: 'string', description: 'Short explanation of the change for the user' }
+      },
+      required: ['range', 'values']
+    }
+  }
+];
+
 /**
  * CellMindAI class for main functionality
  */
@@ -22,6 +261,7 @@ class CellMindAI {
   constructor() {
     this.apiKey = null;
     this.userProperties = PropertiesService.getUserProperties();
+    this.documentProperties = PropertiesService.getDocumentProperties();
   }
   
   /**
@@ -39,7 +279,8 @@ class CellMindAI {
   }
   
   /**
-   * Retrieves the stored API key
+   * Retrieves the stored personal API key
+   * A shared key is never returned, use getApiKeySource to find out whether one is used
    * @return {string} The stored API key or null
    */
   getApiKey() {
@@ -58,10 +299,10 @@ class CellMindAI {
   
   /**
    * Checks if an API key is set
-   * @return {boolean} True if API key exists
+   * @return {boolean} True if a personal or shared API key exists or the mock provider, which needs none, is selected
    */
   hasApiKey() {
-    return this.getApiKey() !== null;
+    return this.getApiKeySource() !== null || this._getSetting('provider') === 'mock';
   }
   
   /**
@@ -73,305 +314,5169 @@ class CellMindAI {
     return 'API key successfully deleted';
   }
   
+  /**
+   * Stores a shared API key for everyone using this spreadsheet without a personal key (owner only)
+   * The shared key is never returned by the library, not even to the owner
+   * @param {string} apiKey - The Anthropic API key
+   * @return {string} Confirmation message
+   */
+  setSharedApiKey(apiKey) {
+    this._requireDocumentAdmin('set the shared API key');
+    
+    if (!apiKey || String(apiKey).trim() === '') {
+      throw new Error('API key cannot be empty');
+    }
+    
+    PropertiesService.getScriptProperties()
+      .setProperty(getSharedPropertyName_(SHARED_API_KEY_PROPERTY, 'document'), String(apiKey).trim());
+    
+    // Earlier versions kept the key in the document properties, where editors can read it
+    this.documentProperties.deleteProperty(SHARED_API_KEY_PROPERTY);
+    return 'Shared API key saved';
+  }
+  
+  /**
+   * Deletes the shared API key of this spreadsheet (owner only)
+   * @return {string} Confirmation message
+   */
+  clearSharedApiKey() {
+    this._requireDocumentAdmin('remove the shared API key');
+    
+    PropertiesService.getScriptProperties().deleteProperty(getSharedPropertyName_(SHARED_API_KEY_PROPERTY, 'document'));
+    this.documentProperties.deleteProperty(SHARED_API_KEY_PROPERTY);
+    return 'Shared API key removed';
+  }
+  
+  /**
+   * Tells which API key requests are sent with
+   * @return {string|null} 'user' (personal key), 'document' (shared key of the spreadsheet),
+   *   'script' (shared key in the library's script properties) or null if there is no key
+   */
+  getApiKeySource() {
+    return this.getApiKey() ? 'user' : getSharedApiKeySource_();
+  }
+  
+  /**
+   * Gets the daily quotas per user for requests sent with a shared API key
+   * @param {string} source - 'document' or 'script' (defaults to the source of the active key)
+   * @return {Object} dailyRequests and dailyTokens (null for no limit)
+   */
+  getQuotas(source) {
+    const property = getSharedPropertyName_(QUOTAS_PROPERTY, source || this.getApiKeySource());
+    const stored = property && PropertiesService.getScriptProperties().getProperty(property);
+    return Object.assign({}, QUOTA_DEFAULTS, stored ? JSON.parse(stored) : {});
+  }
+  
+  /**
+   * Sets the daily quotas per user for the shared API key of this spreadsheet (owner only)
+   * @param {Object} quotas - dailyRequests and dailyTokens (null or 0 for no limit)
+   * @return {string} Confirmation message
+   */
+  setQuotas(quotas) {
+    this._requireDocumentAdmin('change the quotas');
+    
+    const normalized = {};
+    Object.keys(QUOTA_DEFAULTS).forEach(name => {
+      const value = (quotas || {})[name];
+      if (value === null || value === undefined || value === '' || Number(value) === 0) {
+        normalized[name] = null;
+        return;
+      }
+      
+      normalized[name] = Number(value);
+      if (!Number.isInteger(normalized[name]) || normalized[name] < 0) {
+        throw new Error(`${name} must be a positive whole number`);
+      }
+    });
+    
+    // Earlier versions kept the quotas in the document properties, where editors can change them
+    const property = getSharedPropertyName_(QUOTAS_PROPERTY, 'document');
+    this.documentProperties.deleteProperty(QUOTAS_PROPERTY);
+    
+    if (normalized.dailyRequests === null && normalized.dailyTokens === null) {
+      PropertiesService.getScriptProperties().deleteProperty(property);
+      return 'Quotas removed';
+    }
+    
+    PropertiesService.getScriptProperties().setProperty(property, JSON.stringify(normalized));
+    return 'Quotas saved';
+  }
+  
+  /**
+   * Gets today's usage of the shared API key by the current user
+   * @return {Object} source, day, requests, tokens and the quotas (limits) that apply
+   */
+  getQuotaUsage() {
+    const source = this.getApiKeySource();
+    const shared = source === 'document' || source === 'script';
+    const usage = shared ? readQuotaUsage_() : { requests: 0, tokens: 0 };
+    
+    return {
+      source: source,
+      day: getQuotaDay_(),
+      requests: usage.requests,
+      tokens: usage.tokens,
+      limits: shared ? this.getQuotas(source) : Object.assign({}, QUOTA_DEFAULTS)
+    };
+  }
+  
+  /**
+   * Blocks new requests with a shared API key once the current user has reached a daily quota
+   * @private
+   */
+  _checkQuota() {
+    const source = this.getApiKeySource();
+    if (source !== 'document' && source !== 'script') {
+      return;
+    }
+    
+    const quotas = this.getQuotas(source);
+    const usage = readQuotaUsage_();
+    
+    if (quotas.dailyRequests !== null && usage.requests >= quotas.dailyRequests) {
+      throw new Error(`You have reached your daily quota of ${quotas.dailyRequests} requests with the shared API key. ` +
+        'It resets tomorrow, or configure a personal API key.');
+    }
+    
+    if (quotas.dailyTokens !== null && usage.tokens >= quotas.dailyTokens) {
+      throw new Error(`You have reached your daily quota of ${quotas.dailyTokens} tokens with the shared API key. ` +
+        'It resets tomorrow, or configure a personal API key.');
+    }
+  }
+  
+  /**
+   * Counts a request sent with a shared API key against the current user's daily quota
+   * Recording never fails a request
+   * @private
+   * @param {Object} response - API response with usage
+   */
+  _recordQuotaUsage(response) {
+    const source = this.getApiKeySource();
+    if (source !== 'document' && source !== 'script') {
+      return;
+    }
+    
+    recordQuotaUsage_(response);
+  }
+  
   /**
    * Sends a request to the Claude AI API
    * @param {string} prompt - The prompt for Claude
    * @param {Array} data - The data from the sheet
-   * @param {Object} options - Additional options (max_tokens, temperature, etc.)
-   * @return {Object} The response from Claude
+   * @param {Object} options - Additional options (max_tokens, temperature, system, retry, cache, outputFormat, feature,
+   *   chunking, maxInputTokens, includeHeaders, data_format, etc.); preview: true assembles the requests without sending them
+   * @return {Object} The response from Claude (with the number of chunks if the data was split),
+   *   in preview mode with the assembled requests as previews
    */
   sendPrompt(prompt, data, options = {}) {
+    // A preview covers every request of the prompt, including chunks and the merge of partial answers
+    if (options.preview) {
+      return this._collectPreviews(previews => {
+        const result = this._sendPrompt(prompt, data, options);
+        result.previews = previews();
+        return result;
+      });
+    }
+    
     if (!this.hasApiKey()) {
       throw new Error('No API key found. Please set an API key first with setApiKey()');
     }
     
-    // Format data as a table
-    const dataTable = this._formatDataAsTable(data);
+    return this._sendPrompt(prompt, data, options);
+  }
+  
+  /**
+   * Formats the data, builds the full prompt and sends it (in chunks if the data exceeds the input limit)
+   * @private
+   * @param {string} prompt - The prompt for Claude
+   * @param {Array} data - The data from the sheet
+   * @param {Object} options - Options of sendPrompt
+   * @return {Object} The response from Claude
+   */
+  _sendPrompt(prompt, data, options) {
+    // Data that exceeds the input limit is processed in row chunks and merged (map-reduce)
+    if (options.chunking !== false && Array.isArray(data) && data.length > 1) {
+      const estimate = this.estimateTokens(prompt) + this.estimateTokens(this._formatDataAsTable(data, options));
+      if (estimate > (options.maxInputTokens || MAX_INPUT_TOKENS)) {
+        return this._sendPromptInChunks(prompt, data, options);
+      }
+    }
+    
+    // Format data in the configured data format
+    const dataTable = this._formatDataAsTable(data, options);
     
     // Create complete prompt with data
-    const fullPrompt = `${prompt}\n\nHere is the data from the table:\n\n${dataTable}`;
+    let fullPrompt = `${prompt}\n\nHere is the data from the table:\n\n${dataTable}`;
+    
+    // Ask for a machine-readable table if requested
+    if (options.outputFormat === 'table') {
+      fullPrompt += `\n\n${TABLE_OUTPUT_INSTRUCTION}`;
+    }
     
+    const result = this._sendMessages([{ role: 'user', content: fullPrompt }], options);
+    result.conversation = this._newConversation(fullPrompt, result.response, options);
+    return result;
+  }
+  
+  /**
+   * Sends a list of messages, using the response cache, the spending cap and the usage ledger
+   * @private
+   * @param {Array} messages - Messages in API format ({ role, content }), ending with a user message
+   * @param {Object} options - Request options (model, system, tools, cache, retry, feature, etc.)
+   * @return {Object} The response text (with PII restored if configured), the raw response and whether it came from the cache
+   */
+  _sendMessages(messages, options = {}) {
     // API request parameters
-    const requestOptions = {
-      model: options.model || CLAUDE_MODEL,
-      max_tokens: options.max_tokens || 4000,
-      temperature: options.temperature || 0.7,
-      messages: [{ role: 'user', content: fullPrompt }]
-    };
+    const requestOptions = this._buildGenerationParams(options);
+    
+    // Personal data is masked in everything that leaves the spreadsheet
+    const redaction = this._getRedaction(options);
+    const redact = redaction.enabled;
+    const restore = redact && this._getSetting('restore_pii', options) !== false;
+    const piiTypes = redaction.types;
+    requestOptions.messages = redact ? this._redactMessages(messages, piiTypes) : messages;
+    
+    if (options.tools) {
+      requestOptions.tools = options.tools;
+    }
+    
+    // Instructions go into the system field, an explicit options.system (even empty) overrides the document
+    const system = options.system !== undefined && options.system !== null ? options.system : this.getSystemPrompt();
+    if (system) {
+      requestOptions.system = redact ? this.redactPii(system, piiTypes) : system;
+    }
+    
+    // Identical requests are answered from the cache unless disabled for this call;
+    // mock answers are not cached, so changes to the mock responses sheet apply immediately
+    const provider = this._getProvider(options);
+    const useCache = options.cache !== false && !provider.offline;
+    const cacheKey = useCache ?
+      this._getCacheKey(Object.assign({ provider: provider.name, base_url: provider.baseUrl }, requestOptions)) : null;
     
-    // Send HTTP request
-    const response = this._sendRequest(requestOptions);
+    // A preview records the request exactly as it would be sent (after redaction) and answers with a placeholder
+    if (options.preview) {
+      const preview = this._previewRequest(requestOptions, provider, options);
+      preview.cached = useCache && this._getCachedResponse(cacheKey) !== null;
+      return { response: PREVIEW_RESPONSE, rawResponse: null, cached: false, preview: preview };
+    }
+    
+    if (useCache) {
+      const cachedResponse = this._getCachedResponse(cacheKey);
+      if (cachedResponse) {
+        return {
+          response: restore ? this.restorePii(this._getResponseText(cachedResponse)) : this._getResponseText(cachedResponse),
+          rawResponse: cachedResponse,
+          cached: true
+        };
+      }
+    }
+    
+    // Send HTTP request (cached and mock answers are free and not subject to the spending cap or the quotas)
+    if (!provider.offline) {
+      this._checkSpendingCap();
+      this._checkQuota();
+    }
+    
+    const response = this._sendRequest(requestOptions, options.retry, provider);
+    
+    if (!provider.offline) {
+      this._recordUsage(requestOptions.model, response, options.feature || 'api');
+      this._recordQuotaUsage(response);
+    }
+    
+    if (useCache) {
+      this._putCachedResponse(cacheKey, response);
+    }
     
     return {
-      response: response.content[0].text,
-      rawResponse: response
+      response: restore ? this.restorePii(this._getResponseText(response)) : this._getResponseText(response),
+      rawResponse: response,
+      cached: false
     };
   }
   
   /**
-   * Executes a chain of prompts in sequence
-   * @param {Array} promptChain - Array of prompt objects with data and options
-   * @return {Array} Array of Claude responses
+   * Gets the text of an API response (tool calls carry no text)
+   * @private
+   * @param {Object} response - API response
+   * @return {string} The text blocks of the response
    */
-  executePromptChain(promptChain) {
-    if (!Array.isArray(promptChain) || promptChain.length === 0) {
-      throw new Error('Prompt chain must be a non-empty array');
+  _getResponseText(response) {
+    return (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+  
+  /**
+   * Collects the request previews of an operation, nested operations add to the same list
+   * @private
+   * @param {Function} operation - Called with a function that returns the previews collected by this operation
+   * @return {*} The return value of the operation
+   */
+  _collectPreviews(operation) {
+    const outer = this._previewRequests;
+    this._previewRequests = outer || [];
+    const first = this._previewRequests.length;
+    
+    try {
+      return operation(() => this._previewRequests.slice(first));
+    } finally {
+      if (!outer) {
+        this._previewRequests = null;
+      }
     }
+  }
+  
+  /**
+   * Records the preview of a request that is not sent
+   * @private
+   * @param {Object} requestOptions - The assembled request (model, messages, system, etc.)
+   * @param {Object} provider - The provider the request would be sent to
+   * @param {Object} options - Request options (feature, step)
+   * @return {Object} The preview with the request parameters, the prompt text and the estimated input tokens
+   */
+  _previewRequest(requestOptions, provider, options) {
+    const text = content => typeof content === 'string' ? content : JSON.stringify(content);
+    const messages = requestOptions.messages.map(message => `[${message.role}]\n${text(message.content)}`);
     
-    const results = [];
-    let previousResponse = null;
+    const preview = {
+      step: options.step || '',
+      feature: options.feature || 'api',
+      provider: provider.offline ? provider.name : `${provider.name} (${provider.baseUrl})`,
+      model: requestOptions.model,
+      max_tokens: requestOptions.max_tokens,
+      temperature: requestOptions.temperature,
+      top_p: requestOptions.top_p !== undefined ? requestOptions.top_p : null,
+      stop_sequences: requestOptions.stop_sequences || [],
+      system: requestOptions.system || '',
+      messages: requestOptions.messages.length,
+      prompt: messages.length === 1 ? text(requestOptions.messages[0].content) : messages.join('\n\n'),
+      inputTokens: this.estimateTokens(requestOptions.system) + this.estimateTokens(messages.join('\n')) +
+        (requestOptions.tools ? this.estimateTokens(JSON.stringify(requestOptions.tools)) : 0)
+    };
     
-    for (let i = 0; i < promptChain.length; i++) {
-      const currentStep = promptChain[i];
-      
-      // Enhance the current prompt with the previous response, if available
-      let enhancedPrompt = currentStep.prompt;
-      if (previousResponse && currentStep.includeLastResult) {
-        enhancedPrompt = `${enhancedPrompt}\n\nResult of the previous step:\n${previousResponse}`;
-      }
-      
-      // Execute the current prompt
-      const result = this.sendPrompt(enhancedPrompt, currentStep.data || [], currentStep.options || {});
-      results.push(result);
-      
-      // Save the response for the next step
-      previousResponse = result.response;
+    if (this._previewRequests) {
+      this._previewRequests.push(preview);
     }
     
-    return results;
+    return preview;
   }
   
   /**
-   * Processes the current data from the active sheet
-   * @param {string} prompt - The prompt for Claude
-   * @param {Object} options - Additional options (range, includeHeaders, etc.)
-   * @return {Object} The response from Claude
+   * Writes request previews to the preview sheet, one row per request
+   * @param {Array} previews - Request previews (from sendPrompt or executePromptChain with preview: true)
+   * @return {Sheet} The preview sheet
    */
-  processCurrentSheet(prompt, options = {}) {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-    const range = options.range ? sheet.getRange(options.range) : sheet.getDataRange();
-    const data = range.getValues();
+  writeRequestPreview(previews) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(REQUEST_PREVIEW_SHEET_NAME) || ss.insertSheet(REQUEST_PREVIEW_SHEET_NAME);
     
-    // Remove headers if not desired
-    const processedData = options.includeHeaders === false ? data.slice(1) : data;
+    const rows = [REQUEST_PREVIEW_HEADERS].concat(previews.map((preview, i) => [
+      i + 1, preview.step, preview.feature, preview.provider, preview.model, preview.max_tokens, preview.temperature,
+      preview.top_p === null ? '' : preview.top_p, preview.stop_sequences.join(', '), preview.system, preview.messages,
+      // Cells hold at most 50000 characters
+      preview.prompt.length > 50000 ? preview.prompt.substring(0, 49900) + '\n[... truncated in the preview]' : preview.prompt,
+      preview.inputTokens, preview.cached ? 'yes' : 'no'
+    ]));
+    
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, REQUEST_PREVIEW_HEADERS.length).setNumberFormat('@').setValues(rows);
+    sheet.getRange(1, 1, 1, REQUEST_PREVIEW_HEADERS.length).setFontWeight('bold');
+    sheet.getRange(1, 10, rows.length, 3).setWrap(true).setVerticalAlignment('top');
+    sheet.setColumnWidth(10, 250);
+    sheet.setColumnWidth(12, 500);
+    sheet.setFrozenRows(1);
     
-    return this.sendPrompt(prompt, processedData, options);
+    return sheet;
   }
   
   /**
-   * Writes the result back to the spreadsheet
-   * @param {string} result - The result to be written to the sheet
-   * @param {Object} options - Options for writing (sheetName, cell, createNewSheet)
+   * Estimates the number of tokens of a text
+   * A conservative approximation (no tokenizer is available in Apps Script)
+   * @param {string} text - The text
+   * @return {number} Estimated number of tokens
    */
-  writeResultToSheet(result, options = {}) {
-    let sheet;
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+  
+  /**
+   * Sends a prompt whose data exceeds the input limit in row chunks and merges the partial answers
+   * Every chunk keeps the header row (unless includeHeaders is false)
+   * @private
+   * @param {string} prompt - The prompt for Claude
+   * @param {Array} data - The data from the sheet
+   * @param {Object} options - Options of sendPrompt (maxInputTokens, includeHeaders, outputFormat, etc.)
+   * @return {Object} The merged response with the number of chunks
+   */
+  _sendPromptInChunks(prompt, data, options) {
+    const maxInputTokens = options.maxInputTokens || MAX_INPUT_TOKENS;
+    const header = options.includeHeaders === false ? null : data[0];
+    const rows = header ? data.slice(1) : data;
     
-    // Determine the target sheet
-    if (options.createNewSheet) {
-      sheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet(options.sheetName || 'CellMindAI Result');
-    } else if (options.sheetName) {
-      sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(options.sheetName);
-      if (!sheet) {
-        sheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet(options.sheetName);
+    // Leave room for the prompt, the header row and the chunk note
+    const headerTokens = header ? this.estimateTokens(header.join('\t')) : 0;
+    const budget = maxInputTokens - this.estimateTokens(prompt) - headerTokens - CHUNK_NOTE_TOKENS;
+    if (budget <= 0) {
+      throw new Error(`The prompt alone exceeds the input limit of ${maxInputTokens} tokens`);
+    }
+    
+    const chunks = [];
+    let chunk = [];
+    let chunkTokens = 0;
+    
+    rows.forEach((row, i) => {
+      const rowTokens = this.estimateTokens(row.join('\t') + '\n');
+      if (rowTokens > budget) {
+        throw new Error(`Data row ${i + 1} alone exceeds the input limit of ${maxInputTokens} tokens`);
       }
-    } else {
-      sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+      
+      if (chunkTokens + rowTokens > budget && chunk.length > 0) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkTokens = 0;
+      }
+      
+      chunk.push(row);
+      chunkTokens += rowTokens;
+    });
+    
+    if (chunk.length > 0) {
+      chunks.push(chunk);
     }
     
-    // Determine the target cell
-    const cell = options.cell || 'A1';
-    sheet.getRange(cell).setValue(result);
+    // Map: run the prompt on every chunk; the requested output format only applies to the merged answer
+    const chunkOptions = Object.assign({}, options, { chunking: false, outputFormat: null });
+    const deadline = Date.now() + CHUNK_TIME_BUDGET_MS;
+    let firstRow = 1;
+    const partials = chunks.map((chunkRows, i) => {
+      this._checkChunkDeadline(deadline, options, `after ${i} of ${chunks.length} parts`);
+      
+      const note = `Note: The data is too large for a single request and has been split into ${chunks.length} parts. ` +
+        `This is part ${i + 1} of ${chunks.length} (data rows ${firstRow} to ${firstRow + chunkRows.length - 1}). ` +
+        'Answer based on this part only; the partial answers are merged afterwards.';
+      firstRow += chunkRows.length;
+      
+      const chunkData = header ? [header].concat(chunkRows) : chunkRows;
+      return this.sendPrompt(`${prompt}\n\n${note}`, chunkData, chunkOptions);
+    });
+    
+    const merged = this._reducePartialAnswers(prompt, partials, options, deadline);
+    
+    // Follow-up questions only see the merged answer, the data is too large to send again
+    const summary = `${prompt}\n\n(The data was split into ${chunks.length} parts and the partial answers were merged.)`;
     
     return {
-      success: true,
-      message: `Result written to ${sheet.getName()}!${cell}`
+      response: merged.response,
+      rawResponse: merged.rawResponse,
+      cached: partials.every(partial => partial.cached) && merged.cached,
+      chunks: chunks.length,
+      conversation: this._newConversation(summary, merged.response, options)
     };
   }
   
   /**
-   * Formats 2D array data as a Markdown table
+   * Merges partial answers into one answer to the original prompt (reduce step)
+   * Answers that do not fit into one request are merged in several rounds
    * @private
-   * @param {Array} data - 2D array of data
-   * @return {string} Formatted table as string
+   * @param {string} prompt - The original prompt
+   * @param {Array} partials - Partial results of sendPrompt
+   * @param {Object} options - Options of sendPrompt
+   * @param {number} deadline - No merge request is started after this timestamp (ms)
+   * @return {Object} The merged result
    */
-  _formatDataAsTable(data) {
-    if (!data || data.length === 0) {
-      return 'No data available';
+  _reducePartialAnswers(prompt, partials, options, deadline) {
+    const maxInputTokens = options.maxInputTokens || MAX_INPUT_TOKENS;
+    const instruction = 'The following are partial answers to the task below, each based on one part of a larger data set. ' +
+      'Merge them into one complete answer to the task, as if the whole data set had been analyzed at once: ' +
+      'combine counts and totals, remove duplicates and resolve contradictions. ' +
+      'Do not mention the parts in your answer.\n\n' +
+      `Task:\n${prompt}`;
+    const budget = maxInputTokens - this.estimateTokens(instruction);
+    
+    let answers = partials;
+    
+    do {
+      // Group as many answers as fit into one request
+      const batches = [];
+      let batch = [];
+      let batchTokens = 0;
+      
+      answers.forEach(answer => {
+        const answerTokens = this.estimateTokens(answer.response) + CHUNK_NOTE_TOKENS;
+        if (batchTokens + answerTokens > budget && batch.length > 0) {
+          batches.push(batch);
+          batch = [];
+          batchTokens = 0;
+        }
+        
+        batch.push(answer);
+        batchTokens += answerTokens;
+      });
+      batches.push(batch);
+      
+      if (batches.length > 1 && batches.every(group => group.length === 1)) {
+        throw new Error('The partial answers are too large to be merged. Use a smaller range or a more specific prompt.');
+      }
+      
+      answers = batches.map(group => {
+        this._checkChunkDeadline(deadline, options, 'before merging the partial answers');
+        
+        // The merge request carries no sheet data, so it is sent as a plain message
+        const partialText = group.map((answer, i) => `Partial answer ${i + 1}:\n${answer.response}`).join('\n\n');
+        let mergePrompt = `${instruction}\n\n${partialText}`;
+        if (options.outputFormat === 'table') {
+          mergePrompt += `\n\n${TABLE_OUTPUT_INSTRUCTION}`;
+        }
+        return this._sendMessages([{ role: 'user', content: mergePrompt }], options);
+      });
+    } while (answers.length > 1);
+    
+    return answers[0];
+  }
+  
+  /**
+   * Stops a chunked request before the next chunk or merge request once the time budget is used up
+   * @private
+   * @param {number} deadline - Timestamp in ms
+   * @param {Object} options - Options of sendPrompt (previews are not limited, nothing is sent)
+   * @param {string} progress - Where the request stopped, for the error message
+   */
+  _checkChunkDeadline(deadline, options, progress) {
+    if (!options.preview && Date.now() > deadline) {
+      throw new Error(`The data is too large to be processed within the execution time limit (stopped ${progress}). ` +
+        'Use a smaller range or a more specific prompt.');
+    }
+  }
+  
+  /**
+   * Executes a chain of prompts in sequence
+   * Prompts can reference the output of any earlier step with {{step:id}} (or {{step:number}})
+   *
+   * Long chains can be split across several executions: pass the results of the completed steps as
+   * previousResults together with startIndex, and a deadline to stop before the execution time limit.
+   * The returned array is shorter than the chain if the deadline was reached.
+   *
+   * @param {Array} promptChain - Array of prompt objects with id, prompt, data, includeLastResult and options
+   *   (and optionally range, the reference of the data for the audit log)
+   * @param {Object} options - Options applied to every step (model, temperature, etc.), step options take precedence.
+   *   Chain control: startIndex, previousResults, deadline (timestamp in ms), onStepComplete(index, result).
+   *   With preview: true no request is sent; every result holds the previews of its requests, and later steps
+   *   see "[Result of step N]" in place of earlier answers
+   * @return {Array} Array of Claude responses (including previousResults)
+   */
+  executePromptChain(promptChain, options = {}) {
+    if (!Array.isArray(promptChain) || promptChain.length === 0) {
+      throw new Error('Prompt chain must be a non-empty array');
     }
     
-    // Create Markdown table
-    let tableStr = '';
+    const { startIndex = 0, previousResults = [], deadline, onStepComplete, ...stepDefaults } = options;
     
-    // Add all rows
-    for (let i = 0; i < data.length; i++) {
-      const row = data[i];
-      tableStr += row.join('\t') + '\n';
+    if (previousResults.length !== startIndex) {
+      throw new Error(`Expected ${startIndex} previous results to resume the chain, got ${previousResults.length}`);
     }
     
-    return tableStr;
+    // Reject invalid references before any API call is made
+    this.validatePromptChain(promptChain);
+    
+    // Nothing is sent in a preview, so there is nothing to audit
+    if (stepDefaults.preview) {
+      return this._runPromptChain(promptChain, options, stepDefaults);
+    }
+    
+    const remainingSteps = promptChain.slice(startIndex);
+    const auditEntry = {
+      feature: stepDefaults.feature || 'chain',
+      prompt: remainingSteps.map((step, index) => `${startIndex + index + 1}. ${step.prompt}`).join('\n'),
+      ranges: remainingSteps.reduce((ranges, step) => {
+        const placeholders = options.resolvePlaceholders === false ? [] : this._getPlaceholderRanges(step.prompt);
+        return ranges.concat(step.range ? [step.range] : [], placeholders);
+      }, []),
+      rows: remainingSteps.reduce((total, step) => total + (step.data || []).length, 0),
+      columns: remainingSteps.reduce((max, step) => Math.max(max, step.data && step.data[0] ? step.data[0].length : 0), 0),
+      model: this._getSetting('model', stepDefaults)
+    };
+    
+    return this._audit(auditEntry, () => this._runPromptChain(promptChain, options, stepDefaults), results => {
+      return results.length < promptChain.length ?
+        { status: 'paused', error: `Stopped after step ${results.length} of ${promptChain.length} (time limit)` } : {};
+    });
   }
   
   /**
-   * Sends HTTP request to the Claude API
+   * Executes the steps of a validated prompt chain
    * @private
-   * @param {Object} requestData - Request data
-   * @return {Object} API response as JSON
+   * @param {Array} promptChain - Array of prompt objects
+   * @param {Object} options - Options of executePromptChain
+   * @param {Object} stepDefaults - Default options for every step
+   * @return {Array} Results of all executed steps, including previous results
    */
-  _sendRequest(requestData) {
-    const options = {
-      method: 'post',
-      headers: {
-        'x-api-key': this.getApiKey(),
-        'content-type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      payload: JSON.stringify(requestData),
-      muteHttpExceptions: true
-    };
+  _runPromptChain(promptChain, options, stepDefaults) {
+    const { startIndex = 0, previousResults = [], deadline, onStepComplete } = options;
     
-    try {
-      const response = UrlFetchApp.fetch(ANTHROPIC_API_URL, options);
-      const responseCode = response.getResponseCode();
-      const responseText = response.getContentText();
-      
-      if (responseCode !== 200) {
-        throw new Error(`API error (${responseCode}): ${responseText}`);
-      }
+    // Resolve cell and range placeholders up front, so broken references also fail before any API call
+    const prompts = promptChain.map(step => {
+      return options.resolvePlaceholders === false ? step.prompt : this.resolvePlaceholders(step.prompt);
+    });
+    
+    // Results of earlier executions may be plain response strings
+    const results = previousResults.map(result => typeof result === 'string' ? { response: result } : result);
+    let previousResponse = results.length > 0 ? results[results.length - 1].response : null;
+    
+    for (let i = startIndex; i < promptChain.length; i++) {
+      const currentStep = promptChain[i];
+      
+      // Always run at least one step, then stop once the deadline has passed
+      if (deadline && i > startIndex && Date.now() > deadline) {
+        break;
+      }
+      
+      // Insert the output of referenced steps
+      let enhancedPrompt = prompts[i].replace(STEP_REFERENCE_PATTERN, (match, reference) => {
+        return results[this._findStepIndex(promptChain, reference)].response;
+      });
+      
+      // Enhance the current prompt with the previous response, if available
+      if (previousResponse && currentStep.includeLastResult) {
+        enhancedPrompt = `${enhancedPrompt}\n\nResult of the previous step:\n${previousResponse}`;
+      }
+      
+      // Execute the current prompt
+      const stepOptions = Object.assign({ feature: 'chain' }, stepDefaults, currentStep.options || {});
+      const stepLabel = currentStep.id ? `${i + 1} (${currentStep.id})` : String(i + 1);
+      if (stepOptions.preview) {
+        stepOptions.step = stepLabel;
+      }
+      
+      const result = this.sendPrompt(enhancedPrompt, currentStep.data || [], stepOptions);
+      
+      // Later steps of a preview show where the answer of this step would be inserted
+      if (stepOptions.preview) {
+        result.response = `[Result of step ${stepLabel}]`;
+      }
+      
+      results.push(result);
+      
+      // Let the caller persist progress after every step
+      if (typeof onStepComplete === 'function') {
+        onStepComplete(i, result);
+      }
+      
+      // Save the response for the next step
+      previousResponse = result.response;
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Validates the step IDs and step references of a prompt chain
+   * Steps may only reference earlier steps, which also rules out cycles
+   * @param {Array} promptChain - Array of prompt objects
+   * @return {boolean} True if the chain is valid (throws otherwise)
+   */
+  validatePromptChain(promptChain) {
+    const errors = [];
+    const seenIds = {};
+    
+    promptChain.forEach((step, index) => {
+      const stepLabel = `Step ${index + 1}`;
+      
+      if (!step || !step.prompt || String(step.prompt).trim() === '') {
+        errors.push(`${stepLabel}: prompt is empty`);
+        return;
+      }
+      
+      if (step.id !== undefined && step.id !== null && String(step.id).trim() !== '') {
+        const id = String(step.id).trim().toLowerCase();
+        
+        if (!/^[a-z0-9_-]+$/.test(id) || /^\d+$/.test(id)) {
+          errors.push(`${stepLabel}: invalid step ID "${step.id}" (use letters, digits, "-" and "_", not only digits)`);
+        } else if (seenIds[id] !== undefined) {
+          errors.push(`${stepLabel}: step ID "${step.id}" is already used by step ${seenIds[id] + 1}`);
+        } else {
+          seenIds[id] = index;
+        }
+      }
+    });
+    
+    promptChain.forEach((step, index) => {
+      if (!step || !step.prompt) {
+        return;
+      }
+      
+      const references = String(step.prompt).match(STEP_REFERENCE_PATTERN) || [];
+      
+      references.forEach(placeholder => {
+        const reference = placeholder.replace(STEP_REFERENCE_PATTERN, '$1');
+        const targetIndex = this._findStepIndex(promptChain, reference);
+        
+        if (targetIndex === -1) {
+          errors.push(`Step ${index + 1}: ${placeholder} does not match any step`);
+        } else if (targetIndex === index) {
+          errors.push(`Step ${index + 1}: ${placeholder} references the step itself`);
+        } else if (targetIndex > index) {
+          errors.push(`Step ${index + 1}: ${placeholder} references step ${targetIndex + 1}, which runs later`);
+        }
+      });
+    });
+    
+    if (errors.length > 0) {
+      throw new Error('Invalid prompt chain:\n' + errors.join('\n'));
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Finds the index of a chain step by ID or 1-based step number
+   * @private
+   * @param {Array} promptChain - Array of prompt objects
+   * @param {string} reference - Step ID or step number
+   * @return {number} Index of the step or -1
+   */
+  _findStepIndex(promptChain, reference) {
+    const key = String(reference).trim().toLowerCase();
+    
+    if (/^\d+$/.test(key)) {
+      const index = parseInt(key, 10) - 1;
+      return index >= 0 && index < promptChain.length ? index : -1;
+    }
+    
+    for (let i = 0; i < promptChain.length; i++) {
+      if (promptChain[i] && promptChain[i].id !== undefined && promptChain[i].id !== null &&
+          String(promptChain[i].id).trim().toLowerCase() === key) {
+        return i;
+      }
+    }
+    
+    return -1;
+  }
+  
+  /**
+   * Gets the generation settings
+   * @param {string} scope - 'user', 'document' or omitted for the effective settings
+   * @return {Object} Settings (model, max_tokens, temperature, top_p, stop_sequences)
+   */
+  getSettings(scope) {
+    if (scope === 'user' || scope === 'document') {
+      return this._readSettings(scope);
+    }
+    
+    // Defaults < user settings < document settings (without the settings only users may set)
+    const documentSettings = this._readSettings('document');
+    USER_ONLY_SETTINGS.forEach(name => delete documentSettings[name]);
+    return Object.assign({}, SETTINGS_DEFAULTS, this._readSettings('user'), documentSettings);
+  }
+  
+  /**
+   * Saves generation settings
+   * Settings set to null or an empty string are removed, so the next level applies again
+   * @param {Object} settings - Settings to save (model, max_tokens, temperature, top_p, stop_sequences)
+   * @param {string} scope - 'user' (personal defaults) or 'document' (this spreadsheet)
+   * @return {string} Confirmation message
+   */
+  saveSettings(settings, scope = 'user') {
+    const properties = this._getSettingsProperties(scope);
+    const stored = this._readSettings(scope);
+    
+    Object.keys(settings || {}).forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(SETTINGS_DEFAULTS, name)) {
+        throw new Error(`Unknown setting "${name}"`);
+      }
+      if (scope === 'document' && USER_ONLY_SETTINGS.indexOf(name) !== -1) {
+        throw new Error(`${name} can only be set in your personal settings`);
+      }
+      if (scope === 'document' && PII_OWNER_SETTINGS.indexOf(name) !== -1) {
+        this._requireDocumentAdmin(`change ${name} for the spreadsheet`);
+      }
+      
+      const value = settings[name];
+      if (value === null || value === undefined || value === '') {
+        delete stored[name];
+      } else {
+        stored[name] = this._validateSetting(name, value);
+      }
+    });
+    
+    properties.setProperty(SETTINGS_PROPERTY, JSON.stringify(stored));
+    return `Settings saved (${scope})`;
+  }
+  
+  /**
+   * Reads the stored settings of one scope
+   * @private
+   * @param {string} scope - 'user' or 'document'
+   * @return {Object} Stored settings
+   */
+  _readSettings(scope) {
+    const properties = this._getSettingsProperties(scope, true);
+    const stored = properties && properties.getProperty(SETTINGS_PROPERTY);
+    return stored ? JSON.parse(stored) : {};
+  }
+  
+  /**
+   * Gets the property store for a settings scope
+   * @private
+   * @param {string} scope - 'user' or 'document'
+   * @param {boolean} optional - Return null instead of throwing if unavailable
+   * @return {Properties|null} Property store
+   */
+  _getSettingsProperties(scope, optional) {
+    if (scope !== 'user' && scope !== 'document') {
+      throw new Error(`Invalid settings scope "${scope}"`);
+    }
+    
+    const properties = scope === 'user' ? this.userProperties : this.documentProperties;
+    if (!properties && !optional) {
+      throw new Error('Document settings are only available in a spreadsheet');
+    }
+    
+    return properties;
+  }
+  
+  /**
+   * Validates and normalizes a single setting
+   * @private
+   * @param {string} name - Setting name
+   * @param {*} value - Setting value
+   * @return {*} Normalized value
+   */
+  _validateSetting(name, value) {
+    switch (name) {
+      case 'model':
+        return String(value).trim();
+      case 'max_tokens': {
+        const maxTokens = parseInt(value, 10);
+        if (isNaN(maxTokens) || maxTokens < 1) {
+          throw new Error('max_tokens must be a positive number');
+        }
+        return maxTokens;
+      }
+      case 'temperature':
+      case 'top_p': {
+        const number = parseFloat(value);
+        if (isNaN(number) || number < 0 || number > 1) {
+          throw new Error(`${name} must be a number between 0 and 1`);
+        }
+        return number;
+      }
+      case 'stop_sequences': {
+        const sequences = Array.isArray(value) ? value : String(value).split(',');
+        return sequences.map(sequence => String(sequence).trim()).filter(sequence => sequence !== '');
+      }
+      case 'data_format': {
+        const format = String(value).toLowerCase().trim();
+        if (DATA_FORMATS.indexOf(format) === -1) {
+          throw new Error(`data_format must be one of: ${DATA_FORMATS.join(', ')}`);
+        }
+        return format;
+      }
+      case 'display_values':
+      case 'redact_pii':
+      case 'restore_pii': {
+        const text = String(value).toLowerCase().trim();
+        if (['true', 'yes', '1'].indexOf(text) !== -1) return true;
+        if (['false', 'no', '0'].indexOf(text) !== -1) return false;
+        throw new Error(`${name} must be true or false`);
+      }
+      case 'provider': {
+        const provider = String(value).toLowerCase().trim();
+        if (!API_PROVIDERS[provider]) {
+          throw new Error(`provider must be one of: ${Object.keys(API_PROVIDERS).join(', ')}`);
+        }
+        return provider;
+      }
+      case 'base_url': {
+        const url = String(value).trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/\S+$/i.test(url)) {
+          throw new Error('base_url must start with http:// or https://');
+        }
+        return url;
+      }
+      case 'pii_types': {
+        const types = (Array.isArray(value) ? value : String(value).split(','))
+          .map(type => String(type).toLowerCase().trim())
+          .filter(type => type !== '');
+        const unknown = types.filter(type => !PII_PATTERNS[type]);
+        if (unknown.length > 0) {
+          throw new Error(`Unknown PII type "${unknown[0]}", use: ${Object.keys(PII_PATTERNS).join(', ')}`);
+        }
+        return types;
+      }
+      default:
+        return value;
+    }
+  }
+  
+  /**
+   * Gets the system prompt stored with the spreadsheet
+   * @return {string|null} The system prompt or null
+   */
+  getSystemPrompt() {
+    return (this.documentProperties && this.documentProperties.getProperty(SYSTEM_PROMPT_PROPERTY)) || null;
+  }
+  
+  /**
+   * Stores the system prompt with the spreadsheet
+   * @param {string} systemPrompt - The system prompt (empty to remove it)
+   * @return {string} Confirmation message
+   */
+  setSystemPrompt(systemPrompt) {
+    if (!systemPrompt || String(systemPrompt).trim() === '') {
+      this.documentProperties.deleteProperty(SYSTEM_PROMPT_PROPERTY);
+      return 'System prompt removed';
+    }
+    
+    this.documentProperties.setProperty(SYSTEM_PROMPT_PROPERTY, String(systemPrompt).trim());
+    return 'System prompt saved';
+  }
+  
+  /**
+   * Builds the generation parameters of an API request
+   * Per-call options override the stored settings; explicit values such as temperature 0 are kept
+   * @private
+   * @param {Object} options - Per-call options
+   * @return {Object} Request parameters (model, max_tokens, temperature, top_p, stop_sequences)
+   */
+  _buildGenerationParams(options = {}) {
+    const settings = this.getSettings();
+    const pick = name => options[name] !== undefined && options[name] !== null ? options[name] : settings[name];
+    
+    const params = {
+      model: pick('model'),
+      max_tokens: pick('max_tokens'),
+      temperature: pick('temperature')
+    };
+    
+    const topP = pick('top_p');
+    if (topP !== null && topP !== undefined) {
+      params.top_p = topP;
+    }
+    
+    const stopSequences = pick('stop_sequences');
+    if (Array.isArray(stopSequences) && stopSequences.length > 0) {
+      params.stop_sequences = stopSequences;
+    }
+    
+    return params;
+  }
+  
+  /**
+   * Gets a single setting, overridden by a per-call option of the same name
+   * @private
+   * @param {string} name - Setting name
+   * @param {Object} options - Per-call options
+   * @return {*} Setting value
+   */
+  _getSetting(name, options = {}) {
+    return options[name] !== undefined && options[name] !== null ? options[name] : this.getSettings()[name];
+  }
+  
+  /**
+   * Gets whether and which personal data is masked in a request
+   * Redaction switched on for the spreadsheet cannot be weakened by personal settings or per-call options
+   * @private
+   * @param {Object} options - Per-call options (redact_pii, pii_types)
+   * @return {Object} enabled and the PII types to detect
+   */
+  _getRedaction(options = {}) {
+    const documentSettings = this._readSettings('document');
+    if (documentSettings.redact_pii === true) {
+      return { enabled: true, types: documentSettings.pii_types || SETTINGS_DEFAULTS.pii_types };
+    }
+    
+    return { enabled: this._getSetting('redact_pii', options) === true, types: this._getSetting('pii_types', options) };
+  }
+  
+  /**
+   * Reads the values of a range as displayed or raw values, depending on the display_values setting
+   * @param {Range} range - The range
+   * @param {Object} options - Per-call options (display_values)
+   * @return {Array} 2D array of values
+   */
+  getRangeValues(range, options = {}) {
+    return this._getSetting('display_values', options) ? range.getDisplayValues() : range.getValues();
+  }
+  
+  /**
+   * Processes the current data from the active sheet
+   * @param {string} prompt - The prompt for Claude
+   * @param {Object} options - Additional options (range, sheetName, includeHeaders, resolvePlaceholders, etc.)
+   * @return {Object} The response from Claude
+   */
+  processCurrentSheet(prompt, options = {}) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = options.sheetName ? ss.getSheetByName(options.sheetName) : ss.getActiveSheet();
+    if (!sheet) {
+      throw new Error(`Sheet "${options.sheetName}" not found`);
+    }
+    
+    const range = options.range ? sheet.getRange(options.range) : sheet.getDataRange();
+    this._withheldData = [];
+    const data = this._applyDataPolicy(range, this.getRangeValues(range, options));
+    
+    // Remove headers if not desired
+    const processedData = options.includeHeaders === false ? data.slice(1) : data;
+    
+    const auditEntry = {
+      feature: options.feature || 'process',
+      prompt: prompt,
+      ranges: [this._describeRange(range)].concat(
+        options.resolvePlaceholders === false ? [] : this._getPlaceholderRanges(prompt)),
+      rows: processedData.length,
+      columns: data.length > 0 ? data[0].length : 0,
+      model: this._getSetting('model', options)
+    };
+    
+    const run = () => {
+      const resolvedPrompt = options.resolvePlaceholders === false ? prompt : this.resolvePlaceholders(prompt);
+      return this.sendPrompt(resolvedPrompt, processedData, Object.assign({ feature: 'process' }, options));
+    };
+    
+    // Nothing is sent in a preview, so there is nothing to audit
+    const result = options.preview ? run() : this._audit(auditEntry, run);
+    
+    // Lets callers in a later execution (e.g. the sidebar) link the written output to the audit entry
+    result.auditRow = this._lastAuditRow;
+    result.withheld = this._withheldData;
+    return result;
+  }
+  
+  /**
+   * Replaces cell and range placeholders in a prompt with spreadsheet content
+   * {{Config!B2}} (single cell) is replaced inline by the displayed value,
+   * {{Targets}} or {{Sheet1!A1:D10}} (range or named range) by a formatted table
+   * @param {string} text - The prompt text
+   * @return {string} The prompt with all placeholders resolved
+   */
+  resolvePlaceholders(text) {
+    if (!text) {
+      return text;
+    }
+    
+    return String(text).replace(RANGE_PLACEHOLDER_PATTERN, (match, reference) => {
+      const range = this._getRangeByReference(reference);
+      if (!range) {
+        throw new Error(`Could not resolve placeholder ${match}: no such cell, range or named range`);
+      }
+      
+      // Placeholders are part of the payload, so the data policy applies to them as well
+      const values = this._applyDataPolicy(range, range.getDisplayValues());
+      if (range.getNumRows() === 1 && range.getNumColumns() === 1) {
+        return values[0][0];
+      }
+      
+      return '\n' + this._formatDataAsTable(values);
+    });
+  }
+  
+  /**
+   * Gets a range by named range, sheet reference (Sheet1!A1:B2) or A1 notation in the active sheet
+   * @private
+   * @param {string} reference - The range reference
+   * @return {Range|null} The range or null if it cannot be resolved
+   */
+  _getRangeByReference(reference) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    
+    try {
+      const namedRange = ss.getRangeByName(reference);
+      if (namedRange) {
+        return namedRange;
+      }
       
-      return JSON.parse(responseText);
+      return reference.indexOf('!') !== -1 ? ss.getRange(reference) : ss.getActiveSheet().getRange(reference);
     } catch (error) {
-      throw new Error(`Error during API request: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Processes a range row by row and writes one answer per row into a target column
+   * @param {string} promptTemplate - The prompt for each row; {{Header}} placeholders are replaced with the row's values
+   * @param {Object} options - Additional options (range, targetColumn, includeHeaders, skipFilled, sheetName, etc.)
+   * @return {Object} Summary with processed, skipped and failed counts and per-row errors
+   */
+  processRows(promptTemplate, options = {}) {
+    if (!promptTemplate || promptTemplate.trim() === '') {
+      throw new Error('Prompt template cannot be empty');
+    }
+    
+    if (!options.targetColumn) {
+      throw new Error('A target column is required for row processing');
+    }
+    
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = options.sheetName ? ss.getSheetByName(options.sheetName) : ss.getActiveSheet();
+    if (!sheet) {
+      throw new Error(`Sheet "${options.sheetName}" not found`);
+    }
+    
+    const range = options.range ? sheet.getRange(options.range) : sheet.getDataRange();
+    
+    // Every request holds a single row, so only the column and sheet rules apply
+    this._withheldData = [];
+    const values = this._applyDataPolicy(range, this.getRangeValues(range, options), { rowLimit: false });
+    const targetColumn = this._columnToIndex(options.targetColumn);
+    const targetValues = sheet.getRange(range.getRow(), targetColumn, values.length, 1).getValues();
+    
+    // The first row holds the headers unless explicitly disabled
+    const headers = options.includeHeaders === false ? null : values[0];
+    const firstDataRow = headers ? 1 : 0;
+    
+    // Withheld columns are no longer in the values, so their placeholders must not be resolved as ranges
+    const deniedColumns = this.getDataPolicy().deniedColumns.map(name => name.toLowerCase());
+    const denied = [];
+    promptTemplate.replace(RANGE_PLACEHOLDER_PATTERN, (match, reference) => {
+      if (deniedColumns.indexOf(reference.toLowerCase().trim()) !== -1 && denied.indexOf(match) === -1) {
+        denied.push(match);
+      }
+      return match;
+    });
+    if (denied.length > 0) {
+      throw new Error(`The column ${denied.join(', ')} in the prompt template is withheld by the data policy`);
+    }
+    
+    // Report misspelled headers once instead of failing (or resolving a range) in every row
+    const unknown = this._findUnknownRowPlaceholders(promptTemplate, headers, options);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column ${unknown.join(', ')} in the prompt template` +
+        (headers ? `. Available headers: ${headers.filter(header => header !== '').join(', ')}` : ''));
+    }
+    
+    const auditEntry = {
+      feature: options.feature || 'rows',
+      prompt: promptTemplate,
+      ranges: [this._describeRange(range)],
+      rows: values.length - firstDataRow,
+      columns: values.length > 0 ? values[0].length : 0,
+      model: this._getSetting('model', options),
+      output: sheet.getRange(range.getRow() + firstDataRow, targetColumn, Math.max(values.length - firstDataRow, 1), 1)
+    };
+    
+    const summary = this._audit(auditEntry, () => this._processRowValues(promptTemplate, options, {
+      sheet: sheet,
+      range: range,
+      values: values,
+      headers: headers,
+      firstDataRow: firstDataRow,
+      targetColumn: targetColumn,
+      targetValues: targetValues
+    }), summary => summary.failed === 0 ? {} : {
+      status: summary.processed > 0 ? 'partial' : 'error',
+      error: summary.errors.slice(0, 3).map(error => `Row ${error.row}: ${error.message}`).join('; ')
+    });
+    
+    summary.withheld = this._withheldData;
+    return summary;
+  }
+  
+  /**
+   * Finds the placeholders of a row template that match neither a header nor a cell, range or named range
+   * @private
+   * @param {string} promptTemplate - Prompt template with {{column}} placeholders
+   * @param {Array|null} headers - Header row, or null without headers
+   * @param {Object} options - Options of processRows
+   * @return {Array} Unknown placeholders, each listed once
+   */
+  _findUnknownRowPlaceholders(promptTemplate, headers, options) {
+    const names = (headers || []).map(header => String(header).toLowerCase().trim());
+    const unknown = [];
+    
+    promptTemplate.replace(RANGE_PLACEHOLDER_PATTERN, (match, reference) => {
+      const isHeader = names.indexOf(reference.toLowerCase().trim()) !== -1;
+      const isRange = options.resolvePlaceholders !== false && this._getRangeByReference(reference) !== null;
+      if (!isHeader && !isRange && unknown.indexOf(match) === -1) {
+        unknown.push(match);
+      }
+      return match;
+    });
+    
+    return unknown;
+  }
+  
+  /**
+   * Sends one request per row and writes each answer into the target column
+   * @private
+   * @param {string} promptTemplate - Prompt template with {{column}} placeholders
+   * @param {Object} options - Options of processRows
+   * @param {Object} context - Sheet, range, values, headers, firstDataRow, targetColumn and targetValues
+   * @return {Object} Summary with processed, skipped, failed and errors
+   */
+  _processRowValues(promptTemplate, options, context) {
+    const { sheet, range, values, headers, firstDataRow, targetColumn, targetValues } = context;
+    const summary = { processed: 0, skipped: 0, failed: 0, errors: [] };
+    
+    for (let i = firstDataRow; i < values.length; i++) {
+      const row = values[i];
+      const rowNumber = range.getRow() + i;
+      
+      // Skip empty rows and rows that already have an answer
+      const isEmpty = row.every(value => value === '' || value === null);
+      const isFilled = options.skipFilled !== false && targetValues[i][0] !== '';
+      if (isEmpty || isFilled) {
+        summary.skipped++;
+        continue;
+      }
+      
+      try {
+        const rowPrompt = this._fillRowTemplate(promptTemplate, headers, row);
+        const prompt = options.resolvePlaceholders === false ? rowPrompt : this.resolvePlaceholders(rowPrompt);
+        const rowData = headers ? [headers, row] : [row];
+        const result = this.sendPrompt(prompt, rowData, Object.assign({ feature: 'rows' }, options));
+        
+        // Write immediately so completed rows survive later failures
+        sheet.getRange(rowNumber, targetColumn).setValue(this._escapeFormula(result.response.trim()));
+        summary.processed++;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ row: rowNumber, message: error.message });
+      }
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Classifies the text of one column row by row into a fixed set of labels
+   * Writes the label and optionally a confidence (0 to 1) per row; both columns get data validation
+   * @param {Object} options - labels (array, comma-separated list or range reference), textColumn, labelColumn,
+   *   confidenceColumn (optional), instructions (optional task description), range, sheetName, includeHeaders, skipFilled
+   *   and model options (temperature defaults to 0)
+   * @return {Object} Summary with processed, skipped and failed counts, per-row errors, the count per label
+   *   and stoppedAtRow (first row left for a later run when the time budget ran out, otherwise null)
+   */
+  classifyRows(options = {}) {
+    if (!options.textColumn || !options.labelColumn) {
+      throw new Error('A text column and a label column are required for classification');
+    }
+    
+    this._withheldData = [];
+    const labels = this._resolveLabels(options.labels);
+    
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = options.sheetName ? ss.getSheetByName(options.sheetName) : ss.getActiveSheet();
+    if (!sheet) {
+      throw new Error(`Sheet "${options.sheetName}" not found`);
+    }
+    
+    const range = options.range ? sheet.getRange(options.range) : sheet.getDataRange();
+    const textColumn = this._columnToIndex(options.textColumn);
+    const labelColumn = this._columnToIndex(options.labelColumn);
+    const confidenceColumn = options.confidenceColumn ? this._columnToIndex(options.confidenceColumn) : null;
+    
+    // Only the text column is sent, one row per request
+    const textRange = sheet.getRange(range.getRow(), textColumn, range.getNumRows(), 1);
+    const texts = this._applyDataPolicy(textRange, this.getRangeValues(textRange, options), { rowLimit: false });
+    const labelValues = sheet.getRange(range.getRow(), labelColumn, range.getNumRows(), 1).getValues();
+    
+    const firstDataRow = options.includeHeaders === false ? 0 : 1;
+    const rowCount = Math.max(range.getNumRows() - firstDataRow, 1);
+    const labelOutput = sheet.getRange(range.getRow() + firstDataRow, labelColumn, rowCount, 1);
+    const confidenceOutput = confidenceColumn ?
+      sheet.getRange(range.getRow() + firstDataRow, confidenceColumn, rowCount, 1) : null;
+    
+    // Labels are text, also labels like "-1" or "2024", so they match the validation list
+    labelOutput.setNumberFormat('@');
+    
+    // Validation keeps the output columns clean, also for manual corrections
+    labelOutput.setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(labels, true)
+      .setAllowInvalid(false)
+      .build());
+    
+    if (confidenceOutput) {
+      confidenceOutput.setDataValidation(SpreadsheetApp.newDataValidation()
+        .requireNumberBetween(0, 1)
+        .setAllowInvalid(false)
+        .setHelpText('Confidence between 0 and 1')
+        .build());
+      confidenceOutput.setNumberFormat('0%');
+    }
+    
+    if (firstDataRow === 1) {
+      [[labelColumn, 'Label'], [confidenceColumn, 'Confidence']].forEach(([column, header]) => {
+        const cell = column ? sheet.getRange(range.getRow(), column) : null;
+        if (cell && cell.getValue() === '') {
+          cell.setValue(header).setFontWeight('bold');
+        }
+      });
+    }
+    
+    const auditEntry = {
+      feature: options.feature || 'classify',
+      prompt: `Classify into: ${labels.join(', ')}` + (options.instructions ? `\n${options.instructions}` : ''),
+      ranges: [this._describeRange(textRange)],
+      rows: texts.length - firstDataRow,
+      columns: 1,
+      model: this._getSetting('model', options),
+      output: labelOutput
+    };
+    
+    const summary = this._audit(auditEntry, () => this._classifyRowValues(labels, options, {
+      sheet: sheet,
+      range: range,
+      texts: texts,
+      labelValues: labelValues,
+      firstDataRow: firstDataRow,
+      labelColumn: labelColumn,
+      confidenceColumn: confidenceColumn
+    }), summary => summary.failed === 0 && summary.stoppedAtRow === null ? {} : {
+      status: summary.processed > 0 ? 'partial' : 'error',
+      error: summary.errors.slice(0, 3).map(error => `Row ${error.row}: ${error.message}`)
+        .concat(summary.stoppedAtRow === null ? [] : [`Stopped at row ${summary.stoppedAtRow} (time limit)`])
+        .join('; ')
+    });
+    
+    summary.withheld = this._withheldData;
+    return summary;
+  }
+  
+  /**
+   * Classifies every row and writes label and confidence immediately
+   * No new row is started once the time budget is used up, so the run ends before the execution time limit
+   * @private
+   * @param {Array} labels - The allowed labels
+   * @param {Object} options - Options of classifyRows
+   * @param {Object} context - Sheet, range, texts, labelValues, firstDataRow, labelColumn and confidenceColumn
+   * @return {Object} Summary with processed, skipped, failed, errors, counts per label and stoppedAtRow
+   */
+  _classifyRowValues(labels, options, context) {
+    const { sheet, range, texts, labelValues, firstDataRow, labelColumn, confidenceColumn } = context;
+    const summary = { processed: 0, skipped: 0, failed: 0, errors: [], counts: {}, stoppedAtRow: null };
+    const deadline = Date.now() + CLASSIFY_TIME_BUDGET_MS;
+    
+    for (let i = firstDataRow; i < texts.length; i++) {
+      const text = String(texts[i][0]).trim();
+      const rowNumber = range.getRow() + i;
+      
+      // Skip empty texts and rows that already have a label
+      if (text === '' || (options.skipFilled !== false && labelValues[i][0] !== '')) {
+        summary.skipped++;
+        continue;
+      }
+      
+      if (Date.now() > deadline) {
+        summary.stoppedAtRow = rowNumber;
+        break;
+      }
+      
+      try {
+        const result = this.classifyText(text, labels, options);
+        
+        // Write immediately so completed rows survive later failures
+        // Labels are user-defined, "+positive" must not become a formula
+        sheet.getRange(rowNumber, labelColumn).setValue(this._escapeFormula(result.label));
+        if (confidenceColumn) {
+          sheet.getRange(rowNumber, confidenceColumn).setValue(result.confidence === null ? '' : result.confidence);
+        }
+        
+        summary.counts[result.label] = (summary.counts[result.label] || 0) + 1;
+        summary.processed++;
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ row: rowNumber, message: error.message });
+      }
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Classifies a text into exactly one of the given labels
+   * An answer outside the label set is corrected once, then the text counts as failed
+   * @param {string} text - The text to classify
+   * @param {Array|string} labels - The allowed labels (array, comma-separated list or range reference)
+   * @param {Object} options - instructions (optional task description) and model options (temperature defaults to 0)
+   * @return {Object} label and confidence (0 to 1, or null if the answer had none)
+   */
+  classifyText(text, labels, options = {}) {
+    const labelList = this._resolveLabels(labels);
+    const requestOptions = Object.assign({ feature: 'classify', temperature: 0 }, options);
+    
+    const prompt = 'Classify the text below into exactly one of these labels:\n' +
+      labelList.map(label => `- ${label}`).join('\n') + '\n\n' +
+      (options.instructions ? `${options.instructions}\n\n` : '') +
+      'Answer only with a JSON object of the form {"label": "<label>", "confidence": <number between 0 and 1>}, ' +
+      'with the label spelled exactly as listed.\n\n' +
+      `Text:\n"""\n${text}\n"""`;
+    
+    const messages = [{ role: 'user', content: prompt }];
+    const answer = this._sendMessages(messages, requestOptions).response;
+    
+    try {
+      return this._parseClassification(answer, labelList);
+    } catch (error) {
+      const correction = `Your answer is not one of the labels. Choose exactly one of: ${labelList.join(', ')}. ` +
+        'Answer only with the JSON object.';
+      const retry = this._sendMessages(messages.concat([
+        { role: 'assistant', content: answer },
+        { role: 'user', content: correction }
+      ]), requestOptions).response;
+      
+      return this._parseClassification(retry, labelList);
+    }
+  }
+  
+  /**
+   * Extracts label and confidence from a classification answer
+   * The label must match one of the labels exactly (ignoring case): the label of the requested JSON object
+   * or, without a JSON object, the whole answer. Labels mentioned in a sentence are not accepted.
+   * @private
+   * @param {string} answer - The answer text
+   * @param {Array} labels - The allowed labels
+   * @return {Object} label (spelled as in the label set) and confidence (0 to 1 or null)
+   */
+  _parseClassification(answer, labels) {
+    const find = value => labels.find(label => label.toLowerCase() === String(value).toLowerCase().trim()) || null;
+    let label = null;
+    let confidence = null;
+    
+    const json = String(answer).match(/\{[\s\S]*\}/);
+    let parsed = null;
+    if (json) {
+      try {
+        parsed = JSON.parse(json[0]);
+      } catch (error) {
+        parsed = null;
+      }
+    }
+    
+    if (parsed && typeof parsed === 'object') {
+      label = find(parsed.label);
+      confidence = parseFloat(parsed.confidence);
+    } else {
+      label = find(answer);
+    }
+    
+    if (!label) {
+      throw new Error(`The answer "${String(answer).trim().substring(0, 100)}" is not one of the labels`);
+    }
+    
+    // 0 to 1 is a fraction, above 1 up to 100 a percentage; anything else is not a confidence
+    if (isNaN(confidence) || confidence === null || confidence < 0 || confidence > 100) {
+      confidence = null;
+    } else if (confidence > 1) {
+      confidence = confidence / 100;
+    }
+    
+    return { label: label, confidence: confidence };
+  }
+  
+  /**
+   * Resolves the label set of a classification
+   * @private
+   * @param {Array|string} labels - Array, list separated by commas, semicolons or line breaks, or a range reference
+   * @return {Array} Distinct labels (at least two)
+   */
+  _resolveLabels(labels) {
+    let list = labels;
+    
+    if (typeof labels === 'string') {
+      const range = /[,;\n]/.test(labels) ? null : this._getRangeByReference(labels.trim());
+      
+      // Labels from the spreadsheet are part of the prompt, so the data policy applies to them as well
+      list = range ?
+        this._applyDataPolicy(range, range.getDisplayValues(), { rowLimit: false })
+          .reduce((cells, row) => cells.concat(row), []) :
+        labels.split(/[,;\n]/);
+    }
+    
+    const distinct = [];
+    (list || []).map(label => String(label).trim()).forEach(label => {
+      if (label !== '' && !distinct.some(existing => existing.toLowerCase() === label.toLowerCase())) {
+        distinct.push(label);
+      }
+    });
+    
+    if (distinct.length < 2) {
+      throw new Error('At least two labels are required for classification');
+    }
+    
+    return distinct;
+  }
+  
+  /**
+   * Gets the saved prompts
+   * @param {string} scope - 'document' (shared with the spreadsheet), 'user' (personal) or omitted for both
+   * @return {Array} Saved prompts sorted by name; combined lists mark each entry with its scope
+   */
+  getSavedPrompts(scope) {
+    if (scope === 'document' || scope === 'user') {
+      return this._readPromptLibrary(scope);
+    }
+    
+    return this._readPromptLibrary('document').map(entry => Object.assign({ scope: 'document' }, entry))
+      .concat(this._readPromptLibrary('user').map(entry => Object.assign({ scope: 'user' }, entry)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Saves a prompt to the prompt library, replacing an existing prompt with the same name
+   * @param {Object} entry - name, prompt, description, range, includeHeaders, outputFormat ('text' or 'table'),
+   *   model, temperature, max_tokens, data_format
+   * @param {string} scope - 'document' (shared with the spreadsheet) or 'user' (personal)
+   * @return {string} Confirmation message
+   */
+  savePrompt(entry, scope = 'document') {
+    const prompt = this._normalizeSavedPrompt(entry);
+    const prompts = this._readPromptLibrary(scope)
+      .filter(existing => existing.name.toLowerCase() !== prompt.name.toLowerCase());
+    
+    prompts.push(prompt);
+    this._writePromptLibrary(prompts, scope);
+    return `Prompt "${prompt.name}" saved`;
+  }
+  
+  /**
+   * Deletes a prompt from the prompt library
+   * @param {string} name - Name of the prompt
+   * @param {string} scope - 'document' or 'user'
+   * @return {string} Confirmation message
+   */
+  deleteSavedPrompt(name, scope = 'document') {
+    const prompts = this._readPromptLibrary(scope);
+    const remaining = prompts.filter(entry => entry.name.toLowerCase() !== String(name).toLowerCase());
+    
+    if (remaining.length === prompts.length) {
+      throw new Error(`Saved prompt "${name}" not found`);
+    }
+    
+    this._writePromptLibrary(remaining, scope);
+    return `Prompt "${name}" deleted`;
+  }
+  
+  /**
+   * Runs a saved prompt on its default range (or options.range)
+   * Personal prompts take precedence over shared prompts with the same name
+   * @param {string} name - Name of the prompt
+   * @param {Object} options - Overrides for the saved settings (range, includeHeaders, model, etc.)
+   * @return {Object} The response from Claude
+   */
+  runSavedPrompt(name, options = {}) {
+    const key = String(name).toLowerCase();
+    const entry = this._readPromptLibrary('user').find(prompt => prompt.name.toLowerCase() === key) ||
+      this._readPromptLibrary('document').find(prompt => prompt.name.toLowerCase() === key);
+    
+    if (!entry) {
+      throw new Error(`Saved prompt "${name}" not found`);
+    }
+    
+    const reference = this._splitRangeReference(options.range !== undefined ? options.range : entry.range);
+    const runOptions = Object.assign({
+      includeHeaders: entry.includeHeaders,
+      outputFormat: entry.outputFormat === 'table' ? 'table' : null,
+      model: entry.model,
+      temperature: entry.temperature,
+      max_tokens: entry.max_tokens,
+      data_format: entry.data_format,
+      feature: 'library'
+    }, options, { sheetName: reference.sheetName, range: reference.range });
+    
+    return this.processCurrentSheet(entry.prompt, runOptions);
+  }
+  
+  /**
+   * Exports the prompt library as JSON, e.g. to share it with another spreadsheet
+   * @param {string} scope - 'document' or 'user'
+   * @return {string} JSON with the saved prompts
+   */
+  exportPromptLibrary(scope = 'document') {
+    return JSON.stringify({ cellMindPromptLibrary: 1, prompts: this._readPromptLibrary(scope) });
+  }
+  
+  /**
+   * Imports prompts from JSON created by exportPromptLibrary (or a plain array of prompts)
+   * Prompts with the same name are replaced
+   * @param {string} json - The exported JSON
+   * @param {string} scope - 'document' or 'user'
+   * @param {boolean} replace - Remove all existing prompts of the scope first
+   * @return {string} Confirmation message
+   */
+  importPromptLibrary(json, scope = 'document', replace = false) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The prompt library is not valid JSON');
+    }
+    
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.prompts;
+    if (!Array.isArray(entries)) {
+      throw new Error('The JSON does not contain a list of prompts');
+    }
+    
+    const imported = entries.map(entry => this._normalizeSavedPrompt(entry));
+    const importedNames = imported.map(entry => entry.name.toLowerCase());
+    const existing = replace ? [] : this._readPromptLibrary(scope)
+      .filter(entry => importedNames.indexOf(entry.name.toLowerCase()) === -1);
+    
+    this._writePromptLibrary(existing.concat(imported), scope);
+    return `${imported.length} prompts imported`;
+  }
+  
+  /**
+   * Reads the prompt library of one scope
+   * Shared prompts are kept in a hidden sheet (no size limit), personal prompts in the user properties
+   * @private
+   * @param {string} scope - 'document' or 'user'
+   * @return {Array} Saved prompts sorted by name
+   */
+  _readPromptLibrary(scope) {
+    let stored;
+    if (scope === 'user') {
+      stored = this.userProperties.getProperty(PROMPT_LIBRARY_PROPERTY);
+    } else if (scope === 'document') {
+      const entry = this._readStoreEntry(PROMPT_LIBRARY_SHEET_NAME, PROMPT_LIBRARY_KEY);
+      stored = entry ? entry.value : null;
+    } else {
+      throw new Error(`Invalid prompt library scope "${scope}"`);
+    }
+    
+    return (stored ? JSON.parse(stored) : []).sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Writes the prompt library of one scope
+   * @private
+   * @param {Array} prompts - Saved prompts
+   * @param {string} scope - 'document' or 'user'
+   */
+  _writePromptLibrary(prompts, scope) {
+    const value = JSON.stringify(prompts);
+    
+    if (scope === 'user') {
+      this.userProperties.setProperty(PROMPT_LIBRARY_PROPERTY, value);
+    } else if (scope === 'document') {
+      this._writeStoreEntry(PROMPT_LIBRARY_SHEET_NAME, PROMPT_LIBRARY_KEY, value, null);
+    } else {
+      throw new Error(`Invalid prompt library scope "${scope}"`);
+    }
+  }
+  
+  /**
+   * Validates a saved prompt and removes unknown fields
+   * @private
+   * @param {Object} entry - The saved prompt
+   * @return {Object} Normalized saved prompt
+   */
+  _normalizeSavedPrompt(entry) {
+    const name = entry && entry.name ? String(entry.name).trim() : '';
+    if (!name) {
+      throw new Error('A saved prompt needs a name');
+    }
+    
+    if (!entry.prompt || String(entry.prompt).trim() === '') {
+      throw new Error(`Saved prompt "${name}" has no prompt text`);
+    }
+    
+    const prompt = {
+      name: name,
+      description: entry.description ? String(entry.description).trim() : '',
+      prompt: String(entry.prompt),
+      range: entry.range ? String(entry.range).trim() : '',
+      includeHeaders: entry.includeHeaders !== false,
+      outputFormat: entry.outputFormat === 'table' ? 'table' : 'text'
+    };
+    
+    // Model settings are optional, the current settings apply if they are missing
+    ['model', 'temperature', 'max_tokens', 'data_format'].forEach(setting => {
+      if (entry[setting] !== undefined && entry[setting] !== null && entry[setting] !== '') {
+        prompt[setting] = this._validateSetting(setting, entry[setting]);
+      }
+    });
+    
+    return prompt;
+  }
+  
+  /**
+   * Splits a range reference into sheet name and A1 notation
+   * @private
+   * @param {string} reference - e.g. 'Sales 2024'!A1:D20, Sheet1!A1:B5, A1:B5 or empty
+   * @return {Object} sheetName (undefined for the active sheet) and range (undefined for all data)
+   */
+  _splitRangeReference(reference) {
+    const text = String(reference || '').trim();
+    const separator = text.lastIndexOf('!');
+    
+    if (separator === -1) {
+      return { sheetName: undefined, range: text || undefined };
+    }
+    
+    const sheetName = text.substring(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+    return { sheetName: sheetName, range: text.substring(separator + 1) || undefined };
+  }
+  
+  /**
+   * Writes the result back to the spreadsheet
+   * @param {string} result - The result to be written to the sheet
+   * @param {Object} options - Options for writing (sheetName, cell, createNewSheet, asTable, auditRow),
+   *   and conversation (from the result of sendPrompt) to allow follow-up questions on the target sheet
+   */
+  writeResultToSheet(result, options = {}) {
+    let sheet;
+    
+    // Determine the target sheet
+    if (options.createNewSheet) {
+      sheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet(options.sheetName || 'CellMindAI Result');
+    } else if (options.sheetName) {
+      sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(options.sheetName);
+      if (!sheet) {
+        sheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet(options.sheetName);
+      }
+    } else {
+      sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    }
+    
+    // Determine the target cell
+    const cell = options.cell || 'A1';
+    
+    if (options.conversation) {
+      this.startConversation(sheet, options.conversation);
+    }
+    
+    // Write tables into a properly sized range, fall back to plain text if parsing fails
+    const table = options.asTable ? this.parseTable(result) : null;
+    if (table) {
+      const anchor = sheet.getRange(cell);
+      const tableRange = sheet.getRange(anchor.getRow(), anchor.getColumn(), table.length, table[0].length);
+      tableRange.setValues(table.map(row => row.map(value => this._escapeFormula(value))));
+      sheet.getRange(anchor.getRow(), anchor.getColumn(), 1, table[0].length).setFontWeight('bold');
+      this.recordAuditOutput(tableRange, options.auditRow);
+      
+      return {
+        success: true,
+        table: true,
+        message: `Table with ${table.length} rows written to ${sheet.getName()}!${tableRange.getA1Notation()}`
+      };
+    }
+    
+    sheet.getRange(cell).setValue(this._escapeFormula(result));
+    this.recordAuditOutput(sheet.getRange(cell), options.auditRow);
+    
+    return {
+      success: true,
+      table: false,
+      message: options.asTable ?
+        `Result could not be parsed as a table and was written as text to ${sheet.getName()}!${cell}` :
+        `Result written to ${sheet.getName()}!${cell}`
+    };
+  }
+  
+  /**
+   * Parses a table from Claude's reply
+   * Supports JSON (array of rows or array of objects), Markdown tables and tab-separated text
+   * @param {string} text - The response text
+   * @return {Array|null} 2D array with the header row first, or null if no consistent table was found
+   */
+  parseTable(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+    
+    const parsers = [
+      this._parseJsonTable,
+      this._parseMarkdownTable,
+      this._parseDelimitedTable
+    ];
+    
+    for (let i = 0; i < parsers.length; i++) {
+      const rows = parsers[i].call(this, text);
+      
+      // Every row must have the same number of columns as the header row
+      if (rows && rows.length > 0 && rows[0].length > 0 &&
+          rows.every(row => row.length === rows[0].length)) {
+        return rows;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Evaluates a prompt for the CELLMIND custom function
+   * Results come from the response cache, so recalculating the sheet does not send the same request again
+   * @param {string} prompt - The prompt for Claude
+   * @param {Array|*} data - Single cell value or 2D array passed to the custom function
+   * @param {Object} options - Additional options passed on to sendPrompt
+   * @return {string} The response text from Claude
+   */
+  evaluateCellFunction(prompt, data, options = {}) {
+    if (!prompt || String(prompt).trim() === '') {
+      throw new Error('Prompt cannot be empty');
+    }
+    
+    // Custom functions cannot write to the spreadsheet, so their requests could not be logged
+    if (this.isAuditLogEnabled()) {
+      throw new Error('CELLMIND is not available while the audit log is on, because formulas cannot write to it. ' +
+        'Use "Process with CellMindAI" or row-by-row processing instead.');
+    }
+    
+    // Custom functions only receive values, without the sheet or the headers they come from,
+    // so the data policy could not tell denied columns and sheets apart
+    const rows = this._normalizeCellData(data);
+    if (rows.length > 0 && this.hasDataPolicy()) {
+      throw new Error('CELLMIND cannot send cell data while the spreadsheet has a data policy. ' +
+        'Use "Process with CellMindAI" or row-by-row processing instead.');
+    }
+    
+    return this.sendPrompt(String(prompt), rows, Object.assign({ feature: 'formula' }, options)).response;
+  }
+  
+  /**
+   * Converts a custom function argument into a 2D array
+   * @private
+   * @param {Array|*} data - Single value, 2D array or undefined
+   * @return {Array} 2D array of data
+   */
+  _normalizeCellData(data) {
+    if (data === undefined || data === null || data === '') {
+      return [];
+    }
+    
+    if (!Array.isArray(data)) {
+      return [[data]];
+    }
+    
+    return data.map(row => Array.isArray(row) ? row : [row]);
+  }
+  
+  /**
+   * Gets the price table used to estimate costs
+   * @return {Object} Prices in USD per million tokens by model name prefix ({ input, output })
+   */
+  getPriceTable() {
+    const stored = this.documentProperties && this.documentProperties.getProperty(PRICE_TABLE_PROPERTY);
+    return Object.assign({}, PRICE_TABLE_DEFAULTS, stored ? JSON.parse(stored) : {});
+  }
+  
+  /**
+   * Sets model prices for this spreadsheet
+   * Entries override the defaults; an entry set to null is removed again
+   * @param {Object} prices - Map of model name prefix to { input, output } in USD per million tokens
+   * @return {string} Confirmation message
+   */
+  setPriceTable(prices) {
+    const stored = JSON.parse(this.documentProperties.getProperty(PRICE_TABLE_PROPERTY) || '{}');
+    
+    Object.keys(prices || {}).forEach(model => {
+      const price = prices[model];
+      if (price === null) {
+        delete stored[model];
+        return;
+      }
+      
+      const input = parseFloat(price.input);
+      const output = parseFloat(price.output);
+      if (isNaN(input) || isNaN(output) || input < 0 || output < 0) {
+        throw new Error(`Invalid price for "${model}": input and output must be non-negative numbers`);
+      }
+      
+      stored[model] = { input: input, output: output };
+    });
+    
+    this.documentProperties.setProperty(PRICE_TABLE_PROPERTY, JSON.stringify(stored));
+    return 'Price table saved';
+  }
+  
+  /**
+   * Gets the monthly spending cap of this spreadsheet
+   * @return {number|null} Cap in USD or null if there is no cap
+   */
+  getSpendingCap() {
+    const cap = this.documentProperties && this.documentProperties.getProperty(SPENDING_CAP_PROPERTY);
+    return cap ? parseFloat(cap) : null;
+  }
+  
+  /**
+   * Sets the monthly spending cap of this spreadsheet
+   * Once the estimated cost of the current month reaches the cap, new requests are blocked
+   * @param {number|null} amount - Cap in USD (null or 0 removes the cap)
+   * @return {string} Confirmation message
+   */
+  setSpendingCap(amount) {
+    this._requireDocumentAdmin('change the spending cap');
+    
+    if (amount === null || amount === undefined || amount === '' || Number(amount) === 0) {
+      this.documentProperties.deleteProperty(SPENDING_CAP_PROPERTY);
+      return 'Spending cap removed';
+    }
+    
+    const cap = parseFloat(amount);
+    if (isNaN(cap) || cap < 0) {
+      throw new Error('Spending cap must be a non-negative amount in USD');
+    }
+    
+    this.documentProperties.setProperty(SPENDING_CAP_PROPERTY, String(cap));
+    return 'Spending cap saved';
+  }
+  
+  /**
+   * Summarizes the usage ledger of this spreadsheet for one month
+   * @param {string} month - Month as "yyyy-MM" (default: current month)
+   * @return {Object} Totals (requests, inputTokens, outputTokens, cost) with byUser, byModel and byFeature breakdowns
+   */
+  getUsageSummary(month) {
+    const key = month || this._getUsageMonth(new Date());
+    const summary = this._summarizeUsage()[key];
+    
+    return Object.assign(
+      { month: key, spendingCap: this.getSpendingCap() },
+      summary || Object.assign(this._newUsageGroup(), { byUser: {}, byModel: {}, byFeature: {} })
+    );
+  }
+  
+  /**
+   * Writes a monthly usage summary (totals per month, feature, model and user) to a sheet
+   * @return {Sheet} The summary sheet
+   */
+  writeUsageSummary() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const months = this._summarizeUsage();
+    const rows = [['Month', 'Group', 'Name', 'Requests', 'Input Tokens', 'Output Tokens', 'Cost (USD)']];
+    const toRow = (month, group, name, totals) => {
+      return [month, group, name, totals.requests, totals.inputTokens, totals.outputTokens, Math.round(totals.cost * 10000) / 10000];
+    };
+    
+    Object.keys(months).sort().reverse().forEach(month => {
+      const summary = months[month];
+      rows.push(toRow(month, 'Total', '', summary));
+      
+      [['Feature', summary.byFeature], ['Model', summary.byModel], ['User', summary.byUser]].forEach(([group, totals]) => {
+        Object.keys(totals).sort().forEach(name => rows.push(toRow(month, group, name, totals[name])));
+      });
+    });
+    
+    let sheet = ss.getSheetByName(USAGE_SUMMARY_SHEET_NAME);
+    if (sheet) {
+      sheet.clear();
+    } else {
+      sheet = ss.insertSheet(USAGE_SUMMARY_SHEET_NAME);
+    }
+    
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    sheet.getRange(1, 1, 1, rows[0].length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    
+    return sheet;
+  }
+  
+  /**
+   * Groups all ledger entries by month
+   * @private
+   * @return {Object} Map of month ("yyyy-MM") to totals with byUser, byModel and byFeature breakdowns
+   */
+  _summarizeUsage() {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(USAGE_SHEET_NAME);
+    const months = {};
+    
+    if (!sheet || sheet.getLastRow() < 2) {
+      return months;
+    }
+    
+    const add = (totals, entry) => {
+      totals.requests++;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.cost += entry.cost;
+    };
+    
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, USAGE_HEADERS.length).getValues().forEach(row => {
+      const [timestamp, user, model, inputTokens, outputTokens, cost, feature] = row;
+      if (!(timestamp instanceof Date)) return;
+      
+      const month = this._getUsageMonth(timestamp);
+      const entry = { inputTokens: Number(inputTokens) || 0, outputTokens: Number(outputTokens) || 0, cost: Number(cost) || 0 };
+      const summary = months[month] = months[month] || Object.assign(this._newUsageGroup(), { byUser: {}, byModel: {}, byFeature: {} });
+      
+      add(summary, entry);
+      [[summary.byUser, user], [summary.byModel, model], [summary.byFeature, feature]].forEach(([group, name]) => {
+        const groupName = String(name || 'unknown');
+        group[groupName] = group[groupName] || this._newUsageGroup();
+        add(group[groupName], entry);
+      });
+    });
+    
+    return months;
+  }
+  
+  /**
+   * Creates empty usage totals
+   * @private
+   * @return {Object} Totals with zero requests, tokens and cost
+   */
+  _newUsageGroup() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+  }
+  
+  /**
+   * Gets the ledger month of a date in the spreadsheet time zone
+   * @private
+   * @param {Date} date - The date
+   * @return {string} Month as "yyyy-MM"
+   */
+  _getUsageMonth(date) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const timeZone = ss ? ss.getSpreadsheetTimeZone() : Session.getScriptTimeZone();
+    return Utilities.formatDate(date, timeZone, 'yyyy-MM');
+  }
+  
+  /**
+   * Estimates the cost of a request from the price table
+   * The longest matching model name prefix wins
+   * @private
+   * @param {string} model - Model name
+   * @param {number} inputTokens - Input tokens
+   * @param {number} outputTokens - Output tokens
+   * @return {number|null} Cost in USD or null if the model has no price
+   */
+  _calculateCost(model, inputTokens, outputTokens) {
+    const prices = this.getPriceTable();
+    const match = Object.keys(prices)
+      .filter(prefix => String(model).indexOf(prefix) === 0)
+      .sort((a, b) => b.length - a.length)[0];
+    
+    if (!match) {
+      return null;
+    }
+    
+    return (inputTokens * prices[match].input + outputTokens * prices[match].output) / 1000000;
+  }
+  
+  /**
+   * Blocks new requests once the monthly spending cap of this spreadsheet is reached
+   * @private
+   */
+  _checkSpendingCap() {
+    const cap = this.getSpendingCap();
+    if (cap === null) {
+      return;
+    }
+    
+    const month = this._getUsageMonth(new Date());
+    const totals = JSON.parse(this.documentProperties.getProperty(USAGE_TOTALS_PROPERTY) || '{}')[month];
+    const spent = totals ? totals.cost : 0;
+    
+    if (spent >= cap) {
+      throw new Error(`The monthly spending cap of $${cap} for this spreadsheet has been reached ` +
+        `($${spent.toFixed(2)} used in ${month}). Ask the owner to raise the cap.`);
+    }
+  }
+  
+  /**
+   * Records the token usage of an API response in the usage ledger and the monthly totals
+   * Recording never fails a request (e.g. custom functions cannot write to the spreadsheet)
+   * @private
+   * @param {string} model - Model name
+   * @param {Object} response - API response with usage
+   * @param {string} feature - Feature that sent the request
+   */
+  _recordUsage(model, response, feature) {
+    const usage = response.usage || {};
+    const inputTokens = usage.input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+    const cost = this._calculateCost(model, inputTokens, outputTokens);
+    const now = new Date();
+    
+    // Monthly totals are kept in a property, so the spending cap check does not read the whole ledger.
+    // They are updated first: custom functions cannot write the ledger sheet, but their cost must count
+    try {
+      const lock = LockService.getDocumentLock();
+      lock.waitLock(10000);
+      try {
+        const month = this._getUsageMonth(now);
+        const totals = JSON.parse(this.documentProperties.getProperty(USAGE_TOTALS_PROPERTY) || '{}');
+        const current = totals[month] || this._newUsageGroup();
+        current.requests++;
+        current.inputTokens += inputTokens;
+        current.outputTokens += outputTokens;
+        current.cost += cost || 0;
+        totals[month] = current;
+        
+        // Only the last 12 months are needed, property values are limited in size
+        Object.keys(totals).sort().slice(0, -12).forEach(key => delete totals[key]);
+        this.documentProperties.setProperty(USAGE_TOTALS_PROPERTY, JSON.stringify(totals));
+      } finally {
+        lock.releaseLock();
+      }
+    } catch (error) {
+      console.warn('Could not update the usage totals: ' + error.message);
+    }
+    
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(USAGE_SHEET_NAME);
+      if (!sheet) {
+        sheet = ss.insertSheet(USAGE_SHEET_NAME);
+        sheet.appendRow(USAGE_HEADERS);
+        sheet.getRange(1, 1, 1, USAGE_HEADERS.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      
+      const user = Session.getActiveUser().getEmail() || 'unknown';
+      sheet.appendRow([now, user, model, inputTokens, outputTokens, cost === null ? '' : cost, feature]);
+    } catch (error) {
+      console.warn('Could not record usage: ' + error.message);
+    }
+  }
+  
+  /**
+   * Gets the conversation stored for a result sheet
+   * @param {Sheet|string} sheet - The result sheet or its name (defaults to the active sheet)
+   * @return {Object|null} Conversation with model, system, messages, createdAt and updatedAt, or null
+   */
+  getConversation(sheet) {
+    const target = this._getConversationSheet(sheet);
+    const entry = this._readStoreEntry(CONVERSATION_SHEET_NAME, String(target.getSheetId()));
+    return entry ? JSON.parse(entry.value) : null;
+  }
+  
+  /**
+   * Ties a conversation to a result sheet, replacing an earlier conversation of that sheet
+   * @param {Sheet|string} sheet - The result sheet or its name
+   * @param {Object} conversation - Conversation from the result of sendPrompt ({ model, system, messages })
+   * @return {Object} The stored conversation
+   */
+  startConversation(sheet, conversation) {
+    if (!conversation || !Array.isArray(conversation.messages) || conversation.messages.length === 0) {
+      throw new Error('A conversation needs at least one message');
+    }
+    
+    const target = this._getConversationSheet(sheet);
+    const stored = {
+      model: conversation.model || this.getSettings().model,
+      system: conversation.system,
+      messages: conversation.messages,
+      createdAt: new Date().toISOString()
+    };
+    
+    this._saveConversation(target, stored);
+    return stored;
+  }
+  
+  /**
+   * Deletes the conversation of a result sheet
+   * @param {Sheet|string} sheet - The result sheet or its name (defaults to the active sheet)
+   * @return {string} Confirmation message
+   */
+  deleteConversation(sheet) {
+    const target = this._getConversationSheet(sheet);
+    this._deleteStoreEntry(CONVERSATION_SHEET_NAME, String(target.getSheetId()));
+    return `Conversation of "${target.getName()}" deleted`;
+  }
+  
+  /**
+   * Asks a follow-up question on the conversation of a result sheet
+   * The question and the answer are appended to the conversation and, unless disabled, below the result
+   * @param {Sheet|string} sheet - The result sheet or its name (defaults to the active sheet)
+   * @param {string} question - The follow-up question
+   * @param {Object} options - Request options (model, temperature, etc.) and writeToSheet (default true)
+   * @return {Object} The response from Claude, with the written range if the answer was written
+   */
+  followUp(sheet, question, options = {}) {
+    if (!question || String(question).trim() === '') {
+      throw new Error('Follow-up question cannot be empty');
+    }
+    
+    const target = this._getConversationSheet(sheet);
+    const conversation = this.getConversation(target);
+    if (!conversation) {
+      throw new Error(`There is no conversation for sheet "${target.getName()}". Write an analysis result into a sheet first.`);
+    }
+    
+    const { writeToSheet = true, ...requestOptions } = Object.assign({
+      feature: 'follow-up',
+      model: conversation.model,
+      system: conversation.system
+    }, options);
+    const messages = this._fitConversation(conversation.messages.concat([{ role: 'user', content: question }]), requestOptions);
+    
+    const auditEntry = {
+      feature: requestOptions.feature,
+      prompt: question,
+      ranges: [],
+      rows: 0,
+      columns: 0,
+      model: requestOptions.model
+    };
+    
+    const result = this._audit(auditEntry, () => {
+      const response = this._sendMessages(messages, requestOptions);
+      conversation.messages.push({ role: 'user', content: question }, { role: 'assistant', content: response.response });
+      this._saveConversation(target, conversation);
+      
+      if (writeToSheet) {
+        response.range = this._appendFollowUp(target, question, response.response);
+      }
+      return response;
+    });
+    
+    if (result.range) {
+      this.recordAuditOutput(result.range);
+    }
+    return result;
+  }
+  
+  /**
+   * Creates the conversation of a single request
+   * @private
+   * @param {string} prompt - The user message that was sent
+   * @param {string} response - The answer
+   * @param {Object} options - Request options (model, system)
+   * @return {Object} Conversation with model, system and messages
+   */
+  _newConversation(prompt, response, options) {
+    return {
+      model: this._getSetting('model', options),
+      system: options.system !== undefined && options.system !== null ? options.system : undefined,
+      messages: [{ role: 'user', content: prompt }, { role: 'assistant', content: response }]
+    };
+  }
+  
+  /**
+   * Drops the oldest follow-ups until the conversation fits into the input limit
+   * The first exchange holds the data of the analysis and is always kept
+   * @private
+   * @param {Array} messages - Messages ending with the new question
+   * @param {Object} options - Request options (maxInputTokens)
+   * @return {Array} The messages to send
+   */
+  _fitConversation(messages, options) {
+    const limit = options.maxInputTokens || MAX_INPUT_TOKENS;
+    const size = list => list.reduce((total, message) => total + this.estimateTokens(message.content), 0);
+    const fitted = messages.slice();
+    
+    while (size(fitted) > limit && fitted.length > 3) {
+      fitted.splice(2, 2);
+    }
+    
+    if (size(fitted) > limit) {
+      throw new Error('The conversation is too long to continue. Please start a new analysis.');
+    }
+    
+    return fitted;
+  }
+  
+  /**
+   * Appends a follow-up question and its answer below the content of a result sheet
+   * @private
+   * @param {Sheet} sheet - The result sheet
+   * @param {string} question - The follow-up question
+   * @param {string} answer - The answer
+   * @return {Range} The range with question and answer
+   */
+  _appendFollowUp(sheet, question, answer) {
+    const row = sheet.getLastRow() + 2;
+    sheet.getRange(row, 1).setValue('Follow-up: ' + question).setFontWeight('bold');
+    sheet.getRange(row + 1, 1).setValue(this._escapeFormula(answer)).setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+    return sheet.getRange(row, 1, 2, 1);
+  }
+  
+  /**
+   * Stores a conversation for a result sheet
+   * @private
+   * @param {Sheet} sheet - The result sheet
+   * @param {Object} conversation - The conversation
+   */
+  _saveConversation(sheet, conversation) {
+    conversation.sheetName = sheet.getName();
+    conversation.updatedAt = new Date().toISOString();
+    
+    // Conversations of deleted result sheets are dropped
+    const sheetIds = SpreadsheetApp.getActiveSpreadsheet().getSheets().map(existing => String(existing.getSheetId()));
+    this._pruneStoreSheet(CONVERSATION_SHEET_NAME, key => sheetIds.indexOf(key) === -1);
+    this._writeStoreEntry(CONVERSATION_SHEET_NAME, String(sheet.getSheetId()), JSON.stringify(conversation), null);
+  }
+  
+  /**
+   * Gets a result sheet by object or name
+   * @private
+   * @param {Sheet|string} sheet - The sheet, its name, or nothing for the active sheet
+   * @return {Sheet} The sheet
+   */
+  _getConversationSheet(sheet) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (!sheet) {
+      return ss.getActiveSheet();
+    }
+    
+    if (typeof sheet !== 'string') {
+      return sheet;
+    }
+    
+    const target = ss.getSheetByName(sheet);
+    if (!target) {
+      throw new Error(`Sheet "${sheet}" not found`);
+    }
+    return target;
+  }
+  
+  /**
+   * Answers an open question about the workbook in agent mode
+   * Claude looks up sheets, named ranges and data with tools; writes are only proposed,
+   * apply them with applyProposedWrites after the user confirmed them
+   * @param {string} question - The question or task
+   * @param {Object} options - Request options (model, temperature, etc.) and maxTurns (default 10)
+   * @return {Object} The answer (response), proposedWrites, rangesRead and the number of toolCalls and turns
+   */
+  runAgent(question, options = {}) {
+    if (!question || String(question).trim() === '') {
+      throw new Error('Question cannot be empty');
+    }
+    
+    const { maxTurns = AGENT_MAX_TURNS, ...requestOptions } = options;
+    const documentSystem = options.system !== undefined && options.system !== null ? options.system : this.getSystemPrompt();
+    const agentOptions = Object.assign({ feature: 'agent' }, requestOptions, {
+      tools: AGENT_TOOLS,
+      system: documentSystem ? `${AGENT_SYSTEM_PROMPT}\n\n${documentSystem}` : AGENT_SYSTEM_PROMPT
+    });
+    
+    const state = { proposals: [], rangesRead: [], rows: 0, columns: 0, toolCalls: 0 };
+    this._withheldData = [];
+    const auditEntry = {
+      feature: agentOptions.feature,
+      prompt: question,
+      model: this._getSetting('model', options)
+    };
+    
+    return this._audit(auditEntry, () => this._runAgentLoop(question, agentOptions, maxTurns, state), () => ({
+      ranges: state.rangesRead,
+      rows: state.rows,
+      columns: state.columns
+    }));
+  }
+  
+  /**
+   * Applies writes proposed in agent mode
+   * All proposals are checked first, so an invalid proposal does not leave a partial update
+   * @param {Array} proposals - Proposed writes ({ range, values, reason }) from runAgent
+   * @return {string} Confirmation message
+   */
+  applyProposedWrites(proposals) {
+    if (!Array.isArray(proposals) || proposals.length === 0) {
+      throw new Error('There are no proposed writes to apply');
+    }
+    
+    const targets = proposals.map((proposal, index) => {
+      const range = this._getRangeByReference(String(proposal.range || ''));
+      const values = proposal.values;
+      
+      if (!range || !Array.isArray(values) || values.length !== range.getNumRows() ||
+          !values.every(row => Array.isArray(row) && row.length === range.getNumColumns())) {
+        throw new Error(`Proposal ${index + 1} (${proposal.range}) does not match the size of its values`);
+      }
+      this._checkAgentSheet(range);
+      
+      return range;
+    });
+    
+    // Values are written as text, so a proposed "=..." never becomes a live formula
+    targets.forEach((range, index) => {
+      range.setValues(proposals[index].values.map(row => row.map(value => this._escapeFormula(value))));
+    });
+    return `${proposals.length} proposed change(s) applied`;
+  }
+  
+  /**
+   * Runs the tool loop of agent mode until Claude answers without calling a tool
+   * @private
+   * @param {string} question - The question or task
+   * @param {Object} options - Request options including tools and system prompt
+   * @param {number} maxTurns - Maximum number of requests
+   * @param {Object} state - Collects proposals, read ranges and counters
+   * @return {Object} The result of runAgent
+   */
+  _runAgentLoop(question, options, maxTurns, state) {
+    const messages = [{ role: 'user', content: question }];
+    
+    for (let turn = 1; turn <= maxTurns; turn++) {
+      const result = this._sendMessages(messages, options);
+      const content = result.rawResponse.content || [];
+      const toolUses = content.filter(block => block.type === 'tool_use');
+      
+      if (result.rawResponse.stop_reason !== 'tool_use' || toolUses.length === 0) {
+        return {
+          response: result.response,
+          proposedWrites: state.proposals,
+          rangesRead: state.rangesRead,
+          withheld: this._withheldData,
+          toolCalls: state.toolCalls,
+          turns: turn
+        };
+      }
+      
+      // Every tool call gets a result, failed calls report their error so Claude can correct itself
+      messages.push({ role: 'assistant', content: content });
+      messages.push({
+        role: 'user',
+        content: toolUses.map(block => {
+          state.toolCalls++;
+          try {
+            return { type: 'tool_result', tool_use_id: block.id, content: this._runAgentTool(block.name, block.input || {}, state) };
+          } catch (error) {
+            return { type: 'tool_result', tool_use_id: block.id, content: 'Error: ' + error.message, is_error: true };
+          }
+        })
+      });
+    }
+    
+    throw new Error(`The agent did not finish within ${maxTurns} steps. Please ask a more specific question.`);
+  }
+  
+  /**
+   * Executes a single tool call of agent mode
+   * @private
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @param {Object} state - Collects proposals, read ranges and counters
+   * @return {string} The tool result
+   */
+  _runAgentTool(name, input, state) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    
+    switch (name) {
+      case 'list_sheets':
+        return JSON.stringify(ss.getSheets()
+          .filter(sheet => !sheet.isSheetHidden())
+          .map(sheet => ({ name: sheet.getName(), rows: sheet.getLastRow(), columns: sheet.getLastColumn() })));
+      
+      case 'get_named_ranges':
+        return JSON.stringify(ss.getNamedRanges().map(namedRange => ({
+          name: namedRange.getName(),
+          range: this._describeRange(namedRange.getRange())
+        })));
+      
+      case 'read_range': {
+        const range = this._getAgentRange(input.range);
+        this._checkAgentSheet(range);
+        const cells = range.getNumRows() * range.getNumColumns();
+        if (cells > AGENT_MAX_READ_CELLS) {
+          throw new Error(`${this._describeRange(range)} has ${cells} cells, read at most ${AGENT_MAX_READ_CELLS} cells at a time`);
+        }
+        
+        const policy = this.applyDataPolicy(range, this.getRangeValues(range));
+        const values = policy.values;
+        this._withheldData = this._withheldData.concat(policy.withheld);
+        state.rangesRead.push(this._describeRange(range));
+        state.rows += values.length;
+        state.columns = Math.max(state.columns, values.length > 0 ? values[0].length : 0);
+        
+        // Tell Claude what is missing, so it does not draw conclusions from incomplete data
+        const notice = policy.withheld.length > 0 ? `\nWithheld by the data policy: ${policy.withheld.join('; ')}` : '';
+        return `${this._describeRange(range)}:\n${this._formatDataAsTable(values)}${notice}`;
+      }
+      
+      case 'propose_write': {
+        const values = input.values;
+        if (!Array.isArray(values) || values.length === 0 ||
+            !values.every(row => Array.isArray(row) && row.length > 0 && row.length === values[0].length)) {
+          throw new Error('values must be a non-empty list of rows with the same number of cells');
+        }
+        
+        // A single cell marks the top left corner of the values
+        const range = this._getAgentRange(input.range);
+        const target = range.getNumRows() === 1 && range.getNumColumns() === 1 ?
+          range.offset(0, 0, values.length, values[0].length) : range;
+        if (target.getNumRows() !== values.length || target.getNumColumns() !== values[0].length) {
+          throw new Error(`${this._describeRange(target)} has ${target.getNumRows()} x ${target.getNumColumns()} cells, ` +
+            `but ${values.length} x ${values[0].length} values were given`);
+        }
+        this._checkAgentSheet(target);
+        
+        // Values may contain placeholders of redacted data
+        const restored = this._getRedaction().enabled && this._getSetting('restore_pii') !== false ?
+          values.map(row => row.map(value => typeof value === 'string' ? this.restorePii(value) : value)) : values;
+        
+        state.proposals.push({ range: this._describeRange(target), values: restored, reason: input.reason || '' });
+        return `Proposal ${state.proposals.length} recorded for ${this._describeRange(target)}. ` +
+          'It is applied only after the user confirms it.';
+      }
+      
+      default:
+        throw new Error(`Unknown tool "${name}"`);
+    }
+  }
+  
+  /**
+   * Gets the range of a tool call
+   * @private
+   * @param {string} reference - Range reference or named range
+   * @return {Range} The range
+   */
+  _getAgentRange(reference) {
+    const range = reference ? this._getRangeByReference(String(reference)) : null;
+    if (!range) {
+      throw new Error(`No such range or named range: ${reference}`);
+    }
+    return range;
+  }
+  
+  /**
+   * Rejects reads and writes in hidden sheets and the sheets CellMindAI uses for its own records
+   * @private
+   * @param {Range} range - The range of a tool call or proposal
+   */
+  _checkAgentSheet(range) {
+    const sheet = range.getSheet();
+    const systemSheets = [AUDIT_LOG_SHEET_NAME, USAGE_SHEET_NAME, USAGE_SUMMARY_SHEET_NAME, CACHE_SHEET_NAME,
+      CONVERSATION_SHEET_NAME, PROMPT_LIBRARY_SHEET_NAME, PII_PREVIEW_SHEET_NAME, REQUEST_PREVIEW_SHEET_NAME,
+      CHAIN_HISTORY_SHEET_NAME, CHAIN_STATE_SHEET_NAME];
+    
+    if (sheet.isSheetHidden() || systemSheets.indexOf(sheet.getName()) !== -1) {
+      throw new Error(`The sheet "${sheet.getName()}" cannot be read or changed by the agent`);
+    }
+  }
+  
+  /**
+   * Replaces personal data in a text with placeholders such as <EMAIL_3>
+   * The same value gets the same placeholder for the whole execution, so chunks, chain steps
+   * and tool results stay consistent and answers can be restored with restorePii
+   * @param {string} text - The text to redact
+   * @param {Array} types - PII types to detect (defaults to the pii_types setting)
+   * @param {Array} matches - Optional list that collects the replaced values ({ type, value, placeholder })
+   * @return {string} The redacted text
+   */
+  redactPii(text, types, matches) {
+    if (text === null || text === undefined || text === '') {
+      return text;
+    }
+    
+    const enabledTypes = types || this._getRedaction().types;
+    const mapping = this._getPiiMapping();
+    let redacted = String(text);
+    
+    Object.keys(PII_PATTERNS).filter(type => enabledTypes.indexOf(type) !== -1).forEach(type => {
+      const definition = PII_PATTERNS[type];
+      
+      redacted = redacted.replace(definition.pattern, match => {
+        const digits = match.replace(/\D/g, '');
+        if ((definition.luhn && !this._passesLuhnCheck(digits)) ||
+            (definition.minDigits && digits.length < definition.minDigits) ||
+            (definition.exclude && definition.exclude.test(match))) {
+          return match;
+        }
+        
+        const key = `${type}:${match}`;
+        if (!mapping.byValue[key]) {
+          mapping.counters[type] = (mapping.counters[type] || 0) + 1;
+          mapping.byValue[key] = `<${definition.label}_${mapping.counters[type]}>`;
+          mapping.byPlaceholder[mapping.byValue[key]] = match;
+        }
+        
+        if (matches) {
+          matches.push({ type: type, value: match, placeholder: mapping.byValue[key] });
+        }
+        return mapping.byValue[key];
+      });
+    });
+    
+    return redacted;
+  }
+  
+  /**
+   * Puts the original values back for placeholders created by redactPii in this execution
+   * @param {string} text - Text with placeholders
+   * @return {string} The text with the original values
+   */
+  restorePii(text) {
+    if (!text || !this._piiMapping) {
+      return text;
+    }
+    
+    return String(text).replace(PII_PLACEHOLDER_PATTERN, placeholder => {
+      return this._piiMapping.byPlaceholder[placeholder] || placeholder;
+    });
+  }
+  
+  /**
+   * Lists the personal data that would be masked in a range, without sending anything
+   * @param {string} reference - Range reference, named range or empty for the data of the active sheet
+   * @param {Object} options - Options (pii_types, display_values)
+   * @return {Object} The matches ({ cell, type, value, placeholder }), counts per type and whether redaction is on
+   */
+  previewRedaction(reference, options = {}) {
+    const range = reference ? this._getRangeByReference(reference) : SpreadsheetApp.getActiveSheet().getDataRange();
+    if (!range) {
+      throw new Error(`Could not find the range "${reference}"`);
+    }
+    
+    // A separate mapping, so the preview does not change the placeholders of later requests
+    const savedMapping = this._piiMapping;
+    this._piiMapping = null;
+    
+    const values = this.getRangeValues(range, options);
+    const types = this._getRedaction(options).types;
+    const matches = [];
+    const counts = {};
+    
+    try {
+      values.forEach((row, i) => {
+        row.forEach((value, j) => {
+          const cellMatches = [];
+          this.redactPii(value, types, cellMatches);
+          
+          cellMatches.forEach(match => {
+            match.cell = `${range.getSheet().getName()}!${range.getCell(i + 1, j + 1).getA1Notation()}`;
+            counts[match.type] = (counts[match.type] || 0) + 1;
+            matches.push(match);
+          });
+        });
+      });
+    } finally {
+      this._piiMapping = savedMapping;
+    }
+    
+    return {
+      range: this._describeRange(range),
+      enabled: this._getRedaction(options).enabled,
+      matches: matches,
+      counts: counts
+    };
+  }
+  
+  /**
+   * Writes a redaction preview to the preview sheet
+   * @param {string} reference - Range reference, named range or empty for the data of the active sheet
+   * @return {Object} The preview (see previewRedaction) and the preview sheet
+   */
+  writeRedactionPreview(reference) {
+    const preview = this.previewRedaction(reference);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(PII_PREVIEW_SHEET_NAME) || ss.insertSheet(PII_PREVIEW_SHEET_NAME);
+    
+    const rows = [['Cell', 'Type', 'Original', 'Sent as']].concat(
+      preview.matches.map(match => [match.cell, match.type, match.value, match.placeholder]));
+    
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, 4).setNumberFormat('@').setValues(rows);
+    sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    
+    return { preview: preview, sheet: sheet };
+  }
+  
+  /**
+   * Redacts the text content of API messages (plain text, text blocks and tool results)
+   * @private
+   * @param {Array} messages - Messages in API format
+   * @param {Array} types - PII types to detect
+   * @return {Array} Redacted copies of the messages
+   */
+  _redactMessages(messages, types) {
+    return messages.map(message => {
+      if (!Array.isArray(message.content)) {
+        return { role: message.role, content: this.redactPii(message.content, types) };
+      }
+      
+      return {
+        role: message.role,
+        content: message.content.map(block => {
+          if (block.type === 'text') {
+            return Object.assign({}, block, { text: this.redactPii(block.text, types) });
+          }
+          if (block.type === 'tool_result' && typeof block.content === 'string') {
+            return Object.assign({}, block, { content: this.redactPii(block.content, types) });
+          }
+          return block;
+        })
+      };
+    });
+  }
+  
+  /**
+   * Gets the placeholder mapping of this execution
+   * @private
+   * @return {Object} Mapping with byValue, byPlaceholder and counters per type
+   */
+  _getPiiMapping() {
+    if (!this._piiMapping) {
+      this._piiMapping = { byValue: {}, byPlaceholder: {}, counters: {} };
+    }
+    return this._piiMapping;
+  }
+  
+  /**
+   * Checks a card number with the Luhn checksum, which rules out most other long numbers
+   * @private
+   * @param {string} digits - The digits of the number
+   * @return {boolean} True if the checksum is valid
+   */
+  _passesLuhnCheck(digits) {
+    let sum = 0;
+    
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+    
+    return sum % 10 === 0;
+  }
+  
+  /**
+   * Gets the data policy of this spreadsheet
+   * @return {Object} Policy with deniedColumns (header names), deniedSheets (sheet names) and maxRows (null for no limit)
+   */
+  getDataPolicy() {
+    const stored = this.documentProperties && this.documentProperties.getProperty(DATA_POLICY_PROPERTY);
+    return Object.assign({}, DATA_POLICY_DEFAULTS, stored ? JSON.parse(stored) : {});
+  }
+  
+  /**
+   * Checks whether this spreadsheet has a data policy (an empty policy is not stored)
+   * @return {boolean} True if columns, sheets or rows are restricted
+   */
+  hasDataPolicy() {
+    return !!(this.documentProperties && this.documentProperties.getProperty(DATA_POLICY_PROPERTY));
+  }
+  
+  /**
+   * Sets the data policy of this spreadsheet (owner only)
+   * @param {Object} policy - deniedColumns and deniedSheets as lists or comma-separated text, maxRows (null or 0 for no limit)
+   * @return {string} Confirmation message
+   */
+  setDataPolicy(policy) {
+    this._requireDocumentAdmin('change the data policy');
+    
+    const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim())
+      .filter(item => item !== '');
+    const settings = policy || {};
+    
+    let maxRows = null;
+    if (settings.maxRows !== null && settings.maxRows !== undefined && settings.maxRows !== '' && Number(settings.maxRows) !== 0) {
+      maxRows = Number(settings.maxRows);
+      if (!Number.isInteger(maxRows) || maxRows < 0) {
+        throw new Error('The maximum row count must be a positive whole number');
+      }
+    }
+    
+    const normalized = {
+      deniedColumns: toList(settings.deniedColumns),
+      deniedSheets: toList(settings.deniedSheets),
+      maxRows: maxRows
+    };
+    
+    if (normalized.deniedColumns.length === 0 && normalized.deniedSheets.length === 0 && maxRows === null) {
+      this.documentProperties.deleteProperty(DATA_POLICY_PROPERTY);
+      return 'Data policy removed';
+    }
+    
+    this.documentProperties.setProperty(DATA_POLICY_PROPERTY, JSON.stringify(normalized));
+    return 'Data policy saved';
+  }
+  
+  /**
+   * Applies the data policy to values read from a range before they are sent
+   * Denied sheets are rejected, denied columns are stripped and rows beyond maxRows are cut off.
+   * Columns are matched case-insensitively against the first row of the values and row 1 of the sheet;
+   * the first row counts as header row for the row limit unless includeHeaders is false
+   * @param {Range|null} range - Range the values were read from (null if unknown)
+   * @param {Array} values - 2D array of values
+   * @param {Object} options - rowLimit: false skips the row limit (e.g. when every request holds a single row),
+   *   includeHeaders: false if the values have no header row, so every row counts toward the limit
+   * @return {Object} The permitted values and a description of everything withheld
+   */
+  applyDataPolicy(range, values, options = {}) {
+    const policy = this.getDataPolicy();
+    const withheld = [];
+    let result = values || [];
+    
+    if (range) {
+      const sheetName = range.getSheet().getName();
+      const deniedSheets = policy.deniedSheets.map(name => name.toLowerCase());
+      if (deniedSheets.indexOf(sheetName.toLowerCase()) !== -1) {
+        throw new Error(`The data policy does not allow sending data from the sheet "${sheetName}"`);
+      }
+    }
+    
+    const deniedColumns = this._getDeniedColumns(range, result, policy);
+    if (deniedColumns.length > 0) {
+      const indexes = deniedColumns.map(column => column.index);
+      result = result.map(row => row.filter((value, index) => indexes.indexOf(index) === -1));
+      
+      if (result.length > 0 && result[0].length === 0) {
+        throw new Error(`All columns of ${range ? this._describeRange(range) : 'the data'} are withheld by the data policy`);
+      }
+      
+      deniedColumns.forEach(column => withheld.push(range ?
+        `Column "${column.name}" (${this._describeRange(range.offset(0, column.index, range.getNumRows(), 1))})` :
+        `Column "${column.name}"`));
+    }
+    
+    const headerRows = options.includeHeaders === false ? 0 : 1;
+    if (policy.maxRows && options.rowLimit !== false && result.length - headerRows > policy.maxRows) {
+      withheld.push(`${result.length - headerRows - policy.maxRows} row(s) ${range ? 'of ' + this._describeRange(range) + ' ' : ''}` +
+        `beyond the limit of ${policy.maxRows} rows per request`);
+      result = result.slice(0, policy.maxRows + headerRows);
+    }
+    
+    return { values: result, withheld: withheld };
+  }
+  
+  /**
+   * Applies the data policy and collects what was withheld for the current run
+   * @private
+   * @param {Range|null} range - Range the values were read from
+   * @param {Array} values - 2D array of values
+   * @param {Object} options - Options of applyDataPolicy
+   * @return {Array} The permitted values
+   */
+  _applyDataPolicy(range, values, options) {
+    const result = this.applyDataPolicy(range, values, options);
+    this._withheldData = (this._withheldData || []).concat(result.withheld);
+    return result.values;
+  }
+  
+  /**
+   * Finds the columns of a range whose header is denied by the data policy
+   * @private
+   * @param {Range|null} range - The range
+   * @param {Array} values - 2D array of values read from the range
+   * @param {Object} policy - The data policy
+   * @return {Array} Denied columns ({ index, name })
+   */
+  _getDeniedColumns(range, values, policy) {
+    if (policy.deniedColumns.length === 0 || values.length === 0) {
+      return [];
+    }
+    
+    const denied = policy.deniedColumns.map(name => name.toLowerCase());
+    const headerRows = [values[0]];
+    
+    // Ranges below the header row (e.g. A5:C9) are checked against the sheet's header row as well
+    if (range && range.getRow() > 1) {
+      headerRows.push(range.getSheet().getRange(1, range.getColumn(), 1, range.getNumColumns()).getDisplayValues()[0]);
+    }
+    
+    const columns = [];
+    for (let index = 0; index < values[0].length; index++) {
+      const name = headerRows
+        .map(row => String(row[index] === undefined || row[index] === null ? '' : row[index]).trim())
+        .find(header => header !== '' && denied.indexOf(header.toLowerCase()) !== -1);
+      
+      if (name) {
+        columns.push({ index: index, name: name });
+      }
+    }
+    
+    return columns;
+  }
+  
+  /**
+   * Checks whether the audit log is switched on for this spreadsheet
+   * @return {boolean} True if every processing run is logged
+   */
+  isAuditLogEnabled() {
+    return !!this.documentProperties && this.documentProperties.getProperty(AUDIT_LOG_PROPERTY) === 'true';
+  }
+  
+  /**
+   * Switches the audit log on or off for this spreadsheet (owner only)
+   * @param {boolean} enabled - Whether processing runs should be logged
+   * @return {string} Confirmation message
+   */
+  setAuditLogEnabled(enabled) {
+    this._requireDocumentAdmin('switch the audit log on or off');
+    
+    if (!enabled) {
+      this.documentProperties.deleteProperty(AUDIT_LOG_PROPERTY);
+      return 'Audit log switched off';
+    }
+    
+    this.documentProperties.setProperty(AUDIT_LOG_PROPERTY, 'true');
+    this._getAuditLogSheet();
+    return `Audit log switched on, runs are recorded in "${AUDIT_LOG_SHEET_NAME}"`;
+  }
+  
+  /**
+   * Links the location of a written result to its audit log entry
+   * @param {Range} range - Range the result was written to
+   * @param {number} auditRow - Row of the audit entry (defaults to the last entry of this execution)
+   */
+  recordAuditOutput(range, auditRow) {
+    const row = auditRow || this._lastAuditRow;
+    if (!row || !range || !this.isAuditLogEnabled()) {
+      return;
+    }
+    
+    try {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUDIT_LOG_SHEET_NAME);
+      const target = range.getSheet();
+      const label = this._describeRange(range).replace(/"/g, '""');
+      
+      sheet.getRange(row, AUDIT_LOG_HEADERS.length).setFormula(
+        `=HYPERLINK("#gid=${target.getSheetId()}&range=${range.getA1Notation()}", "${label}")`);
+    } catch (error) {
+      console.warn('Could not link output in audit log: ' + error.message);
+    }
+  }
+  
+  /**
+   * Runs an operation and records it in the audit log, if the log is switched on
+   * Failed operations are logged with their error and the error is rethrown
+   * @private
+   * @param {Object} entry - Audit entry (feature, prompt, ranges, rows, columns, model, output)
+   * @param {Function} operation - The operation to run
+   * @param {Function} describeResult - Optional function returning status and error for the result
+   * @return {*} The result of the operation
+   */
+  _audit(entry, operation, describeResult) {
+    this._lastAuditRow = null;
+    if (!this.isAuditLogEnabled()) {
+      return operation();
+    }
+    
+    const startTime = Date.now();
+    let result;
+    
+    try {
+      result = operation();
+    } catch (error) {
+      this._appendAuditEntry(Object.assign({}, entry, {
+        durationMs: Date.now() - startTime,
+        status: 'error',
+        error: error.message
+      }));
+      throw error;
+    }
+    
+    const details = describeResult ? describeResult(result) : {};
+    this._appendAuditEntry(Object.assign({ status: 'success' }, entry, details, { durationMs: Date.now() - startTime }));
+    return result;
+  }
+  
+  /**
+   * Appends an entry to the audit log sheet
+   * Logging never fails a run, problems are only reported to the execution log
+   * @private
+   * @param {Object} entry - Audit entry
+   */
+  _appendAuditEntry(entry) {
+    // Prompts are user input, keep them from being interpreted as formulas
+    const text = value => {
+      const string = String(value === undefined || value === null ? '' : value).substring(0, AUDIT_LOG_MAX_TEXT);
+      return /^[=+\-@]/.test(string) ? "'" + string : string;
+    };
+    
+    try {
+      const sheet = this._getAuditLogSheet();
+      sheet.appendRow([
+        new Date(),
+        Session.getActiveUser().getEmail() || 'unknown',
+        entry.feature,
+        text(entry.prompt),
+        text((entry.ranges || []).join(', ')),
+        entry.rows === undefined ? '' : entry.rows,
+        entry.columns === undefined ? '' : entry.columns,
+        entry.model || '',
+        Math.round(entry.durationMs / 100) / 10,
+        entry.status,
+        text(entry.error),
+        ''
+      ]);
+      this._lastAuditRow = sheet.getLastRow();
+      
+      if (entry.output) {
+        this.recordAuditOutput(entry.output, this._lastAuditRow);
+      }
+    } catch (error) {
+      console.warn('Could not write audit log: ' + error.message);
+    }
+  }
+  
+  /**
+   * Gets the audit log sheet, creating and protecting it if needed
+   * @private
+   * @return {Sheet} The audit log sheet
+   */
+  _getAuditLogSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(AUDIT_LOG_SHEET_NAME);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(AUDIT_LOG_SHEET_NAME);
+      sheet.appendRow(AUDIT_LOG_HEADERS);
+      sheet.getRange(1, 1, 1, AUDIT_LOG_HEADERS.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      
+      // Every editor must be able to append, so the protection only warns before manual edits;
+      // editors can still change or delete entries, the log is not tamper-proof
+      sheet.protect().setDescription('CellMindAI audit log (edits trigger a warning)').setWarningOnly(true);
+    }
+    
+    return sheet;
+  }
+  
+  /**
+   * Checks whether the current user administers this spreadsheet: its owner or an administrator listed
+   * by the library owner. Files in shared drives have no owner, there only listed administrators count
+   * @private
+   * @return {boolean} True if the current user is the owner or a listed administrator
+   */
+  _isDocumentAdmin() {
+    const email = Session.getActiveUser().getEmail();
+    if (!email) {
+      return false;
+    }
+    
+    const owner = SpreadsheetApp.getActiveSpreadsheet().getOwner();
+    const admins = (PropertiesService.getScriptProperties().getProperty(ADMINS_PROPERTY) || '')
+      .split(',')
+      .map(admin => admin.trim().toLowerCase());
+    
+    return (owner !== null && owner.getEmail() === email) || admins.indexOf(email.toLowerCase()) !== -1;
+  }
+  
+  /**
+   * Refuses an owner-only change for everyone else, explaining the case of files without an owner
+   * @private
+   * @param {string} action - What the user tried to do, e.g. "change the data policy"
+   */
+  _requireDocumentAdmin(action) {
+    if (this._isDocumentAdmin()) {
+      return;
+    }
+    
+    if (!SpreadsheetApp.getActiveSpreadsheet().getOwner()) {
+      throw new Error('This spreadsheet is in a shared drive and has no owner, so only administrators listed ' +
+        `in the ${ADMINS_PROPERTY} script property of the CellMindAI library can ${action}`);
+    }
+    
+    throw new Error(`Only the owner of the spreadsheet can ${action}`);
+  }
+  
+  /**
+   * Describes a range as Sheet!A1 notation
+   * @private
+   * @param {Range} range - The range
+   * @return {string} The range reference
+   */
+  _describeRange(range) {
+    return `${range.getSheet().getName()}!${range.getA1Notation()}`;
+  }
+  
+  /**
+   * Lists the ranges referenced by placeholders in a prompt
+   * @private
+   * @param {string} text - The prompt text
+   * @return {Array} Range references (unresolvable placeholders are skipped)
+   */
+  _getPlaceholderRanges(text) {
+    const ranges = [];
+    
+    String(text || '').replace(RANGE_PLACEHOLDER_PATTERN, (match, reference) => {
+      const range = this._getRangeByReference(reference);
+      if (range) {
+        ranges.push(this._describeRange(range));
+      }
+      return match;
+    });
+    
+    return ranges;
+  }
+  
+  /**
+   * Gets the response cache lifetime
+   * @return {number} Cache TTL in seconds
+   */
+  getCacheTtl() {
+    const ttl = this.documentProperties && this.documentProperties.getProperty('CELLMINDAI_CACHE_TTL');
+    return ttl ? parseInt(ttl, 10) : CACHE_DEFAULT_TTL_SECONDS;
+  }
+  
+  /**
+   * Sets the response cache lifetime for this spreadsheet
+   * TTLs above 6 hours are stored durably in a hidden sheet
+   * @param {number} seconds - Cache TTL in seconds (0 disables caching)
+   * @return {string} Confirmation message
+   */
+  setCacheTtl(seconds) {
+    const ttl = parseInt(seconds, 10);
+    if (isNaN(ttl) || ttl < 0) {
+      throw new Error('Cache TTL must be a non-negative number of seconds');
+    }
+    
+    this.documentProperties.setProperty('CELLMINDAI_CACHE_TTL', String(ttl));
+    return `Cache TTL set to ${ttl} seconds`;
+  }
+  
+  /**
+   * Invalidates all cached responses for this spreadsheet
+   * @return {string} Confirmation message
+   */
+  clearCache() {
+    // CacheService cannot enumerate keys, so a new generation makes all old keys unreachable
+    const generation = parseInt(this.documentProperties.getProperty('CELLMINDAI_CACHE_GENERATION') || '0', 10);
+    this.documentProperties.setProperty('CELLMINDAI_CACHE_GENERATION', String(generation + 1));
+    
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const cacheSheet = ss.getSheetByName(CACHE_SHEET_NAME);
+    if (cacheSheet) {
+      ss.deleteSheet(cacheSheet);
+    }
+    
+    return 'CellMindAI cache cleared';
+  }
+  
+  /**
+   * Builds the cache key for a complete API request
+   * @private
+   * @param {Object} requestData - Request data (model, options and messages)
+   * @return {string} Cache key
+   */
+  _getCacheKey(requestData) {
+    const generation = (this.documentProperties &&
+      this.documentProperties.getProperty('CELLMINDAI_CACHE_GENERATION')) || '0';
+    return `CELLMINDAI_${generation}_${this._hashValue(requestData)}`;
+  }
+  
+  /**
+   * Looks up a cached API response
+   * @private
+   * @param {string} key - Cache key
+   * @return {Object|null} Cached API response or null
+   */
+  _getCachedResponse(key) {
+    if (this.getCacheTtl() === 0) {
+      return null;
+    }
+    
+    const cache = this._getCache();
+    const cached = cache.get(key);
+    if (cached !== null) {
+      return JSON.parse(cached);
+    }
+    
+    const entry = this._readStoreEntry(CACHE_SHEET_NAME, key);
+    if (!entry) {
+      return null;
+    }
+    
+    // Warm the short-lived cache again
+    try {
+      const remainingSeconds = Math.floor((entry.expiresAt - Date.now()) / 1000);
+      cache.put(key, entry.value, Math.max(1, Math.min(remainingSeconds, CACHE_SERVICE_MAX_SECONDS)));
+    } catch (error) {
+      console.warn('Could not warm cache: ' + error.message);
+    }
+    
+    return JSON.parse(entry.value);
+  }
+  
+  /**
+   * Stores an API response in the cache
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} response - API response
+   */
+  _putCachedResponse(key, response) {
+    const ttl = this.getCacheTtl();
+    if (ttl === 0) {
+      return;
+    }
+    
+    const value = JSON.stringify(response);
+    
+    try {
+      this._getCache().put(key, value, Math.min(ttl, CACHE_SERVICE_MAX_SECONDS));
+    } catch (error) {
+      // Values above the CacheService size limit are only stored durably
+      console.warn('Could not cache response: ' + error.message);
+    }
+    
+    if (ttl > CACHE_SERVICE_MAX_SECONDS) {
+      try {
+        // Expired entries are otherwise only removed when the same request is sent again
+        this._pruneStoreSheet(CACHE_SHEET_NAME);
+        this._writeStoreEntry(CACHE_SHEET_NAME, key, value, Date.now() + ttl * 1000);
+      } catch (error) {
+        // Custom functions cannot modify the spreadsheet
+        console.warn('Could not store durable cache entry: ' + error.message);
+      }
+    }
+  }
+  
+  /**
+   * Gets the CacheService cache for the current document
+   * @private
+   * @return {Cache} Document cache, or script cache outside of a document
+   */
+  _getCache() {
+    return CacheService.getDocumentCache() || CacheService.getScriptCache();
+  }
+  
+  /**
+   * Gets a hidden key-value store sheet
+   * @private
+   * @param {string} sheetName - Name of the store sheet
+   * @param {boolean} create - Create the sheet if it does not exist
+   * @return {Sheet|null} The store sheet or null
+   */
+  _getStoreSheet(sheetName, create) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(sheetName);
+    
+    if (!sheet && create) {
+      sheet = ss.insertSheet(sheetName);
+      sheet.hideSheet();
+    }
+    
+    return sheet;
+  }
+  
+  /**
+   * Reads an entry from a hidden store sheet
+   * Layout: column A key, column B expiry timestamp (empty = never), columns C+ value chunks
+   * @private
+   * @param {string} sheetName - Name of the store sheet
+   * @param {string} key - Entry key
+   * @return {Object|null} Entry with value and expiresAt, or null if missing or expired
+   */
+  _readStoreEntry(sheetName, key) {
+    const sheet = this._getStoreSheet(sheetName, false);
+    if (!sheet) {
+      return null;
+    }
+    
+    const cell = this._findStoreRow(sheet, key);
+    if (!cell) {
+      return null;
+    }
+    
+    const row = cell.getRow();
+    const values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const expiresAt = values[1] === '' ? null : Number(values[1]);
+    
+    if (expiresAt !== null && expiresAt < Date.now()) {
+      try {
+        sheet.deleteRow(row);
+      } catch (error) {
+        // Read-only contexts (custom functions) leave the cleanup to a later call
+      }
+      return null;
+    }
+    
+    return {
+      value: values.slice(2).join(''),
+      expiresAt: expiresAt
+    };
+  }
+  
+  /**
+   * Writes an entry to a hidden store sheet
+   * @private
+   * @param {string} sheetName - Name of the store sheet
+   * @param {string} key - Entry key
+   * @param {string} value - Value to store
+   * @param {number|null} expiresAt - Expiry timestamp in milliseconds or null for no expiry
+   */
+  _writeStoreEntry(sheetName, key, value, expiresAt) {
+    const sheet = this._getStoreSheet(sheetName, true);
+    
+    const chunks = [];
+    for (let i = 0; i < value.length; i += STORE_CHUNK_SIZE) {
+      chunks.push(value.substring(i, i + STORE_CHUNK_SIZE));
+    }
+    
+    const rowValues = [key, expiresAt === null || expiresAt === undefined ? '' : expiresAt].concat(chunks);
+    const existing = this._findStoreRow(sheet, key);
+    const row = existing ? existing.getRow() : sheet.getLastRow() + 1;
+    
+    if (existing) {
+      sheet.getRange(row, 1, 1, sheet.getLastColumn()).clearContent();
+    }
+    
+    // Keep values as plain text so they are never interpreted as numbers or dates
+    const range = sheet.getRange(row, 1, 1, rowValues.length);
+    range.setNumberFormat('@');
+    range.setValues([rowValues.map(String)]);
+  }
+  
+  /**
+   * Deletes an entry from a hidden store sheet
+   * @private
+   * @param {string} sheetName - Name of the store sheet
+   * @param {string} key - Entry key
+   */
+  _deleteStoreEntry(sheetName, key) {
+    const sheet = this._getStoreSheet(sheetName, false);
+    const cell = sheet ? this._findStoreRow(sheet, key) : null;
+    
+    if (cell) {
+      sheet.deleteRow(cell.getRow());
+    }
+  }
+  
+  /**
+   * Deletes all expired entries from a hidden store sheet
+   * @private
+   * @param {string} sheetName - Name of the store sheet
+   * @param {Function} isStale - Optional check (key) => boolean for entries to delete even if they do not expire
+   * @return {number} Number of deleted entries
+   */
+  _pruneStoreSheet(sheetName, isStale) {
+    const sheet = this._getStoreSheet(sheetName, false);
+    if (!sheet || sheet.getLastRow() === 0) {
+      return 0;
+    }
+    
+    const now = Date.now();
+    const entries = sheet.getRange(1, 1, sheet.getLastRow(), 2).getValues();
+    const isExpired = row => {
+      const [key, expiresAt] = entries[row - 1];
+      return (expiresAt !== '' && Number(expiresAt) < now) || (key !== '' && !!isStale && isStale(String(key)));
+    };
+    let deleted = 0;
+    
+    // Bottom up and in blocks of adjacent rows, so the remaining row numbers stay valid
+    for (let last = entries.length; last >= 1; last--) {
+      if (!isExpired(last)) continue;
+      
+      let first = last;
+      while (first > 1 && isExpired(first - 1)) {
+        first--;
+      }
+      
+      // A sheet cannot lose all of its rows
+      if (last - first + 1 >= sheet.getMaxRows()) {
+        sheet.getRange(first, 1, last - first + 1, sheet.getMaxColumns()).clearContent();
+      } else {
+        sheet.deleteRows(first, last - first + 1);
+      }
+      
+      deleted += last - first + 1;
+      last = first;
+    }
+    
+    return deleted;
+  }
+  
+  /**
+   * Finds the key cell of a store entry
+   * @private
+   * @param {Sheet} sheet - The store sheet
+   * @param {string} key - Entry key
+   * @return {Range|null} The key cell or null
+   */
+  _findStoreRow(sheet, key) {
+    if (sheet.getLastRow() === 0) {
+      return null;
+    }
+    
+    return sheet.getRange(1, 1, sheet.getLastRow(), 1)
+      .createTextFinder(key)
+      .matchEntireCell(true)
+      .matchCase(true)
+      .findNext();
+  }
+  
+  /**
+   * Parses a JSON table (array of rows or array of objects), optionally inside a code fence
+   * @private
+   * @param {string} text - The response text
+   * @return {Array|null} 2D array or null
+   */
+  _parseJsonTable(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+      return null;
+    }
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(text.substring(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+    
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      return null;
+    }
+    
+    const toCell = value => {
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : value;
+    };
+    
+    if (parsed.every(Array.isArray)) {
+      return parsed.map(row => row.map(toCell));
+    }
+    
+    // Array of records: the keys of the first record become the header row
+    if (parsed.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+      const headers = Object.keys(parsed[0]);
+      return [headers].concat(parsed.map(row => headers.map(header => toCell(row[header]))));
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Parses a Markdown table (| a | b |), skipping the separator line
+   * @private
+   * @param {string} text - The response text
+   * @return {Array|null} 2D array or null
+   */
+  _parseMarkdownTable(text) {
+    const lines = text.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.startsWith('|'));
+    
+    if (lines.length < 2) {
+      return null;
+    }
+    
+    return lines
+      .filter(line => !/^\|?[\s:|-]+\|?$/.test(line))
+      .map(line => line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim()));
+  }
+  
+  /**
+   * Parses tab-separated text
+   * @private
+   * @param {string} text - The response text
+   * @return {Array|null} 2D array or null
+   */
+  _parseDelimitedTable(text) {
+    const lines = text.split('\n')
+      .map(line => line.replace(/\r$/, ''))
+      .filter(line => line.indexOf('\t') !== -1);
+    
+    if (lines.length < 2) {
+      return null;
+    }
+    
+    return lines.map(line => line.split('\t').map(cell => cell.trim()));
+  }
+  
+  /**
+   * Replaces {{Header}} placeholders in a row prompt template with the row's values
+   * @private
+   * @param {string} template - The prompt template
+   * @param {Array|null} headers - Header row or null
+   * @param {Array} row - The current row
+   * @return {string} The filled prompt
+   */
+  _fillRowTemplate(template, headers, row) {
+    if (!headers) {
+      return template;
+    }
+    
+    const lookup = {};
+    headers.forEach((header, index) => {
+      lookup[String(header).toLowerCase().trim()] = row[index];
+    });
+    
+    return template.replace(/\{\{([^}]+)\}\}/g, (match, name) => {
+      const key = name.toLowerCase().trim();
+      return Object.prototype.hasOwnProperty.call(lookup, key) ? String(lookup[key]) : match;
+    });
+  }
+  
+  /**
+   * Converts a column letter (e.g. "F") or 1-based number into a column index
+   * @private
+   * @param {string|number} column - Column letter or number
+   * @return {number} 1-based column index
+   */
+  _columnToIndex(column) {
+    if (typeof column === 'number') {
+      return column;
+    }
+    
+    const letters = String(column).toUpperCase().trim();
+    if (/^\d+$/.test(letters)) {
+      return parseInt(letters, 10);
+    }
+    if (!/^[A-Z]+$/.test(letters)) {
+      throw new Error(`Invalid column "${column}"`);
+    }
+    
+    let index = 0;
+    for (let i = 0; i < letters.length; i++) {
+      index = index * 26 + (letters.charCodeAt(i) - 64);
+    }
+    return index;
+  }
+  
+  /**
+   * Creates a stable hash for an arbitrary JSON-serializable value
+   * @private
+   * @param {*} value - The value to hash
+   * @return {string} Base64-encoded SHA-256 digest
+   */
+  _hashValue(value) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      JSON.stringify(value),
+      Utilities.Charset.UTF_8
+    );
+    return Utilities.base64EncodeWebSafe(digest);
+  }
+  
+  /**
+   * Formats 2D array data for a prompt in the configured data format
+   * @private
+   * @param {Array} data - 2D array of data
+   * @param {Object} options - data_format (markdown, csv, json or tsv; default from the settings) and includeHeaders
+   * @return {string} Formatted table as string
+   */
+  _formatDataAsTable(data, options = {}) {
+    if (!data || data.length === 0) {
+      return 'No data available';
+    }
+    
+    const format = this._getSetting('data_format', options);
+    const hasHeader = options.includeHeaders !== false;
+    // A spread over all rows would exceed the call stack for large ranges
+    const width = data.reduce((max, row) => Math.max(max, row.length), 0);
+    const header = hasHeader ? data[0] : null;
+    const rows = hasHeader ? data.slice(1) : data;
+    const text = value => this._formatCellValue(value);
+    const line = row => Array.from({ length: width }, (value, i) => row[i]);
+    
+    switch (format) {
+      case 'csv': {
+        // RFC 4180: quote values containing separators, quotes or line breaks
+        const escape = value => /[",\r\n]/.test(text(value)) ? `"${text(value).replace(/"/g, '""')}"` : text(value);
+        return data.map(row => line(row).map(escape).join(',')).join('\n') + '\n';
+      }
+      case 'json': {
+        // Records keyed by header, or plain rows without headers; numbers and booleans keep their type
+        const jsonValue = value => value instanceof Date ? text(value) : (value === undefined ? '' : value);
+        if (!header) {
+          return JSON.stringify(rows.map(row => line(row).map(jsonValue)));
+        }
+        
+        const keys = line(header).map((key, i) => text(key).trim() || `Column ${i + 1}`);
+        const records = rows.map(row => {
+          const record = {};
+          line(row).forEach((value, i) => { record[keys[i]] = jsonValue(value); });
+          return record;
+        });
+        return '[\n' + records.map(record => JSON.stringify(record)).join(',\n') + '\n]';
+      }
+      case 'tsv': {
+        // Tabs and line breaks inside cells would break the layout
+        const clean = value => text(value).replace(/[\t\r\n]+/g, ' ');
+        return data.map(row => line(row).map(clean).join('\t')).join('\n') + '\n';
+      }
+      default: {
+        // Markdown requires a header row, generic column names are used without one
+        const clean = value => text(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const headerCells = header ? line(header).map(clean) : line([]).map((value, i) => `Column ${i + 1}`);
+        const tableLine = cells => `| ${cells.join(' | ')} |`;
+        
+        return [tableLine(headerCells), tableLine(headerCells.map(() => '---'))]
+          .concat(rows.map(row => tableLine(line(row).map(clean))))
+          .join('\n') + '\n';
+      }
+    }
+  }
+  
+  /**
+   * Formats a single raw cell value as text
+   * Dates use ISO notation in the spreadsheet time zone instead of the JavaScript date string
+   * @private
+   * @param {*} value - Cell value
+   * @return {string} Text representation
+   */
+  _formatCellValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    
+    if (value instanceof Date) {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const timeZone = ss ? ss.getSpreadsheetTimeZone() : Session.getScriptTimeZone();
+      const time = Utilities.formatDate(value, timeZone, 'HH:mm:ss');
+      return Utilities.formatDate(value, timeZone, time === '00:00:00' ? 'yyyy-MM-dd' : 'yyyy-MM-dd HH:mm:ss');
+    }
+    
+    return String(value);
+  }
+  
+  /**
+   * Keeps a text from being interpreted as a formula when it is written to a cell
+   * Answers and cached responses are written with setValue, where a leading "=" would create a live formula
+   * @private
+   * @param {*} value - Cell value
+   * @return {*} The value, text that starts like a formula with a leading apostrophe
+   */
+  _escapeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) && isNaN(Number(value)) ? "'" + value : value;
+  }
+  
+  /**
+   * Gets the API provider for a request
+   * @private
+   * @param {Object} options - Per-call options (provider, base_url)
+   * @return {Object} Provider definition with its name and the base URL to use
+   */
+  _getProvider(options = {}) {
+    const name = this._getSetting('provider', options) || 'anthropic';
+    const provider = API_PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown provider "${name}", use: ${Object.keys(API_PROVIDERS).join(', ')}`);
+    }
+    
+    return Object.assign({ name: name }, provider, { baseUrl: this._getSetting('base_url', options) || provider.baseUrl });
+  }
+  
+  /**
+   * Translates a request in the Anthropic Messages format into the HTTP request of a provider
+   * @private
+   * @param {Object} provider - Provider from _getProvider
+   * @param {Object} requestData - Request in the Anthropic Messages format
+   * @param {string} apiKey - The API key
+   * @return {Object} url and UrlFetchApp params
+   */
+  _buildProviderRequest(provider, requestData, apiKey) {
+    const headers = provider.name === 'openai' ?
+      { 'authorization': 'Bearer ' + apiKey, 'content-type': 'application/json' } :
+      { 'x-api-key': apiKey, 'content-type': 'application/json', 'anthropic-version': ANTHROPIC_API_VERSION };
+    
+    return {
+      url: provider.baseUrl + provider.path,
+      params: {
+        method: 'post',
+        headers: headers,
+        payload: JSON.stringify(provider.name === 'openai' ? this._toOpenAIRequest(requestData) : requestData),
+        muteHttpExceptions: true
+      }
+    };
+  }
+  
+  /**
+   * Translates a request into an OpenAI-compatible chat completion request
+   * Content blocks of agent mode become tool calls and tool messages
+   * @private
+   * @param {Object} requestData - Request in the Anthropic Messages format
+   * @return {Object} The chat completion request
+   */
+  _toOpenAIRequest(requestData) {
+    const messages = requestData.system ? [{ role: 'system', content: requestData.system }] : [];
+    
+    requestData.messages.forEach(message => {
+      if (typeof message.content === 'string') {
+        messages.push({ role: message.role, content: message.content });
+        return;
+      }
+      
+      const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+      if (message.role === 'assistant') {
+        const toolCalls = message.content.filter(block => block.type === 'tool_use').map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+        }));
+        messages.push(Object.assign({ role: 'assistant', content: text || null }, toolCalls.length > 0 ? { tool_calls: toolCalls } : {}));
+        return;
+      }
+      
+      message.content.filter(block => block.type === 'tool_result').forEach(block => {
+        messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: String(block.content) });
+      });
+      if (text) {
+        messages.push({ role: 'user', content: text });
+      }
+    });
+    
+    const request = {
+      model: requestData.model,
+      messages: messages,
+      max_tokens: requestData.max_tokens,
+      temperature: requestData.temperature
+    };
+    
+    if (requestData.top_p !== undefined) {
+      request.top_p = requestData.top_p;
+    }
+    
+    if (requestData.stop_sequences) {
+      request.stop = requestData.stop_sequences;
+    }
+    
+    if (requestData.tools) {
+      request.tools = requestData.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }));
+    }
+    
+    return request;
+  }
+  
+  /**
+   * Translates a provider response into the Anthropic Messages format used throughout the library
+   * @private
+   * @param {Object} provider - Provider from _getProvider
+   * @param {Object} response - Parsed response of the provider
+   * @return {Object} Response with content blocks, stop_reason and usage
+   */
+  _parseProviderResponse(provider, response) {
+    if (provider.name !== 'openai') {
+      return response;
+    }
+    
+    const choice = (response.choices || [])[0] || {};
+    const message = choice.message || {};
+    const content = message.content ? [{ type: 'text', text: message.content }] : [];
+    
+    (message.tool_calls || []).forEach(call => {
+      content.push({ type: 'tool_use', id: call.id, name: call.function.name, input: JSON.parse(call.function.arguments || '{}') });
+    });
+    
+    const stopReasons = { tool_calls: 'tool_use', length: 'max_tokens' };
+    const usage = response.usage || {};
+    
+    return {
+      id: response.id,
+      model: response.model,
+      role: 'assistant',
+      content: content,
+      stop_reason: stopReasons[choice.finish_reason] || 'end_turn',
+      usage: { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 }
+    };
+  }
+  
+  /**
+   * Answers a request offline with the mock provider
+   * The first row of the mock responses sheet whose text occurs in the last message wins; without a match
+   * the answer is derived from a hash of the request, so identical requests always get identical answers
+   * @private
+   * @param {Object} requestData - Request in the Anthropic Messages format
+   * @return {Object} Response in the Anthropic Messages format
+   */
+  _getMockResponse(requestData) {
+    const lastMessage = requestData.messages[requestData.messages.length - 1];
+    const prompt = typeof lastMessage.content === 'string' ? lastMessage.content :
+      lastMessage.content.map(block => block.text || block.content || '').join('\n');
+    
+    let text = this._findMockResponse(prompt);
+    if (text === null && prompt.indexOf(TABLE_OUTPUT_INSTRUCTION) !== -1) {
+      text = JSON.stringify([['Request', 'Characters'], [this._hashValue(requestData).substring(0, 8), prompt.length]]);
+    } else if (text === null) {
+      text = `Mock response ${this._hashValue(requestData).substring(0, 8)} (${requestData.model}): ` +
+        `${requestData.messages.length} message(s), ${prompt.length} characters, starting with "${prompt.split('\n')[0].substring(0, 80)}"`;
+    }
+    
+    return {
+      id: 'mock',
+      model: requestData.model,
+      role: 'assistant',
+      content: [{ type: 'text', text: text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: this.estimateTokens(JSON.stringify(requestData.messages)), output_tokens: this.estimateTokens(text) }
+    };
+  }
+  
+  /**
+   * Looks up a canned answer in the mock responses sheet (column A: text the prompt contains, column B: response)
+   * @private
+   * @param {string} prompt - Text of the last message
+   * @return {string|null} The canned response or null if no row matches
+   */
+  _findMockResponse(prompt) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss && ss.getSheetByName(MOCK_RESPONSES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return null;
+    }
+    
+    const text = prompt.toLowerCase();
+    const match = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getDisplayValues()
+      .find(row => row[0].trim() !== '' && text.indexOf(row[0].trim().toLowerCase()) !== -1);
+    
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Sends HTTP request to the API of the selected provider
+   * Retries rate limits, overload and server errors with exponential backoff
+   * @private
+   * @param {Object} requestData - Request data in the Anthropic Messages format
+   * @param {Object} retryOptions - Overrides for RETRY_DEFAULTS (maxAttempts, maxTotalMs, etc.)
+   * @param {Object} provider - Provider from _getProvider (defaults to the configured provider)
+   * @return {Object} API response as JSON in the Anthropic Messages format
+   */
+  _sendRequest(requestData, retryOptions = {}, provider = this._getProvider()) {
+    if (provider.offline) {
+      return this._getMockResponse(requestData);
+    }
+    
+    const source = this.getApiKeySource();
+    const apiKey = source === 'user' ? this.getApiKey() : readSharedApiKey_();
+    if (!apiKey) {
+      throw new Error('No API key configured. Please configure an API key first.');
+    }
+    
+    // A shared key is only ever sent to the Anthropic API itself
+    if ((source === 'document' || source === 'script') &&
+        (provider.name !== 'anthropic' || provider.baseUrl !== API_PROVIDERS.anthropic.baseUrl)) {
+      throw new Error('The shared API key can only be used with the default Anthropic API. ' +
+        'Remove the provider and base_url settings or configure a personal API key.');
+    }
+    
+    const policy = Object.assign({}, RETRY_DEFAULTS, retryOptions);
+    const { url, params } = this._buildProviderRequest(provider, requestData, apiKey);
+    
+    const startTime = Date.now();
+    let attempt = 0;
+    
+    while (true) {
+      attempt++;
+      let responseCode = null;
+      let responseText = null;
+      let retryAfterMs = null;
+      let lastError;
+      
+      try {
+        const response = UrlFetchApp.fetch(url, params);
+        responseCode = response.getResponseCode();
+        responseText = response.getContentText();
+        
+        if (responseCode !== 200) {
+          retryAfterMs = this._parseRetryAfter(response.getHeaders());
+          lastError = new Error(`API error (${responseCode}): ${responseText}`);
+        }
+      } catch (error) {
+        // Network errors and timeouts are retried as well
+        lastError = error;
+      }
+      
+      if (responseCode === 200) {
+        return this._parseProviderResponse(provider, JSON.parse(responseText));
+      }
+      
+      const retryable = responseCode === null || RETRYABLE_STATUS_CODES.indexOf(responseCode) !== -1;
+      const backoffMs = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(2, attempt - 1));
+      const delayMs = retryAfterMs !== null ? retryAfterMs : backoffMs + Math.floor(Math.random() * 250);
+      const elapsedMs = Date.now() - startTime;
+      
+      if (!retryable || attempt >= policy.maxAttempts || elapsedMs + delayMs > policy.maxTotalMs) {
+        const attemptInfo = attempt > 1 ? ` (after ${attempt} attempts)` : '';
+        throw new Error(`Error during API request: ${lastError.message}${attemptInfo}`);
+      }
+      
+      console.warn(`API request failed (attempt ${attempt}), retrying in ${delayMs} ms: ${lastError.message}`);
+      Utilities.sleep(delayMs);
+    }
+  }
+  
+  /**
+   * Reads the retry-after header of an API response
+   * @private
+   * @param {Object} headers - Response headers
+   * @return {number|null} Delay in milliseconds or null if not present
+   */
+  _parseRetryAfter(headers) {
+    const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'retry-after');
+    if (!name) {
+      return null;
+    }
+    
+    const value = String(headers[name]).trim();
+    
+    // Either a number of seconds or an HTTP date
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return Math.ceil(parseFloat(value) * 1000);
+    }
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+  }
+}
+
+// Shared API key and quota counters. Functions ending in an underscore are private to the library: spreadsheets
+// using it cannot call them, so the shared key never leaves the library and editors cannot reset their own counters
+
+/**
+ * Gets the name of a script property that holds a setting of this spreadsheet or of all spreadsheets
+ * @param {string} name - Property name
+ * @param {string} source - 'script' for all spreadsheets, otherwise this spreadsheet
+ * @return {string|null} The property name, or null for a spreadsheet setting outside a spreadsheet
+ */
+function getSharedPropertyName_(name, source) {
+  if (source === 'script') {
+    return name;
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss ? `${name}:${ss.getId()}` : null;
+}
+
+/**
+ * Tells which shared API key is used without a personal key: the spreadsheet's, then the library's
+ * @return {string|null} 'document', 'script' or null if there is no shared key
+ */
+function getSharedApiKeySource_() {
+  const properties = PropertiesService.getScriptProperties();
+  const documentProperty = getSharedPropertyName_(SHARED_API_KEY_PROPERTY, 'document');
+  
+  if (documentProperty && properties.getProperty(documentProperty)) {
+    return 'document';
+  }
+  
+  return properties.getProperty(SHARED_API_KEY_PROPERTY) ? 'script' : null;
+}
+
+/**
+ * Reads the shared API key for sending a request
+ * @return {string|null} The key of getSharedApiKeySource_ or null
+ */
+function readSharedApiKey_() {
+  const source = getSharedApiKeySource_();
+  return source ?
+    PropertiesService.getScriptProperties().getProperty(getSharedPropertyName_(SHARED_API_KEY_PROPERTY, source)) :
+    null;
+}
+
+/**
+ * Gets the script property with the current user's counter for the shared API key: each spreadsheet key
+ * has its own quota, the library key is counted across all spreadsheets
+ * @return {string|null} The property name or null if there is no shared key
+ */
+function getQuotaUsageProperty_() {
+  const source = getSharedApiKeySource_();
+  if (!source) {
+    return null;
+  }
+  
+  const user = Session.getActiveUser().getEmail() || Session.getTemporaryActiveUserKey();
+  return `${getSharedPropertyName_(QUOTA_USAGE_PROPERTY, source)}:${user}`;
+}
+
+/**
+ * Reads today's usage of the shared API key by the current user
+ * @return {Object} requests and tokens
+ */
+function readQuotaUsage_() {
+  const property = getQuotaUsageProperty_();
+  const stored = JSON.parse((property && PropertiesService.getScriptProperties().getProperty(property)) || '{}');
+  
+  // Only today's counts apply, older ones are overwritten by the next request
+  return stored.day === getQuotaDay_() ?
+    { requests: stored.requests, tokens: stored.tokens } :
+    { requests: 0, tokens: 0 };
+}
+
+/**
+ * Counts a request sent with the shared API key against the current user's daily quota
+ * Recording never fails a request
+ * @param {Object} response - API response with usage
+ */
+function recordQuotaUsage_(response) {
+  const property = getQuotaUsageProperty_();
+  if (!property) {
+    return;
+  }
+  
+  // Concurrent requests of the same user (e.g. CELLMIND formulas) must not overwrite each other's count
+  try {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      const usage = response.usage || {};
+      const current = readQuotaUsage_();
+      PropertiesService.getScriptProperties().setProperty(property, JSON.stringify({
+        day: getQuotaDay_(),
+        requests: current.requests + 1,
+        tokens: current.tokens + (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }));
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    console.warn('Could not record quota usage: ' + error.message);
+  }
+}
+
+/**
+ * Gets the current quota day in the spreadsheet time zone
+ * @return {string} Day as "yyyy-MM-dd"
+ */
+function getQuotaDay_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = ss ? ss.getSpreadsheetTimeZone() : Session.getScriptTimeZone();
+  return Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd');
+}
+
+// Global instance, private to the library so that spreadsheets cannot reach its internals
+let cellMindInstance = null;
+
+/**
+ * Initializes the CellMindAI instance
+ * @return {CellMindAI} The CellMindAI instance
+ */
+function initCellMindAI_() {
+  if (!cellMindInstance) {
+    cellMindInstance = new CellMindAI();
+  }
+  return cellMindInstance;
+}
+
+/**
+ * Sets the API key for CellMindAI
+ * @param {string} apiKey - The Anthropic API key
+ * @return {string} Confirmation message
+ */
+function setApiKey(apiKey) {
+  return initCellMindAI_().setApiKey(apiKey);
+}
+
+/**
+ * Checks if an API key is set
+ * @return {boolean} True if API key exists
+ */
+function hasApiKey() {
+  return initCellMindAI_().hasApiKey();
+}
+
+/**
+ * Deletes the stored API key
+ * @return {string} Confirmation message
+ */
+function clearApiKey() {
+  return initCellMindAI_().clearApiKey();
+}
+
+/**
+ * Stores a shared API key for the spreadsheet (owner only)
+ * @param {string} apiKey - The Anthropic API key
+ * @return {string} Confirmation message
+ */
+function setSharedApiKey(apiKey) {
+  return initCellMindAI_().setSharedApiKey(apiKey);
+}
+
+/**
+ * Deletes the shared API key of the spreadsheet (owner only)
+ * @return {string} Confirmation message
+ */
+function clearSharedApiKey() {
+  return initCellMindAI_().clearSharedApiKey();
+}
+
+/**
+ * Tells which API key requests are sent with
+ * @return {string|null} 'user', 'document', 'script' or null
+ */
+function getApiKeySource() {
+  return initCellMindAI_().getApiKeySource();
+}
+
+/**
+ * Gets the daily quotas per user for the shared API key
+ * @param {string} source - 'document' or 'script' (defaults to the source of the active key)
+ * @return {Object} dailyRequests and dailyTokens
+ */
+function getQuotas(source) {
+  return initCellMindAI_().getQuotas(source);
+}
+
+/**
+ * Sets the daily quotas per user for the shared API key of the spreadsheet (owner only)
+ * @param {Object} quotas - dailyRequests and dailyTokens
+ * @return {string} Confirmation message
+ */
+function setQuotas(quotas) {
+  return initCellMindAI_().setQuotas(quotas);
+}
+
+/**
+ * Gets today's usage of the shared API key by the current user
+ * @return {Object} source, day, requests, tokens and limits
+ */
+function getQuotaUsage() {
+  return initCellMindAI_().getQuotaUsage();
+}
+
+/**
+ * Processes data from the current sheet with CellMindAI
+ * @param {string} prompt - The prompt for CellMindAI
+ * @param {Object} options - Additional options
+ * @return {Object} CellMindAI response
+ */
+function processSheet(prompt, options = {}) {
+  return initCellMindAI_().processCurrentSheet(prompt, options);
+}
+
+/**
+ * Sends a prompt with custom data to CellMindAI
+ * @param {string} prompt - The prompt for CellMindAI
+ * @param {Array} data - The data (2D array)
+ * @param {Object} options - Additional options
+ * @return {Object} CellMindAI response
+ */
+function sendCustomData(prompt, data, options = {}) {
+  return initCellMindAI_().sendPrompt(prompt, data, options);
+}
+
+/**
+ * Executes a chain of prompts
+ * @param {Array} promptChain - Array of prompt objects
+ * @param {Object} options - Options applied to every step
+ * @return {Array} Array of CellMindAI responses
+ */
+function executePromptChain(promptChain, options = {}) {
+  return initCellMindAI_().executePromptChain(promptChain, options);
+}
+
+/**
+ * Writes request previews to the "CellMindAI Request Preview" sheet
+ * @param {Array} previews - Request previews (from sendCustomData or executePromptChain with preview: true)
+ * @return {Sheet} The preview sheet
+ */
+function writeRequestPreview(previews) {
+  return initCellMindAI_().writeRequestPreview(previews);
+}
+
+/**
+ * Replaces cell and range placeholders ({{Config!B2}}, {{Targets}}) in a prompt
+ * @param {string} text - The prompt text
+ * @return {string} The prompt with all placeholders resolved
+ */
+function resolvePlaceholders(text) {
+  return initCellMindAI_().resolvePlaceholders(text);
+}
+
+/**
+ * Reads the values of a range as displayed or raw values, depending on the display_values setting
+ * @param {Range} range - The range
+ * @param {Object} options - Per-call options (display_values)
+ * @return {Array} 2D array of values
+ */
+function getRangeValues(range, options = {}) {
+  return initCellMindAI_().getRangeValues(range, options);
+}
+
+/**
+ * Estimates the number of tokens of a text
+ * @param {string} text - The text
+ * @return {number} Estimated number of tokens
+ */
+function estimateTokens(text) {
+  return initCellMindAI_().estimateTokens(text);
+}
+
+/**
+ * Validates the step IDs and step references of a prompt chain
+ * @param {Array} promptChain - Array of prompt objects
+ * @return {boolean} True if the chain is valid (throws otherwise)
+ */
+function validatePromptChain(promptChain) {
+  return initCellMindAI_().validatePromptChain(promptChain);
+}
+
+/**
+ * Gets the generation settings
+ * @param {string} scope - 'user', 'document' or omitted for the effective settings
+ * @return {Object} Settings
+ */
+function getSettings(scope) {
+  return initCellMindAI_().getSettings(scope);
+}
+
+/**
+ * Saves generation settings
+ * @param {Object} settings - Settings to save
+ * @param {string} scope - 'user' or 'document'
+ * @return {string} Confirmation message
+ */
+function saveSettings(settings, scope = 'user') {
+  return initCellMindAI_().saveSettings(settings, scope);
+}
+
+/**
+ * Gets the system prompt stored with the spreadsheet
+ * @return {string|null} The system prompt or null
+ */
+function getSystemPrompt() {
+  return initCellMindAI_().getSystemPrompt();
+}
+
+/**
+ * Stores the system prompt with the spreadsheet
+ * @param {string} systemPrompt - The system prompt (empty to remove it)
+ * @return {string} Confirmation message
+ */
+function setSystemPrompt(systemPrompt) {
+  return initCellMindAI_().setSystemPrompt(systemPrompt);
+}
+
+/**
+ * Gets the response cache lifetime
+ * @return {number} Cache TTL in seconds
+ */
+function getCacheTtl() {
+  return initCellMindAI_().getCacheTtl();
+}
+
+/**
+ * Evaluates a prompt for the CELLMIND custom function (cached)
+ * @param {string} prompt - The prompt for CellMindAI
+ * @param {Array|*} range - Cell value or 2D array passed to the custom function
+ * @param {Object} options - Additional options
+ * @return {string} CellMindAI response text
+ */
+function cellMind(prompt, range, options = {}) {
+  return initCellMindAI_().evaluateCellFunction(prompt, range, options);
+}
+
+/**
+ * Sends a prompt and optional cell data to CellMindAI and returns the answer.
+ * Results are cached, so recalculation does not repeat identical requests.
+ *
+ * @param {string} prompt The instruction for CellMindAI, e.g. "Summarize".
+ * @param {A2:D2} range Optional cells to send along with the prompt.
+ * @return The response from CellMindAI.
+ * @customfunction
+ */
+function CELLMIND(prompt, range) {
+  return cellMind(prompt, range);
+}
+
+/**
+ * Processes a range row by row, writing one answer per row into a target column
+ * @param {string} promptTemplate - The prompt template for each row
+ * @param {Object} options - Row processing options (range, targetColumn, includeHeaders, skipFilled)
+ * @return {Object} Summary of processed, skipped and failed rows
+ */
+function processRows(promptTemplate, options = {}) {
+  return initCellMindAI_().processRows(promptTemplate, options);
+}
+
+/**
+ * Classifies a text column row by row into a fixed label set
+ * @param {Object} options - labels, textColumn, labelColumn, confidenceColumn, instructions, range, includeHeaders, skipFilled
+ * @return {Object} Summary of processed, skipped and failed rows with the count per label
+ */
+function classifyRows(options = {}) {
+  return initCellMindAI_().classifyRows(options);
+}
+
+/**
+ * Classifies a single text into one of the given labels
+ * @param {string} text - The text to classify
+ * @param {Array|string} labels - The allowed labels (array, comma-separated list or range reference)
+ * @param {Object} options - instructions and model options
+ * @return {Object} label and confidence
+ */
+function classifyText(text, labels, options = {}) {
+  return initCellMindAI_().classifyText(text, labels, options);
+}
+
+/**
+ * Sets the response cache lifetime for this spreadsheet
+ * @param {number} seconds - Cache TTL in seconds (0 disables caching)
+ * @return {string} Confirmation message
+ */
+function setCacheTtl(seconds) {
+  return initCellMindAI_().setCacheTtl(seconds);
+}
+
+/**
+ * Invalidates all cached responses for this spreadsheet
+ * @return {string} Confirmation message
+ */
+function clearCache() {
+  return initCellMindAI_().clearCache();
+}
+
+/**
+ * Summarizes the token usage and estimated cost of one month
+ * @param {string} month - Month as "yyyy-MM" (default: current month)
+ * @return {Object} Usage totals with breakdowns by user, model and feature
+ */
+function getUsageSummary(month) {
+  return initCellMindAI_().getUsageSummary(month);
+}
+
+/**
+ * Writes the monthly usage summary to the "CellMindAI Usage Summary" sheet
+ * @return {Sheet} The summary sheet
+ */
+function writeUsageSummary() {
+  return initCellMindAI_().writeUsageSummary();
+}
+
+/**
+ * Gets the monthly spending cap of this spreadsheet
+ * @return {number|null} Cap in USD or null
+ */
+function getSpendingCap() {
+  return initCellMindAI_().getSpendingCap();
+}
+
+/**
+ * Sets the monthly spending cap of this spreadsheet
+ * @param {number|null} amount - Cap in USD (null or 0 removes the cap)
+ * @return {string} Confirmation message
+ */
+function setSpendingCap(amount) {
+  return initCellMindAI_().setSpendingCap(amount);
+}
+
+/**
+ * Checks whether the audit log is switched on for this spreadsheet
+ * @return {boolean} True if processing runs are logged
+ */
+function isAuditLogEnabled() {
+  return initCellMindAI_().isAuditLogEnabled();
+}
+
+/**
+ * Switches the audit log on or off for this spreadsheet (owner only)
+ * @param {boolean} enabled - Whether processing runs should be logged
+ * @return {string} Confirmation message
+ */
+function setAuditLogEnabled(enabled) {
+  return initCellMindAI_().setAuditLogEnabled(enabled);
+}
+
+/**
+ * Gets the data policy of the spreadsheet
+ * @return {Object} Policy with deniedColumns, deniedSheets and maxRows
+ */
+function getDataPolicy() {
+  return initCellMindAI_().getDataPolicy();
+}
+
+/**
+ * Checks whether the spreadsheet has a data policy
+ * @return {boolean} True if columns, sheets or rows are restricted
+ */
+function hasDataPolicy() {
+  return initCellMindAI_().hasDataPolicy();
+}
+
+/**
+ * Sets the data policy of the spreadsheet (owner only)
+ * @param {Object} policy - deniedColumns, deniedSheets and maxRows
+ * @return {string} Confirmation message
+ */
+function setDataPolicy(policy) {
+  return initCellMindAI_().setDataPolicy(policy);
+}
+
+/**
+ * Applies the data policy to values read from a range
+ * @param {Range} range - Range the values were read from
+ * @param {Array} values - 2D array of values
+ * @param {Object} options - Options (rowLimit, includeHeaders)
+ * @return {Object} The permitted values and a description of everything withheld
+ */
+function applyDataPolicy(range, values, options = {}) {
+  return initCellMindAI_().applyDataPolicy(range, values, options);
+}
+
+/**
+ * Links the location of a written result to its audit log entry
+ * @param {Range} range - Range the result was written to
+ * @param {number} auditRow - Row of the audit entry
+ */
+function recordAuditOutput(range, auditRow) {
+  return initCellMindAI_().recordAuditOutput(range, auditRow);
+}
+
+/**
+ * Gets the model prices used for cost estimates
+ * @return {Object} Prices in USD per million tokens by model name prefix
+ */
+function getPriceTable() {
+  return initCellMindAI_().getPriceTable();
+}
+
+/**
+ * Sets model prices for this spreadsheet
+ * @param {Object} prices - Map of model name prefix to { input, output } in USD per million tokens
+ * @return {string} Confirmation message
+ */
+function setPriceTable(prices) {
+  return initCellMindAI_().setPriceTable(prices);
+}
+
+/**
+ * Gets the saved prompts
+ * @param {string} scope - 'document', 'user' or omitted for both
+ * @return {Array} Saved prompts
+ */
+function getSavedPrompts(scope) {
+  return initCellMindAI_().getSavedPrompts(scope);
+}
+
+/**
+ * Saves a prompt to the prompt library
+ * @param {Object} entry - The prompt with name, prompt, description, range, output mode and model settings
+ * @param {string} scope - 'document' or 'user'
+ * @return {string} Confirmation message
+ */
+function savePrompt(entry, scope = 'document') {
+  return initCellMindAI_().savePrompt(entry, scope);
+}
+
+/**
+ * Deletes a prompt from the prompt library
+ * @param {string} name - Name of the prompt
+ * @param {string} scope - 'document' or 'user'
+ * @return {string} Confirmation message
+ */
+function deleteSavedPrompt(name, scope = 'document') {
+  return initCellMindAI_().deleteSavedPrompt(name, scope);
+}
+
+/**
+ * Runs a saved prompt on its default range
+ * @param {string} name - Name of the prompt
+ * @param {Object} options - Overrides for the saved settings
+ * @return {Object} CellMindAI response
+ */
+function runSavedPrompt(name, options = {}) {
+  return initCellMindAI_().runSavedPrompt(name, options);
+}
+
+/**
+ * Exports the prompt library as JSON
+ * @param {string} scope - 'document' or 'user'
+ * @return {string} JSON with the saved prompts
+ */
+function exportPromptLibrary(scope = 'document') {
+  return initCellMindAI_().exportPromptLibrary(scope);
+}
+
+/**
+ * Imports prompts from exported JSON
+ * @param {string} json - The exported JSON
+ * @param {string} scope - 'document' or 'user'
+ * @param {boolean} replace - Remove all existing prompts of the scope first
+ * @return {string} Confirmation message
+ */
+function importPromptLibrary(json, scope = 'document', replace = false) {
+  return initCellMindAI_().importPromptLibrary(json, scope, replace);
+}
+
+/**
+ * Writes a result to the spreadsheet
+ * @param {string} result - The result to be written
+ * @param {Object} options - Options for writing
+ * @return {Object} Result of the write operation
+ */
+function writeResult(result, options = {}) {
+  return initCellMindAI_().writeResultToSheet(result, options);
+}
+
+/**
+ * Gets the conversation stored for a result sheet
+ * @param {string} sheetName - Name of the result sheet (defaults to the active sheet)
+ * @return {Object|null} Conversation with model, system and messages, or null
+ */
+function getConversation(sheetName) {
+  return initCellMindAI_().getConversation(sheetName);
+}
+
+/**
+ * Asks a follow-up question on the conversation of a result sheet and appends the answer below the result
+ * @param {string} sheetName - Name of the result sheet (defaults to the active sheet)
+ * @param {string} question - The follow-up question
+ * @param {Object} options - Request options and writeToSheet (default true)
+ * @return {Object} The response from Claude
+ */
+function followUp(sheetName, question, options = {}) {
+  return initCellMindAI_().followUp(sheetName, question, options);
+}
+
+/**
+ * Deletes the conversation of a result sheet
+ * @param {string} sheetName - Name of the result sheet (defaults to the active sheet)
+ * @return {string} Confirmation message
+ */
+function deleteConversation(sheetName) {
+  return initCellMindAI_().deleteConversation(sheetName);
+}
+
+/**
+ * Answers an open question about the workbook in agent mode (Claude reads ranges with tools)
+ * @param {string} question - The question or task
+ * @param {Object} options - Request options and maxTurns
+ * @return {Object} The answer with proposedWrites, rangesRead, toolCalls and turns
+ */
+function runAgent(question, options = {}) {
+  return initCellMindAI_().runAgent(question, options);
+}
+
+/**
+ * Applies writes proposed in agent mode, after the user confirmed them
+ * @param {Array} proposals - Proposed writes from runAgent
+ * @return {string} Confirmation message
+ */
+function applyProposedWrites(proposals) {
+  return initCellMindAI_().applyProposedWrites(proposals);
+}
+
+/**
+ * Replaces personal data in a text with placeholders such as <EMAIL_3>
+ * @param {string} text - The text to redact
+ * @return {string} The redacted text
+ */
+function redactPii(text) {
+  return initCellMindAI_().redactPii(text);
+}
+
+/**
+ * Lists the personal data that would be masked in a range
+ * @param {string} reference - Range reference, named range or empty for the data of the active sheet
+ * @return {Object} Matches with cell, type, value and placeholder, and counts per type
+ */
+function previewRedaction(reference) {
+  return initCellMindAI_().previewRedaction(reference);
+}
+
+/**
+ * Writes a redaction preview of a range to the "CellMindAI Redaction Preview" sheet
+ * @param {string} reference - Range reference, named range or empty for the data of the active sheet
+ * @return {Object} The preview and the preview sheet
+ */
+function writeRedactionPreview(reference) {
+  return initCellMindAI_().writeRedactionPreview(reference);
+}
+
+/**
+ * Parses a table from a CellMindAI response
+ * @param {string} text - The response text
+ * @return {Array|null} 2D array with the header row first, or null
+ */
+function parseTable(text) {
+  return initCellMindAI_().parseTable(text);
+}
+
+/**
+ * Creates a menu in the spreadsheet for using the library
+ */
+function onOpen() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('CellMindAI')
+    .addItem('Configure API Key', 'showApiKeyDialog')
+    .addItem('Shared API Key and Quotas', 'showSharedApiKeyDialog')
+    .addItem('Settings', 'showSettingsDialog')
+    .addItem('Set System Prompt', 'showSystemPromptDialog')
+    .addSeparator()
+    .addItem('Process Data with CellMindAI', 'showPromptDialog')
+    .addItem('Process Rows with CellMindAI', 'showRowProcessingDialog')
+    .addItem('Classify Rows', 'showClassificationDialog')
+    .addItem('Execute Prompt Chain', 'showChainDialog')
+    .addItem('Run Saved Prompt', 'showSavedPromptDialog')
+    .addItem('Follow Up on this Result', 'showFollowUpDialog')
+    .addItem('Ask the Workbook', 'showAgentDialog')
+    .addSeparator()
+    .addItem('Usage and Costs', 'showUsageDialog')
+    .addItem('Audit Log', 'showAuditLogDialog')
+    .addItem('Data Policy', 'showDataPolicyDialog')
+    .addItem('Preview Request', 'showRequestPreviewDialog')
+    .addItem('Preview PII Redaction', 'showRedactionPreviewDialog')
+    .addItem('Clear CellMindAI Cache', 'showClearCacheDialog')
+    .addToUi();
+}
+
+/**
+ * Shows a dialog for configuring the API key
+ */
+function showApiKeyDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const source = getApiKeySource();
+  
+  let promptMsg = 'Please enter your Anthropic API key:';
+  if (source === 'user') {
+    promptMsg = 'An API key is already configured. Do you want to replace it?';
+  } else if (source) {
+    promptMsg = 'This spreadsheet uses a shared API key. Enter a personal Anthropic API key to use your own key instead:';
+  }
+  
+  const result = ui.prompt(
+    'Configure CellMindAI API Key',
+    promptMsg,
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (result.getSelectedButton() === ui.Button.OK) {
+    const key = result.getResponseText();
+    if (key && key.trim() !== '') {
+      setApiKey(key);
+      ui.alert('Success', 'API key has been successfully saved.', ui.ButtonSet.OK);
+    } else {
+      ui.alert('Error', 'Empty API key. No changes made.', ui.ButtonSet.OK);
+    }
+  }
+}
+
+/**
+ * Shows the shared API key status and lets the owner set the key and the daily quotas per user
+ */
+function showSharedApiKeyDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const usage = getQuotaUsage();
+  const quotas = getQuotas('document');
+  const sources = {
+    user: 'your personal API key',
+    document: 'the shared API key of this spreadsheet',
+    script: 'the shared API key of the CellMindAI library'
+  };
+  const limitText = limit => limit === null ? 'no limit' : limit;
+  
+  const result = ui.alert(
+    'Shared API Key and Quotas',
+    `Requests are sent with ${sources[usage.source] || 'no API key'}.\n\n` +
+    `Your usage of the shared key today: ${usage.requests} requests (limit: ${limitText(usage.limits.dailyRequests)}), ` +
+    `${usage.tokens} tokens (limit: ${limitText(usage.limits.dailyTokens)}).\n\n` +
+    'Do you want to change the shared API key or the quotas of this spreadsheet? Only the owner of the spreadsheet or a listed administrator can change them.',
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (result !== ui.Button.YES) {
+    return;
+  }
+  
+  try {
+    const keyResult = ui.prompt(
+      'Shared API Key',
+      'Enter the Anthropic API key to share with everyone who has no personal key. ' +
+      'It is stored in the CellMindAI library, not in this spreadsheet, so editors cannot read it.\n\nLeave empty to keep the current key, enter "-" to remove it:',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (keyResult.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const messages = [];
+    const key = keyResult.getResponseText().trim();
+    if (key === '-') {
+      messages.push(clearSharedApiKey());
+    } else if (key !== '') {
+      messages.push(setSharedApiKey(key));
+    }
+    
+    const fields = [
+      { name: 'dailyRequests', label: 'Requests per user and day' },
+      { name: 'dailyTokens', label: 'Tokens (input and output) per user and day' }
+    ];
+    const changes = {};
+    
+    for (let i = 0; i < fields.length; i++) {
+      const field = fields[i];
+      const quotaResult = ui.prompt(
+        'Quotas for the Shared API Key',
+        `${field.label}\nCurrent value: ${limitText(quotas[field.name])}\n\nLeave empty to keep it, enter "-" to remove the limit:`,
+        ui.ButtonSet.OK_CANCEL
+      );
+      
+      if (quotaResult.getSelectedButton() !== ui.Button.OK) {
+        return;
+      }
+      
+      const value = quotaResult.getResponseText().trim();
+      changes[field.name] = value === '' ? quotas[field.name] : (value === '-' ? null : value);
+    }
+    
+    messages.push(setQuotas(changes));
+    ui.alert('Success', messages.join('.\n') + '.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows a dialog for editing the model and generation settings
+ */
+function showSettingsDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const scopeResult = ui.alert(
+    'CellMindAI Settings',
+    'Which settings do you want to edit?\n\n' +
+    '- YES: Settings for this spreadsheet (apply to everyone, override personal defaults)\n' +
+    '- NO: My personal defaults (including the provider and base URL)\n' +
+    '- CANCEL: Return to spreadsheet',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  if (scopeResult !== ui.Button.YES && scopeResult !== ui.Button.NO) {
+    return;
+  }
+  
+  const scope = scopeResult === ui.Button.YES ? 'document' : 'user';
+  const stored = getSettings(scope);
+  const effective = getSettings();
+  
+  const fields = [
+    { name: 'provider', label: 'Provider (anthropic, openai for OpenAI-compatible APIs, or mock for offline tests)' },
+    { name: 'base_url', label: 'Base URL of the provider API, e.g. a proxy or gateway (empty for the default)' },
+    { name: 'model', label: 'Model (e.g., claude-3-5-sonnet-20240620)' },
+    { name: 'max_tokens', label: 'Max tokens' },
+    { name: 'temperature', label: 'Temperature (0 - 1)' },
+    { name: 'top_p', label: 'Top P (0 - 1)' },
+    { name: 'stop_sequences', label: 'Stop sequences (comma-separated)' },
+    { name: 'data_format', label: 'Data format (markdown, csv, json or tsv)' },
+    { name: 'display_values', label: 'Send values as displayed in the sheet (true/false)' },
+    { name: 'redact_pii', label: 'Mask personal data before sending (true/false)' },
+    { name: 'pii_types', label: 'Personal data to mask (comma-separated: email, iban, credit_card, phone)' },
+    { name: 'restore_pii', label: 'Put masked values back into the answer (true/false)' }
+  ].filter(field => scope === 'user' || USER_ONLY_SETTINGS.indexOf(field.name) === -1);
+  
+  const changes = {};
+  
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    const current = stored[field.name] !== undefined ? stored[field.name] : effective[field.name];
+    const currentText = Array.isArray(current) ? current.join(', ') : (current === null ? 'not set' : current);
+    
+    const result = ui.prompt(
+      'CellMindAI Settings',
+      `${field.label}\nCurrent value: ${currentText}\n\nLeave empty to keep it, enter "-" to reset it:`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (result.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const value = result.getResponseText().trim();
+    if (value === '-') {
+      changes[field.name] = null;
+    } else if (value !== '') {
+      changes[field.name] = value;
+    }
+  }
+  
+  try {
+    saveSettings(changes, scope);
+    
+    // The cache lifetime is a spreadsheet setting
+    if (scope === 'document') {
+      const ttlResult = ui.prompt(
+        'CellMindAI Settings',
+        `Cache duration in hours (0 disables caching)\nCurrent value: ${getCacheTtl() / 3600}\n\nLeave empty to keep it:`,
+        ui.ButtonSet.OK_CANCEL
+      );
+      
+      const ttlText = ttlResult.getResponseText().trim();
+      if (ttlResult.getSelectedButton() === ui.Button.OK && ttlText !== '') {
+        setCacheTtl(Math.round(parseFloat(ttlText) * 3600));
+      }
+    }
+    
+    ui.alert('Success', 'Settings have been saved.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Error saving settings: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows a dialog for editing the system prompt of this spreadsheet
+ */
+function showSystemPromptDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const current = getSystemPrompt();
+  
+  const result = ui.prompt(
+    'CellMindAI System Prompt',
+    'The system prompt is sent with every request from this spreadsheet ' +
+    '(e.g., "You are a financial analyst; answer in German; never invent numbers").\n\n' +
+    'Current system prompt: ' + (current || 'none') + '\n\n' +
+    'Enter a new system prompt, or "-" to remove it:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const text = result.getResponseText().trim();
+  if (text === '') {
+    ui.alert('Error', 'Empty system prompt. No changes made.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const message = setSystemPrompt(text === '-' ? '' : text);
+  ui.alert('Success', message + '.', ui.ButtonSet.OK);
+}
+
+/**
+ * Asks a follow-up question on the result in the active sheet
+ */
+function showFollowUpDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+  
+  try {
+    const conversation = getConversation(sheet.getName());
+    if (!conversation) {
+      ui.alert('Follow Up', 'The active sheet has no conversation. Open a sheet with a CellMindAI result first.', ui.ButtonSet.OK);
+      return;
+    }
+    
+    const followUps = (conversation.messages.length - 2) / 2;
+    const result = ui.prompt(
+      'Follow Up on this Result',
+      `Ask a follow-up question about "${sheet.getName()}" (${followUps} earlier follow-ups).\n` +
+      'The answer is added below the result:',
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (result.getSelectedButton() !== ui.Button.OK || result.getResponseText().trim() === '') {
+      return;
+    }
+    
+    const response = followUp(sheet.getName(), result.getResponseText().trim());
+    response.range.activate();
+  } catch (error) {
+    ui.alert('Error', 'Error during the follow-up: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Answers a question about the whole workbook in agent mode and asks before applying proposed changes
+ */
+function showAgentDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const result = ui.prompt(
+    'Ask the Workbook',
+    'Ask a question about this spreadsheet. CellMindAI looks up sheets, named ranges and data on its own, ' +
+    'and may propose changes that are only applied after you confirm them:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (result.getSelectedButton() !== ui.Button.OK || result.getResponseText().trim() === '') {
+    return;
+  }
+  
+  try {
+    const answer = runAgent(result.getResponseText().trim());
+    const writeStatus = writeResult(answer.response, {
+      createNewSheet: true,
+      sheetName: 'CellMindAI Agent ' + new Date().toLocaleString()
+    });
+    const summary = `${writeStatus.message}\n\nRanges read: ${answer.rangesRead.join(', ') || 'none'}` +
+      formatWithheldNotice(answer.withheld);
+    
+    if (answer.proposedWrites.length === 0) {
+      ui.alert('Success', summary, ui.ButtonSet.OK);
+      return;
+    }
+    
+    const proposals = answer.proposedWrites.map((proposal, index) => {
+      const preview = proposal.values.slice(0, 3).map(row => '   ' + row.join(' | ')).join('\n');
+      const more = proposal.values.length > 3 ? `\n   ... ${proposal.values.length - 3} more rows` : '';
+      return `${index + 1}. ${proposal.range}${proposal.reason ? ': ' + proposal.reason : ''}\n${preview}${more}`;
+    }).join('\n\n');
+    
+    const confirm = ui.alert(
+      'Proposed Changes',
+      `${summary}\n\nCellMindAI proposes the following changes:\n\n${proposals}\n\nApply these changes?`,
+      ui.ButtonSet.YES_NO
+    );
+    
+    if (confirm === ui.Button.YES) {
+      const message = applyProposedWrites(answer.proposedWrites);
+      ui.alert('Success', message + '.', ui.ButtonSet.OK);
     }
+  } catch (error) {
+    ui.alert('Error', 'Error in agent mode: ' + error.message, ui.ButtonSet.OK);
   }
 }
 
-// Global instance
-let cellMindInstance = null;
-
 /**
- * Initializes the CellMindAI instance
- * @return {CellMindAI} The CellMindAI instance
+ * Summarizes request previews for a dialog
+ * @param {Array} previews - Request previews
+ * @return {string} Number of requests, models and estimated tokens
  */
-function initCellMindAI() {
-  if (!cellMindInstance) {
-    cellMindInstance = new CellMindAI();
-  }
-  return cellMindInstance;
+function formatRequestPreview(previews) {
+  const inputTokens = previews.reduce((total, preview) => total + preview.inputTokens, 0);
+  const outputTokens = previews.reduce((total, preview) => total + (preview.max_tokens || 0), 0);
+  const models = previews.map(preview => preview.model).filter((model, i, all) => all.indexOf(model) === i);
+  const cached = previews.filter(preview => preview.cached).length;
+  
+  return `${previews.length} request(s) would be sent to ${models.join(', ')}.\n\n` +
+    `Estimated input: about ${inputTokens} tokens\n` +
+    `Output: at most ${outputTokens} tokens` +
+    (cached > 0 ? `\n\n${cached} request(s) would be answered from the cache.` : '');
 }
 
 /**
- * Sets the API key for CellMindAI
- * @param {string} apiKey - The Anthropic API key
- * @return {string} Confirmation message
+ * Shows a dialog for previewing the requests of a prompt or of the prompt chain in the current sheet
  */
-function setApiKey(apiKey) {
-  return initCellMindAI().setApiKey(apiKey);
+function showRequestPreviewDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const choice = ui.alert(
+    'Preview Request',
+    'Assemble the requests exactly as they would be sent, without calling the API.\n\n' +
+    '- YES: Preview a prompt with data\n' +
+    '- NO: Preview the prompt chain in the current sheet\n' +
+    '- CANCEL: Return to spreadsheet',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  if (choice === ui.Button.YES) {
+    showPromptDialog(true);
+  } else if (choice === ui.Button.NO) {
+    showChainDialog(true);
+  }
 }
 
 /**
- * Checks if an API key is set
- * @return {boolean} True if API key exists
+ * Writes request previews to the preview sheet and shows a summary
+ * @param {Array} previews - Request previews
+ * @param {Array} withheld - Data withheld by the data policy
  */
-function hasApiKey() {
-  return initCellMindAI().hasApiKey();
+function showRequestPreview(previews, withheld) {
+  const sheet = writeRequestPreview(previews);
+  sheet.activate();
+  
+  SpreadsheetApp.getUi().alert('Request Preview', formatRequestPreview(previews) +
+    `\n\nThe requests were written to the sheet "${sheet.getName()}". No request was sent.` + formatWithheldNotice(withheld),
+    SpreadsheetApp.getUi().ButtonSet.OK);
 }
 
 /**
- * Deletes the stored API key
- * @return {string} Confirmation message
+ * Shows which personal data in a range would be masked before sending
  */
-function clearApiKey() {
-  return initCellMindAI().clearApiKey();
+function showRedactionPreviewDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  const result = ui.prompt(
+    'Preview PII Redaction',
+    'Enter the range to check (e.g. Customers!A1:F200) or leave empty for all data of the active sheet:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  try {
+    const status = writeRedactionPreview(result.getResponseText().trim());
+    const preview = status.preview;
+    const counts = Object.keys(preview.counts).map(type => `- ${type}: ${preview.counts[type]}`).join('\n');
+    
+    status.sheet.activate();
+    ui.alert(
+      'Preview PII Redaction',
+      `${preview.matches.length} values in ${preview.range} would be masked` +
+      (counts ? `:\n${counts}` : '.') + '\n\n' +
+      (preview.enabled ? 'Redaction is switched on.' : 'Redaction is currently switched off. Turn it on under Settings (redact_pii).'),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', error.message, ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Processes data from the current sheet with CellMindAI
- * @param {string} prompt - The prompt for CellMindAI
- * @param {Object} options - Additional options
- * @return {Object} CellMindAI response
+ * Shows whether the audit log is on and lets the owner switch it
  */
-function processSheet(prompt, options = {}) {
-  return initCellMindAI().processCurrentSheet(prompt, options);
+function showAuditLogDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const enabled = isAuditLogEnabled();
+  
+  const result = ui.alert(
+    'CellMindAI Audit Log',
+    `The audit log is currently ${enabled ? 'on' : 'off'} for this spreadsheet.\n\n` +
+    `Do you want to switch it ${enabled ? 'off' : 'on'}? Only the owner of the spreadsheet or a listed administrator can change this.`,
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (result !== ui.Button.YES) {
+    return;
+  }
+  
+  try {
+    const message = setAuditLogEnabled(!enabled);
+    ui.alert('Success', message + '.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', error.message, ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Sends a prompt with custom data to CellMindAI
- * @param {string} prompt - The prompt for CellMindAI
- * @param {Array} data - The data (2D array)
- * @param {Object} options - Additional options
- * @return {Object} CellMindAI response
+ * Shows the data policy and lets the owner change it
  */
-function sendCustomData(prompt, data, options = {}) {
-  return initCellMindAI().sendPrompt(prompt, data, options);
+function showDataPolicyDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const policy = getDataPolicy();
+  const fields = [
+    { name: 'deniedColumns', label: 'Columns that are never sent, by header name (comma-separated)' },
+    { name: 'deniedSheets', label: 'Sheets that are never sent (comma-separated)' },
+    { name: 'maxRows', label: 'Maximum number of data rows per request' }
+  ];
+  
+  const changes = {};
+  
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    const current = policy[field.name];
+    const currentText = Array.isArray(current) ? current.join(', ') || 'none' : (current === null ? 'no limit' : current);
+    
+    const result = ui.prompt(
+      'CellMindAI Data Policy',
+      `${field.label}\nCurrent value: ${currentText}\n\nLeave empty to keep it, enter "-" to clear it:`,
+      ui.ButtonSet.OK_CANCEL
+    );
+    
+    if (result.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    const value = result.getResponseText().trim();
+    changes[field.name] = value === '' ? current : (value === '-' ? null : value);
+  }
+  
+  try {
+    const message = setDataPolicy(changes);
+    ui.alert('Success', message + '.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', error.message, ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Executes a chain of prompts
- * @param {Array} promptChain - Array of prompt objects
- * @return {Array} Array of CellMindAI responses
+ * Describes the data withheld by the data policy for a confirmation message
+ * @param {Array} withheld - Descriptions of withheld columns and rows
+ * @return {string} The notice or an empty string if nothing was withheld
  */
-function executePromptChain(promptChain) {
-  return initCellMindAI().executePromptChain(promptChain);
+function formatWithheldNotice(withheld) {
+  if (!withheld || withheld.length === 0) {
+    return '';
+  }
+  
+  return '\n\nWithheld by the data policy:\n' + withheld.map(item => '- ' + item).join('\n');
 }
 
 /**
- * Writes a result to the spreadsheet
- * @param {string} result - The result to be written
- * @param {Object} options - Options for writing
- * @return {Object} Result of the write operation
+ * Shows the usage of the current month and lets the user write a summary or change the spending cap
  */
-function writeResult(result, options = {}) {
-  return initCellMindAI().writeResultToSheet(result, options);
+function showUsageDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const summary = getUsageSummary();
+  
+  const result = ui.alert(
+    'CellMindAI Usage and Costs',
+    `Usage in ${summary.month}:\n` +
+    `- Requests: ${summary.requests}\n` +
+    `- Tokens: ${summary.inputTokens} in / ${summary.outputTokens} out\n` +
+    `- Estimated cost: $${summary.cost.toFixed(2)}\n` +
+    `- Monthly spending cap: ${summary.spendingCap !== null ? '$' + summary.spendingCap : 'none'}\n\n` +
+    '- YES: Write the monthly summary to a sheet\n' +
+    '- NO: Change the spending cap\n' +
+    '- CANCEL: Return to spreadsheet',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  try {
+    if (result === ui.Button.YES) {
+      writeUsageSummary().activate();
+    } else if (result === ui.Button.NO) {
+      const capResult = ui.prompt(
+        'Monthly Spending Cap',
+        'Enter the monthly spending cap for this spreadsheet in USD (0 removes the cap):',
+        ui.ButtonSet.OK_CANCEL
+      );
+      
+      if (capResult.getSelectedButton() === ui.Button.OK && capResult.getResponseText().trim() !== '') {
+        const message = setSpendingCap(capResult.getResponseText().trim());
+        ui.alert('Success', message + '.', ui.ButtonSet.OK);
+      }
+    }
+  } catch (error) {
+    ui.alert('Error', error.message, ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Creates a menu in the spreadsheet for using the library
+ * Shows a dialog for running a prompt from the prompt library
  */
-function onOpen() {
+function showSavedPromptDialog() {
   const ui = SpreadsheetApp.getUi();
-  ui.createMenu('CellMindAI')
-    .addItem('Configure API Key', 'showApiKeyDialog')
-    .addSeparator()
-    .addItem('Process Data with CellMindAI', 'showPromptDialog')
-    .addItem('Execute Prompt Chain', 'showChainDialog')
-    .addToUi();
+  
+  if (!hasApiKey()) {
+    ui.alert('Error', 'No API key configured. Please configure an API key first.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const prompts = getSavedPrompts();
+  if (prompts.length === 0) {
+    ui.alert('Prompt Library', 'There are no saved prompts yet. Save prompts with savePrompt().', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const list = prompts.map((entry, i) => {
+    const scopeLabel = entry.scope === 'user' ? ' (personal)' : '';
+    return `${i + 1}. ${entry.name}${scopeLabel}${entry.description ? ' - ' + entry.description : ''}`;
+  }).join('\n');
+  
+  const result = ui.prompt('Run Saved Prompt', list + '\n\nEnter the number of the prompt to run:', ui.ButtonSet.OK_CANCEL);
+  if (result.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const entry = prompts[parseInt(result.getResponseText(), 10) - 1];
+  if (!entry) {
+    ui.alert('Error', 'Please enter one of the listed numbers.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  try {
+    const response = runSavedPrompt(entry.name);
+    const writeStatus = writeResult(response.response, {
+      createNewSheet: true,
+      sheetName: `${entry.name} ${new Date().toLocaleString()}`,
+      asTable: entry.outputFormat === 'table',
+      conversation: response.conversation
+    });
+    
+    ui.alert('Success', writeStatus.message + formatWithheldNotice(response.withheld), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Error running saved prompt: ' + error.message, ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Shows a dialog for configuring the API key
+ * Shows a confirmation dialog for clearing the response cache
  */
-function showApiKeyDialog() {
+function showClearCacheDialog() {
   const ui = SpreadsheetApp.getUi();
-  const hasKey = hasApiKey();
-  
-  const promptMsg = hasKey ? 
-    'An API key is already configured. Do you want to replace it?' :
-    'Please enter your Anthropic API key:';
   
-  const result = ui.prompt(
-    'Configure CellMindAI API Key',
-    promptMsg,
-    ui.ButtonSet.OK_CANCEL
+  const result = ui.alert(
+    'Clear CellMindAI Cache',
+    'Cached responses are reused for identical requests. Clearing the cache means the next requests are sent (and billed) again.\n\n' +
+    'Do you want to clear the cache?',
+    ui.ButtonSet.YES_NO
   );
   
-  if (result.getSelectedButton() === ui.Button.OK) {
-    const key = result.getResponseText();
-    if (key && key.trim() !== '') {
-      setApiKey(key);
-      ui.alert('Success', 'API key has been successfully saved.', ui.ButtonSet.OK);
-    } else {
-      ui.alert('Error', 'Empty API key. No changes made.', ui.ButtonSet.OK);
-    }
+  if (result === ui.Button.YES) {
+    clearCache();
+    ui.alert('Success', 'The CellMindAI cache has been cleared.', ui.ButtonSet.OK);
   }
 }
 
 /**
  * Shows a dialog for entering a prompt
+ * @param {boolean} preview - Only preview the requests instead of sending them
  */
-function showPromptDialog() {
+function showPromptDialog(preview) {
   const ui = SpreadsheetApp.getUi();
   
-  if (!hasApiKey()) {
+  if (preview !== true && !hasApiKey()) {
     ui.alert('Error', 'No API key configured. Please configure an API key first.', ui.ButtonSet.OK);
     return;
   }
@@ -379,7 +5484,7 @@ function showPromptDialog() {
   // Simple prompt dialog
   const promptResult = ui.prompt(
     'CellMindAI Prompt',
-    'Enter your prompt for CellMindAI:',
+    'Enter your prompt for CellMindAI. Use {{Sheet1!B2}} or {{NamedRange}} to insert cells or ranges:',
     ui.ButtonSet.OK_CANCEL
   );
   
@@ -415,6 +5520,15 @@ function showPromptDialog() {
   
   const includeHeaders = (includeHeadersResult === ui.Button.YES);
   
+  // Output format dialog
+  const asTableResult = ui.alert(
+    'Table Output',
+    'Do you want the result as a table (one value per cell)?',
+    ui.ButtonSet.YES_NO
+  );
+  
+  const asTable = (asTableResult === ui.Button.YES);
+  
   // Process the prompt
   try {
     const options = {
@@ -425,24 +5539,114 @@ function showPromptDialog() {
       options.range = range;
     }
     
+    if (asTable) {
+      options.outputFormat = 'table';
+    }
+    
+    if (preview === true) {
+      const previewResult = processSheet(prompt, Object.assign(options, { preview: true }));
+      showRequestPreview(previewResult.previews, previewResult.withheld);
+      return;
+    }
+    
     const result = processSheet(prompt, options);
     
     // Write the result to a new sheet
-    writeResult(result.response, {
+    const writeStatus = writeResult(result.response, {
       createNewSheet: true,
-      sheetName: 'CellMindAI Result ' + new Date().toLocaleString()
+      sheetName: 'CellMindAI Result ' + new Date().toLocaleString(),
+      asTable: asTable,
+      conversation: result.conversation
     });
     
-    ui.alert('Success', 'The request was successfully processed.', ui.ButtonSet.OK);
+    ui.alert('Success', 'The request was successfully processed.\n\n' + writeStatus.message + formatWithheldNotice(result.withheld),
+      ui.ButtonSet.OK);
   } catch (error) {
     ui.alert('Error', 'Error during processing: ' + error.message, ui.ButtonSet.OK);
   }
 }
 
 /**
- * Shows a dialog for executing a prompt chain
+ * Shows a dialog for processing the current sheet row by row
+ */
+function showRowProcessingDialog() {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (!hasApiKey()) {
+    ui.alert('Error', 'No API key configured. Please configure an API key first.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const promptResult = ui.prompt(
+    'Row Prompt',
+    'Enter the prompt for each row. Use {{Header}} to insert a value from the row (e.g., "Qualify the lead {{Company}}"):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (promptResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const promptTemplate = promptResult.getResponseText();
+  if (!promptTemplate || promptTemplate.trim() === '') {
+    ui.alert('Error', 'Empty prompt. Please enter a prompt.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  const rangeResult = ui.prompt(
+    'Source Range',
+    'Enter the source range including the header row (e.g., A1:E50) or leave empty to use the entire sheet:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (rangeResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const columnResult = ui.prompt(
+    'Target Column',
+    'Enter the column for the answers (e.g., F). Rows that already have an answer are skipped:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (columnResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const targetColumn = columnResult.getResponseText().trim();
+  if (!targetColumn) {
+    ui.alert('Error', 'Empty target column. No changes made.', ui.ButtonSet.OK);
+    return;
+  }
+  
+  try {
+    const options = { targetColumn: targetColumn };
+    const range = rangeResult.getResponseText();
+    
+    if (range && range.trim() !== '') {
+      options.range = range.trim();
+    }
+    
+    const summary = processRows(promptTemplate, options);
+    
+    let message = `Processed: ${summary.processed}\nSkipped: ${summary.skipped}\nFailed: ${summary.failed}`;
+    if (summary.errors.length > 0) {
+      message += '\n\nFailures:\n' + summary.errors
+        .slice(0, 10)
+        .map(error => `Row ${error.row}: ${error.message}`)
+        .join('\n');
+    }
+    
+    ui.alert('Row Processing Complete', message + formatWithheldNotice(summary.withheld), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Error during row processing: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows a dialog for classifying a text column into a fixed label set
  */
-function showChainDialog() {
+function showClassificationDialog() {
   const ui = SpreadsheetApp.getUi();
   
   if (!hasApiKey()) {
@@ -450,14 +5654,103 @@ function showChainDialog() {
     return;
   }
   
+  const labelsResult = ui.prompt(
+    'Labels',
+    'Enter the allowed labels separated by commas (e.g., "Positive, Neutral, Negative") ' +
+    'or a range or named range that lists them (e.g., Labels!A2:A6):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  
+  if (labelsResult.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  
+  const columns = [
+    { name: 'textColumn', title: 'Text Column', message: 'Enter the column with the text to classify (e.g., B):' },
+    { name: 'labelColumn', title: 'Label Column', message: 'Enter the column for the labels (e.g., F). Rows that already have a label are skipped:' },
+    { name: 'confidenceColumn', title: 'Confidence Column', message: 'Enter the column for the confidence (e.g., G) or leave empty:' }
+  ];
+  
+  const options = { labels: labelsResult.getResponseText() };
+  
+  for (let i = 0; i < columns.length; i++) {
+    const column = columns[i];
+    const result = ui.prompt(column.title, column.message, ui.ButtonSet.OK_CANCEL);
+    if (result.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    
+    options[column.name] = result.getResponseText().trim();
+  }
+  
+  try {
+    const summary = classifyRows(options);
+    
+    let message = `Classified: ${summary.processed}\nSkipped: ${summary.skipped}\nFailed: ${summary.failed}`;
+    const counts = Object.keys(summary.counts).map(label => `${label}: ${summary.counts[label]}`);
+    if (counts.length > 0) {
+      message += '\n\nLabels:\n' + counts.join('\n');
+    }
+    if (summary.errors.length > 0) {
+      message += '\n\nFailures:\n' + summary.errors
+        .slice(0, 10)
+        .map(error => `Row ${error.row}: ${error.message}`)
+        .join('\n');
+    }
+    if (summary.stoppedAtRow !== null) {
+      message += `\n\nStopped at row ${summary.stoppedAtRow} to stay within the execution time limit. ` +
+        'Run the classification again to continue; labelled rows are skipped.';
+    }
+    
+    ui.alert('Classification Complete', message + formatWithheldNotice(summary.withheld), ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', 'Error during classification: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Finds the columns of a chain sheet by their headers
+ * @param {Array} headerRow - First row of the chain sheet
+ * @return {Object} Column index per field of CHAIN_COLUMN_HEADERS (-1 if missing)
+ */
+function findChainColumns(headerRow) {
+  const headers = headerRow.map(header => String(header).toLowerCase().replace(/\s+/g, ' ').trim());
+  const columns = {};
+  
+  Object.keys(CHAIN_COLUMN_HEADERS).forEach(field => {
+    const names = CHAIN_COLUMN_HEADERS[field];
+    columns[field] = -1;
+    for (let i = 0; i < names.length && columns[field] === -1; i++) {
+      columns[field] = headers.indexOf(names[i]);
+    }
+  });
+  
+  return columns;
+}
+
+/**
+ * Shows a dialog for executing a prompt chain
+ * @param {boolean} preview - Only preview the requests instead of sending them
+ */
+function showChainDialog(preview) {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (preview !== true && !hasApiKey()) {
+    ui.alert('Error', 'No API key configured. Please configure an API key first.', ui.ButtonSet.OK);
+    return;
+  }
+  
   // Inform the user about the format for prompt chains
   ui.alert(
     'Prompt Chain Instructions',
     'To execute a prompt chain, your current sheet must have the following structure:\n\n' +
-    '1. Column A: Prompts (one per row)\n' +
-    '2. Column B: Data ranges (optional, one per row)\n' +
-    '3. Column C: Include previous result (true/false, optional)\n\n' +
-    'The first row should contain headers.\n\n' +
+    '- Prompt: one prompt per row\n' +
+    '- Data Range (optional)\n' +
+    '- Include Previous Result (YES/NO, optional)\n' +
+    '- System Prompt (optional, overrides the spreadsheet system prompt)\n' +
+    '- Step ID (optional), referenced in later prompts as {{step:id}}\n\n' +
+    'The first row must contain these headers; the columns can be in any order and other columns (e.g. Notes) are ignored. ' +
+    'The template created by "Execute Prompt Chain" uses this layout.\n\n' +
     'Click OK to process the prompt chain from the current sheet.',
     ui.ButtonSet.OK_CANCEL
   );
@@ -472,32 +5765,50 @@ function showChainDialog() {
       return;
     }
     
+    const columns = findChainColumns(data[0]);
+    if (columns.prompt === -1) {
+      ui.alert('Error', 'Could not find a "Prompt" column in the header row.', ui.ButtonSet.OK);
+      return;
+    }
+    
+    const cell = (row, column) => column === -1 ? '' : String(row[column]).trim();
+    
     // Build the prompt chain
     const promptChain = [];
+    const withheld = [];
     
     for (let i = 1; i < data.length; i++) {
-      const prompt = data[i][0];
-      const rangeStr = data[i][1];
-      const includeLastResult = data[i][2] === true || data[i][2] === 'true';
+      const prompt = cell(data[i], columns.prompt);
+      const rangeStr = cell(data[i], columns.range);
+      const includeLastResult = ['true', 'yes', '1'].indexOf(cell(data[i], columns.includeLastResult).toLowerCase()) !== -1;
+      const systemPrompt = cell(data[i], columns.system);
+      const stepId = cell(data[i], columns.id);
       
-      if (!prompt || prompt.trim() === '') continue;
+      if (prompt === '') continue;
       
       let rangeData = [];
       
-      if (rangeStr && rangeStr.trim() !== '') {
+      if (rangeStr !== '') {
+        let range;
         try {
-          rangeData = sheet.getRange(rangeStr).getValues();
+          range = sheet.getRange(rangeStr);
         } catch (error) {
           ui.alert('Error', `Invalid range "${rangeStr}" in row ${i+1}.`, ui.ButtonSet.OK);
           return;
         }
+        
+        const policy = applyDataPolicy(range, getRangeValues(range));
+        rangeData = policy.values;
+        withheld.push(...policy.withheld);
       }
       
       promptChain.push({
+        id: stepId,
         prompt: prompt,
         data: rangeData,
+        range: rangeData.length > 0 ? `${sheet.getName()}!${sheet.getRange(rangeStr).getA1Notation()}` : '',
         includeLastResult: includeLastResult,
-        options: {}
+        options: systemPrompt ? { system: systemPrompt } : {}
       });
     }
     
@@ -506,21 +5817,36 @@ function showChainDialog() {
       return;
     }
     
-    // Execute the prompt chain
-    const results = executePromptChain(promptChain);
+    // Validate step references before any API call
+    try {
+      validatePromptChain(promptChain);
+    } catch (error) {
+      ui.alert('Invalid Prompt Chain', error.message, ui.ButtonSet.OK);
+      return;
+    }
+    
+    if (preview === true) {
+      const steps = executePromptChain(promptChain, { preview: true });
+      showRequestPreview(steps.reduce((previews, step) => previews.concat(step.previews), []), withheld);
+      return;
+    }
+    
+    // Execute the prompt chain, stopping before the execution time limit
+    const results = executePromptChain(promptChain, { deadline: Date.now() + CHAIN_DIALOG_TIME_BUDGET_MS });
     
     // Create a new sheet for the results
     const resultSheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet('Chain Results ' + new Date().toLocaleString());
     
-    // Write the results
+    // Write the results, escaped like every other answer written to a sheet
+    const cellMind = initCellMindAI_();
     resultSheet.getRange('A1').setValue('Prompt Chain Results');
     resultSheet.getRange('A1').setFontWeight('bold');
     
     for (let i = 0; i < results.length; i++) {
-      resultSheet.getRange(`A${i*4+3}`).setValue(`Step ${i+1}:`);
+      resultSheet.getRange(`A${i*4+3}`).setValue(promptChain[i].id ? `Step ${i+1} (${promptChain[i].id}):` : `Step ${i+1}:`);
       resultSheet.getRange(`A${i*4+3}`).setFontWeight('bold');
       
-      resultSheet.getRange(`A${i*4+4}`).setValue(results[i].response);
+      resultSheet.getRange(`A${i*4+4}`).setValue(cellMind._escapeFormula(results[i].response));
       resultSheet.getRange(`A${i*4+4}:E${i*4+4}`).merge();
       
       // Empty line between results
@@ -531,8 +5857,22 @@ function showChainDialog() {
     
     // Adjust column widths
     resultSheet.autoResizeColumn(1);
+    recordAuditOutput(resultSheet.getDataRange());
+    
+    if (results.length < promptChain.length) {
+      ui.alert(
+        'Prompt Chain Stopped',
+        `Stopped after step ${results.length} of ${promptChain.length} to stay within the execution time limit. ` +
+        'The completed steps were written to the results sheet.\n\n' +
+        'This dialog cannot resume a chain. For long chains, use "Execute Prompt Chain" in the CellMindAI menu ' +
+        'of the spreadsheet\'s script, which saves progress after each step and continues automatically.' +
+        formatWithheldNotice(withheld),
+        ui.ButtonSet.OK
+      );
+      return;
+    }
     
-    ui.alert('Success', 'The prompt chain was successfully executed.', ui.ButtonSet.OK);
+    ui.alert('Success', 'The prompt chain was successfully executed.' + formatWithheldNotice(withheld), ui.ButtonSet.OK);
   } catch (error) {
     ui.alert('Error', 'Error executing the prompt chain: ' + error.message, ui.ButtonSet.OK);
   }